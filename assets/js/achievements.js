@@ -0,0 +1,182 @@
+/*
+    ===================================
+    ACHIEVEMENTS - CRUDZASO v2
+    ===================================
+
+    Motor de logros basado en reglas. Cada regla mide el historial de
+    tareas del usuario y define una meta; al alcanzarla se desbloquea
+    el badge y se guarda en la colección achievements con su fecha.
+
+    Un badge desbloqueado no se pierde aunque la medida vuelva a bajar
+    (p. ej. cuando se corta una racha o se reabre una tarea).
+*/
+
+const Achievements = (function() {
+
+    /* Mínimo de tareas de una categoría para el logro "todo antes de tiempo" */
+    const MIN_CATEGORY_TASKS = 3;
+
+    /*
+        Reglas de logros
+
+        measure(tasks) devuelve el valor actual; se desbloquea cuando llega a target.
+        El nombre y la descripción de cada logro están en los catálogos
+        de I18n (achievements.<id>.name / .description).
+    */
+    const RULES = [
+        {
+            id: 'first-task',
+            icon: '🎯',
+            target: 1,
+            measure: tasks => getCompletedTasks(tasks).length
+        },
+        {
+            id: 'ten-tasks',
+            icon: '📚',
+            target: 10,
+            measure: tasks => getCompletedTasks(tasks).length
+        },
+        {
+            id: 'high-priority-10',
+            icon: '🔥',
+            target: 10,
+            measure: tasks => getCompletedTasks(tasks).filter(task => task.priority === 'High').length
+        },
+        {
+            id: 'early-bird',
+            icon: '🐦',
+            target: 5,
+            measure: tasks => tasks.filter(isCompletedEarly).length
+        },
+        {
+            id: 'streak-7',
+            icon: '⚡',
+            target: 7,
+            measure: tasks => TaskStatistics.calculateProductivityStreak(tasks)
+        },
+        {
+            id: 'category-early',
+            icon: '🏅',
+            target: 100,
+            unit: '%',
+            measure: tasks => measureBestCategory(tasks)
+        }
+    ];
+
+    function getCompletedTasks(tasks) {
+        return tasks.filter(task => task.status === 'Completed');
+    }
+
+    /* Completada antes del día de la fecha límite (días en la zona horaria del usuario) */
+    function isCompletedEarly(task) {
+        if (task.status !== 'Completed' || !task.dueDate) return false;
+
+        const completedAt = TaskStatistics.getCompletionDate(task);
+        const due = DueDates.parse(task.dueDate);
+        if (!completedAt || !due) return false;
+
+        return DueDates.getDayKey(completedAt) < due.date;
+    }
+
+    /*
+        Porcentaje de tareas terminadas antes de tiempo en la mejor categoría
+
+        Solo cuentan las categorías con al menos MIN_CATEGORY_TASKS tareas.
+    */
+    function measureBestCategory(tasks) {
+        const byCategory = {};
+
+        tasks.forEach(task => {
+            if (!task.category) return;
+            byCategory[task.category] = byCategory[task.category] || [];
+            byCategory[task.category].push(task);
+        });
+
+        return Object.values(byCategory)
+            .filter(categoryTasks => categoryTasks.length >= MIN_CATEGORY_TASKS)
+            .reduce((best, categoryTasks) => {
+                const early = categoryTasks.filter(isCompletedEarly).length;
+                return Math.max(best, Math.floor((early / categoryTasks.length) * 100));
+            }, 0);
+    }
+
+    /*
+        Evaluar las reglas sobre las tareas del usuario
+
+        Devuelve el estado de cada regla; unlocked se decide comparando
+        la medida con la meta (sin consultar lo ya guardado).
+    */
+    function evaluate(tasks) {
+        return RULES.map(rule => {
+            const current = Math.min(rule.measure(tasks), rule.target);
+
+            return {
+                id: rule.id,
+                icon: rule.icon,
+                name: I18n.t(`achievements.${rule.id}.name`),
+                description: I18n.t(`achievements.${rule.id}.description`, { min: MIN_CATEGORY_TASKS }),
+                target: rule.target,
+                unit: rule.unit || '',
+                current,
+                progress: Math.round((current / rule.target) * 100),
+                unlocked: current >= rule.target
+            };
+        });
+    }
+
+    /*
+        Evaluar y guardar los logros recién desbloqueados
+
+        Devuelve todos los logros con unlockedAt (fecha guardada o null)
+        y la lista de los que se desbloquearon en esta evaluación.
+    */
+    async function sync(userId, tasks) {
+        const stored = await DataStore.getAchievements({ userId });
+        const unlockedAtById = new Map(stored.map(record => [record.achievementId, record.unlockedAt]));
+        const newlyUnlocked = [];
+
+        const results = evaluate(tasks);
+
+        for (const achievement of results) {
+            if (unlockedAtById.has(achievement.id)) {
+                achievement.unlocked = true;
+                achievement.unlockedAt = unlockedAtById.get(achievement.id);
+                continue;
+            }
+
+            achievement.unlockedAt = null;
+            if (!achievement.unlocked) continue;
+
+            const record = await DataStore.createAchievement({
+                userId,
+                achievementId: achievement.id,
+                unlockedAt: new Date().toISOString()
+            });
+
+            achievement.unlockedAt = record.unlockedAt;
+            newlyUnlocked.push(achievement);
+            console.log(`🏆 Achievement unlocked: ${achievement.id}`);
+        }
+
+        return { achievements: results, newlyUnlocked };
+    }
+
+    /* Logros pendientes más cercanos a desbloquearse */
+    function getNextAchievements(achievements, limit = 3) {
+        return achievements
+            .filter(achievement => !achievement.unlocked)
+            .sort((a, b) => b.progress - a.progress)
+            .slice(0, limit);
+    }
+
+    return {
+        RULES,
+        evaluate,
+        sync,
+        getNextAchievements
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Achievements;
+}
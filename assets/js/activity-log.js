@@ -0,0 +1,149 @@
+/*
+    ===================================
+    ACTIVITY LOG - CRUDZASO v2
+    ===================================
+
+    Historial de actividad (auditoría) sobre la colección activities.
+    Cada evento guarda quién hizo el cambio, cuándo, sobre qué tarea o
+    usuario, y los valores anteriores y nuevos de cada campo modificado.
+
+    Tipos de evento:
+    - task.created, task.updated, task.status_changed, task.deleted
+    - profile.updated, profile.password_changed
+
+    Registrar un evento nunca debe romper la acción que lo originó:
+    los errores se informan por consola y la acción sigue su curso.
+*/
+
+const ActivityLog = (function() {
+
+    /* Campos que no se auditan (metadatos que cambian en cada guardado) */
+    const IGNORED_FIELDS = ['id', 'updatedAt', 'password', 'lastActive'];
+
+    /*
+        Diferencias campo a campo entre dos versiones de un registro
+
+        Devuelve [{ field, before, after }] solo con los campos que cambiaron.
+    */
+    function diffFields(before = {}, after = {}) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        return [...fields]
+            .filter(field => !IGNORED_FIELDS.includes(field))
+            .filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field]))
+            .map(field => ({
+                field,
+                before: before?.[field] === undefined ? null : before[field],
+                after: after?.[field] === undefined ? null : after[field]
+            }));
+    }
+
+    /*
+        Registrar un evento
+
+        actor: usuario que hace el cambio ({ id, name })
+        entity: registro afectado (tarea o usuario); before/after para el diff
+    */
+    async function record(type, { actor, entityType, entity, before = null, after = null }) {
+        const changes = diffFields(before, after);
+
+        // Una edición sin cambios reales no se registra
+        if (before && after && changes.length === 0) return null;
+
+        try {
+            return await DataStore.createActivity({
+                type,
+                actorId: actor.id,
+                actorName: actor.name,
+                entityType,
+                entityId: entity.id,
+                entityTitle: entity.title || entity.name || entity.email || entity.id,
+                ownerId: entityType === 'task' ? entity.userId : entity.id,
+                changes,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error(`❌ Could not record activity ${type}:`, error);
+            return null;
+        }
+    }
+
+    /* Atajos para las tareas */
+    function taskCreated(actor, task) {
+        return record('task.created', { actor, entityType: 'task', entity: task, after: task });
+    }
+
+    function taskUpdated(actor, before, after) {
+        const changes = diffFields(before, after);
+        const onlyStatus = changes.length > 0 &&
+            changes.every(change => ['status', 'completedAt'].includes(change.field));
+
+        return record(onlyStatus ? 'task.status_changed' : 'task.updated', {
+            actor, entityType: 'task', entity: after, before, after
+        });
+    }
+
+    function taskDeleted(actor, task) {
+        return record('task.deleted', { actor, entityType: 'task', entity: task, before: task });
+    }
+
+    /* Historial de una tarea (más reciente primero) */
+    async function getTaskHistory(taskId) {
+        const events = await DataStore.getActivities({ entityType: 'task', entityId: taskId });
+        return sortNewestFirst(events);
+    }
+
+    /*
+        Línea de tiempo de un usuario
+
+        Incluye lo que hizo el usuario y lo que otros (p. ej. un admin)
+        hicieron sobre sus tareas o su perfil.
+    */
+    async function getUserTimeline(userId, limit = 50) {
+        const [asActor, asOwner] = await Promise.all([
+            DataStore.getActivities({ actorId: userId }),
+            DataStore.getActivities({ ownerId: userId })
+        ]);
+
+        const byId = new Map([...asActor, ...asOwner].map(event => [event.id, event]));
+        return sortNewestFirst([...byId.values()]).slice(0, limit);
+    }
+
+    function sortNewestFirst(events) {
+        return events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /* Frase legible del evento, p. ej. "Ana edited “Lab report”" */
+    function describe(event) {
+        return I18n.t(`activity.event.${event.type}`, {
+            actor: event.actorName,
+            title: event.entityTitle
+        });
+    }
+
+    /* Valor de un campo para mostrar en el diff */
+    function formatValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (Array.isArray(value)) {
+            return value.map(item => (typeof item === 'object' ? item.title || JSON.stringify(item) : item)).join(', ') || '—';
+        }
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    return {
+        diffFields,
+        record,
+        taskCreated,
+        taskUpdated,
+        taskDeleted,
+        getTaskHistory,
+        getUserTimeline,
+        describe,
+        formatValue
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityLog;
+}
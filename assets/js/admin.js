@@ -0,0 +1,550 @@
+/* 
+    ===================================
+    ADMIN CONSOLE - CRUDZASO v2
+    ===================================
+    
+    Consola de administración de usuarios.
+    Lista todos los usuarios con búsqueda, cambio de rol,
+    desactivación de cuentas, restablecimiento de contraseñas
+    y estadísticas de tareas por usuario (TaskStatistics).
+*/
+
+// ==========================================
+// ESTADO GLOBAL Y CONFIGURACIÓN
+// ==========================================
+
+/* Estado de la consola */
+let adminState = {
+    currentUser: null,
+    users: [],
+    statsByUser: {},
+    platformStats: null,
+    searchTerm: '',
+    roleFilter: 'all',
+    expandedUserId: null
+};
+
+/* Configuración de la consola */
+const ADMIN_CONFIG = {
+    SEARCH_DEBOUNCE_DELAY: 300,
+    TEMP_PASSWORD_LENGTH: 12,
+    TEMP_PASSWORD_CHARSET: 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789', // Sin caracteres ambiguos
+    MESSAGE_DURATION: 5000,
+    ROLES: ['student', 'admin'] // Nombres en los catálogos de I18n (role.<id>)
+};
+
+let adminSearchTimeout = null;
+let adminMessageTimeout = null;
+
+// ==========================================
+// INICIALIZACIÓN DE LA PÁGINA
+// ==========================================
+
+/* 
+    Función maestra que inicializa la consola de administración
+*/
+document.addEventListener('DOMContentLoaded', async function() {
+    console.log('🛡️ CRUDZASO Admin Console v2 - Loading...');
+    
+    try {
+        // 1. Verificar autenticación
+        if (!await verifyAuthentication()) {
+            redirectToLogin();
+            return;
+        }
+        
+        // 2. Cargar usuario actual y verificar que sea admin
+        await loadCurrentUser();
+        
+        if (!Permissions.isAdmin(adminState.currentUser)) {
+            console.warn('🚫 Admin console denied for non-admin user');
+            alert(I18n.t('admin.denied'));
+            window.location.href = 'dashboard.html';
+            return;
+        }
+        
+        // 3. Cargar usuarios y estadísticas
+        await loadAdminData();
+        
+        // 4. Configurar búsqueda y filtros
+        setupAdminFilters();
+        
+        // 5. Renderizar la consola
+        renderAdminConsole();
+        
+        console.log('✅ Admin console fully loaded!');
+        
+    } catch (error) {
+        console.error('💥 Critical error loading admin console:', error);
+        alert(I18n.t('admin.loadFailed'));
+    }
+});
+
+// ==========================================
+// CARGA DE DATOS
+// ==========================================
+
+/* 
+    Cargar todos los usuarios y calcular las estadísticas de tareas
+    
+    Se usa TaskStatistics, el mismo cálculo que muestra el perfil,
+    para que un admin vea exactamente los números que ve cada usuario.
+*/
+async function loadAdminData() {
+    console.log('📊 Loading users and task statistics...');
+    
+    const [users, tasks] = await Promise.all([
+        DataStore.getUsers(),
+        DataStore.getTasks()
+    ]);
+    
+    adminState.users = users.sort((a, b) => a.name.localeCompare(b.name));
+    adminState.statsByUser = {};
+    
+    users.forEach(user => {
+        const userTasks = tasks.filter(task => Permissions.isOwner(user, task));
+        adminState.statsByUser[user.id] = TaskStatistics.calculateDetailedStatistics(userTasks);
+    });
+    
+    adminState.platformStats = TaskStatistics.calculateDetailedStatistics(tasks);
+    
+    console.log(`👥 Loaded ${users.length} users and ${tasks.length} tasks`);
+}
+
+/* 
+    Recargar datos y volver a renderizar
+*/
+async function refreshAdminData() {
+    try {
+        await loadAdminData();
+        renderAdminConsole();
+    } catch (error) {
+        console.error('❌ Error refreshing admin data:', error);
+        showAdminMessage(I18n.t('admin.refreshFailed'), 'error');
+    }
+}
+
+// ==========================================
+// BÚSQUEDA Y FILTROS
+// ==========================================
+
+/* 
+    Configurar búsqueda en tiempo real y filtro por rol
+*/
+function setupAdminFilters() {
+    const searchInput = document.getElementById('user-search');
+    const roleFilter = document.getElementById('role-filter');
+    
+    if (searchInput) {
+        searchInput.addEventListener('input', function(e) {
+            clearTimeout(adminSearchTimeout);
+            adminSearchTimeout = setTimeout(() => {
+                adminState.searchTerm = e.target.value.toLowerCase().trim();
+                renderUsersList();
+            }, ADMIN_CONFIG.SEARCH_DEBOUNCE_DELAY);
+        });
+    }
+    
+    if (roleFilter) {
+        roleFilter.addEventListener('change', function(e) {
+            adminState.roleFilter = e.target.value;
+            renderUsersList();
+        });
+    }
+    
+    console.log('🔍 Admin search and filters configured');
+}
+
+/* 
+    Usuarios que coinciden con la búsqueda y el filtro de rol
+*/
+function getFilteredUsers() {
+    const term = adminState.searchTerm;
+    
+    return adminState.users.filter(user => {
+        if (adminState.roleFilter !== 'all' && user.role !== adminState.roleFilter) {
+            return false;
+        }
+        
+        if (!term) return true;
+        
+        return [user.name, user.email, user.department, user.studentId]
+            .some(field => field && String(field).toLowerCase().includes(term));
+    });
+}
+
+// ==========================================
+// RENDERIZADO
+// ==========================================
+
+/* 
+    Renderizar resumen y lista de usuarios
+*/
+function renderAdminConsole() {
+    renderAdminSummary();
+    renderUsersList();
+}
+
+/* 
+    Renderizar las tarjetas de resumen de la plataforma
+*/
+function renderAdminSummary() {
+    const stats = adminState.platformStats || TaskStatistics.calculateDetailedStatistics([]);
+    const inactiveUsers = adminState.users.filter(user => user.isActive === false).length;
+    
+    updateElementText('admin-total-users', adminState.users.length);
+    updateElementText('admin-inactive-users', inactiveUsers);
+    updateElementText('admin-total-tasks', stats.totalTasks);
+    updateElementText('admin-completion-rate', I18n.formatPercent(stats.completionRate));
+}
+
+/* 
+    Renderizar la lista de usuarios filtrada
+*/
+function renderUsersList() {
+    const listContainer = document.getElementById('admin-users-list');
+    if (!listContainer) return;
+    
+    const users = getFilteredUsers();
+    listContainer.innerHTML = '';
+    
+    updateElementText('admin-results-count', I18n.plural('admin.users.results', adminState.users.length, { shown: I18n.formatNumber(users.length) }));
+    
+    if (users.length === 0) {
+        listContainer.innerHTML = `<div class="empty-state">${I18n.t('admin.users.empty')}</div>`;
+        return;
+    }
+    
+    users.forEach(user => listContainer.appendChild(createUserRow(user)));
+    
+    console.log(`👥 Rendered ${users.length} users`);
+}
+
+/* 
+    Crear la fila de un usuario con sus acciones
+*/
+function createUserRow(user) {
+    const stats = adminState.statsByUser[user.id];
+    const isSelf = user.id === adminState.currentUser.id;
+    const isInactive = user.isActive === false;
+    
+    const row = document.createElement('div');
+    row.className = `admin-user-row ${isInactive ? 'inactive' : ''}`;
+    row.setAttribute('data-user-id', user.id);
+    
+    row.innerHTML = `
+        <div class="admin-user-main">
+            <div class="admin-user-info">
+                <span class="admin-user-name">
+                    ${escapeHtml(user.name)}${isSelf ? ` <span class="admin-self">${I18n.t('admin.users.you')}</span>` : ''}
+                </span>
+                <span class="admin-user-email">${escapeHtml(user.email)}</span>
+                <span class="admin-user-meta">
+                    ${escapeHtml(user.department || I18n.t('admin.users.noDepartment'))} · ${I18n.t('admin.users.lastActive', { date: formatDate(user.lastActive) })}
+                </span>
+            </div>
+            
+            <div class="admin-user-tasks">
+                <span class="admin-task-count">${I18n.plural('admin.users.tasks', stats.totalTasks)}</span>
+                <span class="admin-task-meta">${I18n.t('admin.users.taskMeta', { rate: I18n.formatPercent(stats.completionRate), overdue: I18n.formatNumber(stats.overdueTasks) })}</span>
+            </div>
+            
+            <div class="admin-user-controls">
+                <select class="admin-select role-select" ${isSelf ? `disabled title="${I18n.t('admin.users.ownRole')}"` : ''}>
+                    ${ADMIN_CONFIG.ROLES.map(role => `
+                        <option value="${role}" ${user.role === role ? 'selected' : ''}>${I18n.label('role', role)}</option>
+                    `).join('')}
+                </select>
+                <span class="status-badge ${isInactive ? 'deactivated' : 'completed'}">
+                    ${isInactive ? I18n.t('admin.users.deactivated') : I18n.t('admin.users.active')}
+                </span>
+            </div>
+            
+            <div class="admin-user-actions">
+                <button class="btn btn-outline stats-btn" title="${I18n.t('admin.users.statsTitle')}">📊</button>
+                <button class="btn btn-outline reset-btn" title="${I18n.t('admin.users.resetTitle')}">🔑</button>
+                <button class="btn btn-outline active-btn" ${isSelf ? 'disabled' : ''}
+                        title="${isInactive ? I18n.t('admin.users.reactivateTitle') : I18n.t('admin.users.deactivateTitle')}">
+                    ${isInactive ? '✅' : '🚫'}
+                </button>
+            </div>
+        </div>
+        ${adminState.expandedUserId === user.id ? createUserStatsDetails(stats) : ''}
+    `;
+    
+    row.querySelector('.role-select').addEventListener('change', e => changeUserRole(user.id, e.target.value));
+    row.querySelector('.stats-btn').addEventListener('click', () => toggleUserStats(user.id));
+    row.querySelector('.reset-btn').addEventListener('click', () => resetUserPassword(user.id));
+    row.querySelector('.active-btn').addEventListener('click', () => toggleUserActive(user.id));
+    
+    return row;
+}
+
+/* 
+    Detalle de estadísticas de un usuario (mismos datos que su perfil)
+*/
+function createUserStatsDetails(stats) {
+    const categories = Object.entries(stats.categoryStats)
+        .map(([category, data]) => `<li>${escapeHtml(I18n.label('category', category))}: ${data.completed}/${data.total} (${I18n.formatPercent(data.completionRate)})</li>`)
+        .join('');
+    
+    return `
+        <div class="admin-user-stats">
+            <div class="admin-stats-grid">
+                <div><strong>${stats.completedTasks}</strong> ${I18n.t('admin.stats.completed')}</div>
+                <div><strong>${stats.inProgressTasks}</strong> ${I18n.t('admin.stats.inProgress')}</div>
+                <div><strong>${stats.pendingTasks}</strong> ${I18n.t('admin.stats.pending')}</div>
+                <div><strong>${stats.totalEstimatedHours}h</strong> ${I18n.t('admin.stats.estimated')}</div>
+                <div><strong>${stats.completedLast7Days}</strong> ${I18n.t('admin.stats.thisWeek')}</div>
+                <div><strong>${stats.averageTasksPerWeek}</strong> ${I18n.t('admin.stats.perWeek')}</div>
+            </div>
+            ${categories ? `<ul class="admin-category-stats">${categories}</ul>` : ''}
+        </div>
+    `;
+}
+
+/* 
+    Mostrar u ocultar las estadísticas de un usuario
+*/
+function toggleUserStats(userId) {
+    adminState.expandedUserId = adminState.expandedUserId === userId ? null : userId;
+    renderUsersList();
+}
+
+// ==========================================
+// ACCIONES SOBRE USUARIOS
+// ==========================================
+
+/* 
+    Buscar un usuario de la lista para una acción
+    
+    Un admin no puede cambiar su propio rol ni desactivarse,
+    así la plataforma nunca se queda sin administradores.
+*/
+function getUserForAction(userId, { allowSelf = true } = {}) {
+    const user = adminState.users.find(u => u.id === userId);
+    
+    if (!user) {
+        showAdminMessage(I18n.t('admin.error.notFound'), 'error');
+        return null;
+    }
+    
+    if (!allowSelf && user.id === adminState.currentUser.id) {
+        showAdminMessage(I18n.t('admin.error.self'), 'error');
+        return null;
+    }
+    
+    return user;
+}
+
+/* 
+    Cambiar el rol de un usuario
+*/
+async function changeUserRole(userId, newRole) {
+    const user = getUserForAction(userId, { allowSelf: false });
+    if (!user) return;
+    
+    if (!ADMIN_CONFIG.ROLES.includes(newRole)) {
+        showAdminMessage(I18n.t('admin.error.unknownRole', { role: newRole }), 'error');
+        return;
+    }
+    
+    if (!confirm(I18n.t('admin.confirm.role', { name: user.name, from: I18n.label('role', user.role), to: I18n.label('role', newRole) }))) {
+        renderUsersList(); // Restaurar el select
+        return;
+    }
+    
+    try {
+        const before = { ...user };
+        await DataStore.updateUser(user.id, { role: newRole });
+        user.role = newRole;
+        await recordUserChange(before, user);
+        
+        renderUsersList();
+        showAdminMessage(I18n.t(`admin.success.role.${newRole}`, { name: user.name }), 'success');
+        console.log(`🎭 Role changed: ${user.id} → ${newRole}`);
+        
+    } catch (error) {
+        console.error('❌ Error changing role:', error);
+        showAdminMessage(I18n.t('admin.error.role'), 'error');
+        renderUsersList();
+    }
+}
+
+/* Registrar en el historial un cambio hecho por el admin sobre un usuario */
+function recordUserChange(before, after) {
+    return ActivityLog.record('profile.updated', {
+        actor: adminState.currentUser,
+        entityType: 'user',
+        entity: after,
+        before,
+        after
+    });
+}
+
+/* 
+    Desactivar o reactivar una cuenta
+    
+    Al desactivar se revocan todas las sesiones del usuario,
+    así pierde el acceso también en los dispositivos ya conectados.
+*/
+async function toggleUserActive(userId) {
+    const user = getUserForAction(userId, { allowSelf: false });
+    if (!user) return;
+    
+    const deactivating = user.isActive !== false;
+    const question = deactivating ? 'admin.confirm.deactivate' : 'admin.confirm.reactivate';
+    
+    if (!confirm(I18n.t(question, { name: user.name }))) return;
+    
+    try {
+        const before = { ...user };
+        await DataStore.updateUser(user.id, { isActive: !deactivating });
+        user.isActive = !deactivating;
+        await recordUserChange(before, user);
+        
+        if (deactivating) {
+            await SessionManager.revokeAll(user.id);
+        }
+        
+        renderAdminConsole();
+        showAdminMessage(I18n.t(deactivating ? 'admin.success.deactivated' : 'admin.success.reactivated', { name: user.name }), 'success');
+        console.log(`${deactivating ? '🚫' : '✅'} Account ${deactivating ? 'deactivated' : 'reactivated'}: ${user.id}`);
+        
+    } catch (error) {
+        console.error('❌ Error updating account status:', error);
+        showAdminMessage(I18n.t('admin.error.status'), 'error');
+    }
+}
+
+/* 
+    Restablecer la contraseña de un usuario
+    
+    Genera una contraseña temporal, guarda solo su hash, cierra las
+    sesiones abiertas y limpia los bloqueos de login de ese email.
+    La contraseña temporal se muestra una única vez al admin.
+*/
+async function resetUserPassword(userId) {
+    const user = getUserForAction(userId);
+    if (!user) return;
+    
+    if (!confirm(I18n.t('admin.confirm.reset', { name: user.name }))) {
+        return;
+    }
+    
+    try {
+        const temporaryPassword = generateTemporaryPassword();
+        
+        await DataStore.updateUser(user.id, {
+            password: await PasswordHasher.hash(temporaryPassword)
+        });
+        await SessionManager.revokeAll(user.id);
+        await LoginAttempts.reset(user.email);
+        await ActivityLog.record('profile.password_changed', {
+            actor: adminState.currentUser,
+            entityType: 'user',
+            entity: user
+        });
+        
+        console.log(`🔑 Password reset for ${user.id}`);
+        
+        // Si el admin se restablece a sí mismo, su sesión también se cerró
+        if (user.id === adminState.currentUser.id) {
+            prompt(I18n.t('admin.reset.self'), temporaryPassword);
+            redirectToLogin();
+            return;
+        }
+        
+        prompt(I18n.t('admin.reset.temporary', { name: user.name }), temporaryPassword);
+        showAdminMessage(I18n.t('admin.success.reset', { name: user.name }), 'success');
+        
+    } catch (error) {
+        console.error('❌ Error resetting password:', error);
+        showAdminMessage(I18n.t('admin.error.reset'), 'error');
+    }
+}
+
+/* 
+    Generar contraseña temporal aleatoria
+*/
+function generateTemporaryPassword() {
+    const charset = ADMIN_CONFIG.TEMP_PASSWORD_CHARSET;
+    const bytes = crypto.getRandomValues(new Uint32Array(ADMIN_CONFIG.TEMP_PASSWORD_LENGTH));
+    return Array.from(bytes, value => charset[value % charset.length]).join('');
+}
+
+// ==========================================
+// FUNCIONES DE UTILIDAD
+// ==========================================
+
+/* Verificar autenticación (token vigente en la colección sessions) */
+async function verifyAuthentication() {
+    return await SessionManager.validate() !== null;
+}
+
+/* Cargar usuario actual */
+async function loadCurrentUser() {
+    const sessionData = SessionManager.getCurrent();
+    adminState.currentUser = {
+        id: sessionData.userId,
+        name: sessionData.name,
+        email: sessionData.email,
+        role: sessionData.role
+    };
+    
+    await UserPreferences.load(adminState.currentUser.id);
+    
+    // Campana de notificaciones (sin bloquear la carga)
+    NotificationCenter.mount(adminState.currentUser.id)
+        .catch(error => console.error('❌ Could not start notifications:', error));
+    
+    updateElementText('current-user-name', adminState.currentUser.name);
+    updateElementText('current-user-role', adminState.currentUser.role);
+}
+
+/* Mostrar mensaje de resultado */
+function showAdminMessage(message, type = 'info') {
+    const messageElement = document.getElementById('admin-message');
+    if (!messageElement) return;
+    
+    messageElement.className = `auth-message auth-message-${type}`;
+    messageElement.textContent = message;
+    messageElement.style.display = 'block';
+    
+    clearTimeout(adminMessageTimeout);
+    adminMessageTimeout = setTimeout(() => {
+        messageElement.style.display = 'none';
+    }, ADMIN_CONFIG.MESSAGE_DURATION);
+}
+
+/* Escapar HTML */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function updateElementText(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+}
+
+/* Formatear fecha */
+function formatDate(dateString) {
+    if (!dateString) return I18n.t('common.never');
+    return UserPreferences.formatDate(dateString, {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+/* Redirecciones */
+function redirectToLogin() {
+    window.location.href = '../index.html';
+}
+
+function goToProfile() {
+    window.location.href = 'profile.html';
+}
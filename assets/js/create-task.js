@@ -21,16 +21,22 @@ let taskFormState = {
     lastSave: null,
     validationErrors: {},
     suggestionMode: false,
-    previewMode: false
+    previewMode: false,
+    pendingDraft: null, // Borrador ofrecido para restaurar
+    subtasks: [] // Checklist ordenado: { id, title, completed, estimatedHours? }
 };
 
 /* Configuración avanzada del formulario */
 const FORM_CONFIG = {
     AUTO_SAVE_INTERVAL: 15000, // 15 segundos
-    MIN_TITLE_LENGTH: 3,
-    MAX_TITLE_LENGTH: 100,
-    MIN_DESCRIPTION_LENGTH: 10,
-    MAX_DESCRIPTION_LENGTH: 1000,
+    NEW_DRAFT_KEY_PREFIX: 'crudzaso_new_task_draft_', // + ID de usuario
+    DRAFT_KEY_PREFIX: 'crudzaso_task_draft_', // + ID de usuario + ':' + ID de la tarea en edición
+    DRAFT_MAX_AGE_DAYS: 7, // Los borradores más antiguos se eliminan al cargar
+    // Límites compartidos con el importador de tareas (TaskValidation)
+    MIN_TITLE_LENGTH: TaskValidation.RULES.MIN_TITLE_LENGTH,
+    MAX_TITLE_LENGTH: TaskValidation.RULES.MAX_TITLE_LENGTH,
+    MIN_DESCRIPTION_LENGTH: TaskValidation.RULES.MIN_DESCRIPTION_LENGTH,
+    MAX_DESCRIPTION_LENGTH: TaskValidation.RULES.MAX_DESCRIPTION_LENGTH,
     VALIDATION_DEBOUNCE: 500,
     CATEGORY_COLORS: {
         'Mathematics': '#6366f1',
@@ -50,42 +56,6 @@ const FORM_CONFIG = {
     }
 };
 
-/* Plantillas rápidas para diferentes tipos de tareas */
-const TASK_TEMPLATES = {
-    essay: {
-        title: 'Academic Essay Assignment',
-        description: 'Write a comprehensive essay analyzing the topic with proper citations and bibliography.',
-        estimatedHours: 8,
-        category: 'Literature',
-        priority: 'Medium',
-        tags: ['writing', 'research', 'analysis']
-    },
-    lab: {
-        title: 'Laboratory Experiment Report',
-        description: 'Conduct experiment, collect data, analyze results, and prepare detailed lab report.',
-        estimatedHours: 6,
-        category: 'Physics',
-        priority: 'High',
-        tags: ['lab', 'experiment', 'report']
-    },
-    presentation: {
-        title: 'Academic Presentation',
-        description: 'Prepare and deliver a presentation on assigned topic with visual aids.',
-        estimatedHours: 5,
-        category: 'History',
-        priority: 'Medium',
-        tags: ['presentation', 'research', 'public-speaking']
-    },
-    project: {
-        title: 'Course Final Project',
-        description: 'Complete comprehensive final project incorporating all course concepts and requirements.',
-        estimatedHours: 20,
-        category: 'Computer Science',
-        priority: 'High',
-        tags: ['project', 'final', 'comprehensive']
-    }
-};
-
 /* Variables globales */
 let autoSaveTimer = null;
 let validationTimer = null;
@@ -124,7 +94,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         setupAutoSave();
         
         // 7. Configurar plantillas y sugerencias
-        setupTemplatesAndSuggestions();
+        await setupTemplatesAndSuggestions();
         
         // 8. Configurar vista previa
         setupPreviewMode();
@@ -134,7 +104,10 @@ document.addEventListener('DOMContentLoaded', async function() {
             await loadTaskForEditing();
         }
         
-        // 10. Configurar atajos de teclado
+        // 10. Recuperar borradores auto-guardados
+        setupDraftRecovery();
+        
+        // 11. Configurar atajos de teclado
         setupFormKeyboardShortcuts();
         
         console.log('✅ Task creation system fully loaded!');
@@ -142,7 +115,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         
     } catch (error) {
         console.error('💥 Critical error initializing task form:', error);
-        showCriticalError('Failed to load task creation form. Please refresh the page.');
+        showCriticalError(I18n.t('createTask.loadFailed'));
     }
 });
 
@@ -163,14 +136,14 @@ async function determineFormMode() {
         console.log(`✏️ Entering edit mode for task: ${editTaskId}`);
         
         // Actualizar título de la página
-        updatePageTitle('Edit Task');
-        updateBreadcrumb('Edit Task');
+        updatePageTitle(I18n.t('createTask.editTitle'));
+        updateBreadcrumb('createTask.breadcrumb.edit');
     } else {
         taskFormState.isEditing = false;
         console.log('✨ Entering creation mode for new task');
         
-        updatePageTitle('Create New Task');
-        updateBreadcrumb('Create Task');
+        updatePageTitle(I18n.t('createTask.createTitle'));
+        updateBreadcrumb('createTask.breadcrumb.create');
     }
 }
 
@@ -195,6 +168,12 @@ function setupIntelligentForm() {
     // Configurar fecha mínima (no permitir fechas pasadas)
     setupDateValidation();
     
+    // Conectar el envío del formulario con el guardado
+    setupFormSubmission();
+    
+    // Configurar el editor del checklist de subtareas
+    setupSubtaskEditor();
+    
     console.log('✅ Intelligent form features configured');
 }
 
@@ -205,6 +184,10 @@ function setupCharacterCounters() {
     const titleInput = document.getElementById('task-title');
     const descriptionTextarea = document.getElementById('task-description');
     
+    // Texto inicial en el idioma del usuario
+    updateCharacterCounter('title-counter', 0, FORM_CONFIG.MAX_TITLE_LENGTH, FORM_CONFIG.MIN_TITLE_LENGTH);
+    updateCharacterCounter('description-counter', 0, FORM_CONFIG.MAX_DESCRIPTION_LENGTH, FORM_CONFIG.MIN_DESCRIPTION_LENGTH);
+    
     if (titleInput) {
         titleInput.addEventListener('input', function(e) {
             updateCharacterCounter(
@@ -242,7 +225,7 @@ function updateCharacterCounter(counterId, currentLength, maxLength, minLength =
     const progress = (currentLength / maxLength) * 100;
     
     // Actualizar texto
-    counter.textContent = `${currentLength}/${maxLength}`;
+    counter.textContent = I18n.t('createTask.counter', { current: currentLength, max: maxLength });
     
     // Actualizar clases CSS para retroalimentación visual
     counter.className = 'character-counter';
@@ -292,76 +275,30 @@ function setupRealTimeValidation() {
 
 /* 
     Validar campo individual con retroalimentación específica
+    
+    Las reglas viven en TaskValidation para que el importador
+    de tareas aplique exactamente las mismas.
 */
 function validateField(field) {
+    // La hora se valida junto con el día, en el campo de la fecha límite
+    if (field.id === 'task-due-time') {
+        field = document.getElementById('task-due-date');
+    }
+    
     const fieldName = field.name || field.id;
-    const value = field.value.trim();
-    let isValid = true;
-    let errorMessage = '';
+    const value = field.id === 'task-due-date' ? getDueDateValue() : field.value;
+    let errorMessage = TaskValidation.validateValue(fieldName, value);
+    
+    // Al editar, una fecha límite ya vencida se puede conservar sin cambios
+    if (errorMessage && isUnchangedDueDate(field)) {
+        errorMessage = null;
+    }
+    
+    const isValid = errorMessage === null;
     
     // Limpiar errores previos
     clearFieldError(field);
     
-    switch (fieldName) {
-        case 'task-title':
-        case 'title':
-            if (!value) {
-                isValid = false;
-                errorMessage = 'Task title is required';
-            } else if (value.length < FORM_CONFIG.MIN_TITLE_LENGTH) {
-                isValid = false;
-                errorMessage = `Title must be at least ${FORM_CONFIG.MIN_TITLE_LENGTH} characters`;
-            } else if (value.length > FORM_CONFIG.MAX_TITLE_LENGTH) {
-                isValid = false;
-                errorMessage = `Title cannot exceed ${FORM_CONFIG.MAX_TITLE_LENGTH} characters`;
-            }
-            break;
-            
-        case 'task-description':
-        case 'description':
-            if (!value) {
-                isValid = false;
-                errorMessage = 'Task description is required';
-            } else if (value.length < FORM_CONFIG.MIN_DESCRIPTION_LENGTH) {
-                isValid = false;
-                errorMessage = `Description must be at least ${FORM_CONFIG.MIN_DESCRIPTION_LENGTH} characters`;
-            } else if (value.length > FORM_CONFIG.MAX_DESCRIPTION_LENGTH) {
-                isValid = false;
-                errorMessage = `Description cannot exceed ${FORM_CONFIG.MAX_DESCRIPTION_LENGTH} characters`;
-            }
-            break;
-            
-        case 'task-due-date':
-        case 'dueDate':
-            if (value) {
-                const selectedDate = new Date(value);
-                const today = new Date();
-                today.setHours(0, 0, 0, 0);
-                
-                if (selectedDate < today) {
-                    isValid = false;
-                    errorMessage = 'Due date cannot be in the past';
-                }
-            }
-            break;
-            
-        case 'task-category':
-        case 'category':
-            if (!value) {
-                isValid = false;
-                errorMessage = 'Please select a category';
-            }
-            break;
-            
-        case 'task-estimated-hours':
-        case 'estimatedHours':
-            if (value && (isNaN(value) || value <= 0 || value > 100)) {
-                isValid = false;
-                errorMessage = 'Estimated hours must be between 1 and 100';
-            }
-            break;
-    }
-    
     // Guardar estado de validación
     taskFormState.validationErrors[fieldName] = isValid ? null : errorMessage;
     
@@ -454,13 +391,11 @@ function performAutoSave() {
     try {
         const formData = collectFormData();
         
-        // Guardar en localStorage como borrador
-        const draftKey = taskFormState.isEditing ? 
-            `crudzaso_task_draft_${taskFormState.editingTaskId}` : 
-            'crudzaso_new_task_draft';
-            
-        localStorage.setItem(draftKey, JSON.stringify({
+        // Guardar en localStorage como borrador (del usuario actual)
+        localStorage.setItem(getDraftKey(), JSON.stringify({
             ...formData,
+            taskId: taskFormState.isEditing ? taskFormState.editingTaskId : null,
+            userId: currentUser.id,
             savedAt: new Date().toISOString(),
             isAutoSave: true
         }));
@@ -491,18 +426,35 @@ async function saveTask() {
         
         // Recopilar datos del formulario
         const taskData = collectFormData();
+        const now = new Date().toISOString();
         
         // Preparar datos para guardado
-        const taskToSave = {
+        // Al editar se parte de la tarea cargada para no perder los campos
+        // que el formulario no muestra; createdAt y userId no cambian.
+        const taskToSave = taskFormState.isEditing ? {
+            ...taskFormState.currentTask,
             ...taskData,
-            id: taskFormState.isEditing ? taskFormState.editingTaskId : generateTaskId(),
-            createdAt: taskFormState.isEditing ? taskFormState.currentTask.createdAt : new Date().toISOString(),
-            updatedAt: new Date().toISOString(),
+            id: taskFormState.editingTaskId,
+            createdAt: taskFormState.currentTask.createdAt,
+            updatedAt: now,
+            completedAt: getCompletedAt(taskData.status, taskFormState.currentTask, now),
+            userId: taskFormState.currentTask.userId
+        } : {
+            ...taskData,
+            id: generateTaskId(),
+            createdAt: now,
+            updatedAt: now,
+            completedAt: getCompletedAt(taskData.status, {}, now),
             userId: currentUser.id
         };
         
-        // Guardar en localStorage (en producción sería una API)
-        await saveTaskToStorage(taskToSave);
+        // Guardar a través de la capa de datos
+        if (!await saveTaskToStorage(taskToSave)) {
+            console.log('❌ Save cancelled: task was modified elsewhere');
+            return false;
+        }
+        
+        taskFormState.isDirty = false;
         
         // Limpiar borrador
         clearDraft();
@@ -543,63 +495,732 @@ function collectFormData() {
         category: formData.get('category') || formData.get('task-category'),
         priority: formData.get('priority') || formData.get('task-priority') || 'Medium',
         status: formData.get('status') || formData.get('task-status') || 'Pending',
-        dueDate: formData.get('dueDate') || formData.get('task-due-date'),
+        dueDate: DueDates.compose(
+            formData.get('dueDate') || formData.get('task-due-date'),
+            formData.get('dueTime') || formData.get('task-due-time')
+        ),
         estimatedHours: parseInt(formData.get('estimatedHours') || formData.get('task-estimated-hours')) || 1,
         assignee: formData.get('assignee') || formData.get('task-assignee') || currentUser.name,
         tags: tags,
-        difficulty: formData.get('difficulty') || formData.get('task-difficulty') || 'Medium'
+        difficulty: formData.get('difficulty') || formData.get('task-difficulty') || 'Medium',
+        subtasks: taskFormState.subtasks
+            .filter(subtask => subtask.title.trim())
+            .map(subtask => ({ ...subtask, title: subtask.title.trim() }))
     };
 }
 
 /* 
-    Guardar tarea en localStorage
+    Guardar tarea en el almacenamiento (API o localStorage)
+    
+    Devuelve false si el usuario decide no sobrescribir una tarea
+    que fue modificada en otro lugar después de abrirla.
 */
 async function saveTaskToStorage(taskData) {
     console.log('💾 Saving task to storage...');
     
-    // Cargar tareas existentes
-    let existingTasks = JSON.parse(localStorage.getItem('crudzaso_tasks') || '[]');
-    
     if (taskFormState.isEditing) {
         // Actualizar tarea existente
-        const taskIndex = existingTasks.findIndex(task => task.id === taskFormState.editingTaskId);
-        if (taskIndex !== -1) {
-            existingTasks[taskIndex] = taskData;
-            console.log('📝 Updated existing task');
-        } else {
+        const existingTask = await DataStore.getTask(taskFormState.editingTaskId);
+        if (!existingTask) {
             throw new Error('Task not found for editing');
         }
+        
+        // Solo el dueño o un admin pueden editar; la tarea conserva su dueño
+        Permissions.assertCanAccessTask(currentUser, existingTask, 'edit');
+        
+        if (hasTaskChangedSinceLoaded(existingTask) && !confirmOverwrite(existingTask)) {
+            return false;
+        }
+        
+        const updatedTask = await DataStore.replaceTask(taskFormState.editingTaskId, {
+            ...taskData,
+            createdAt: existingTask.createdAt,
+            userId: existingTask.userId
+        });
+        await ActivityLog.taskUpdated(currentUser, existingTask, updatedTask);
+        
+        // La versión guardada es la nueva base: guardar otra vez no es un conflicto
+        taskFormState.currentTask = updatedTask;
+        console.log('📝 Updated existing task');
     } else {
         // Agregar nueva tarea
-        existingTasks.push(taskData);
+        const createdTask = await DataStore.createTask(taskData);
+        await ActivityLog.taskCreated(currentUser, createdTask);
         console.log('➕ Added new task');
     }
     
-    // Guardar de vuelta
-    localStorage.setItem('crudzaso_tasks', JSON.stringify(existingTasks));
-    
     console.log('✅ Task saved to storage successfully');
+    return true;
+}
+
+// ==========================================
+// MODO EDICIÓN
+// ==========================================
+
+/* Campos que el formulario muestra y edita */
+const EDITABLE_TASK_FIELDS = [
+    'title', 'description', 'category', 'priority', 'status',
+    'dueDate', 'estimatedHours', 'assignee', 'tags', 'difficulty', 'subtasks'
+];
+
+/* 
+    Cargar la tarea a editar y rellenar el formulario
+    
+    La tarea cargada queda en taskFormState.currentTask: es la base
+    del guardado y la referencia para detectar cambios externos.
+*/
+async function loadTaskForEditing() {
+    console.log('✏️ Loading task data for editing...');
+    
+    const task = await DataStore.getTask(taskFormState.editingTaskId);
+    
+    if (!task) {
+        alert(I18n.t('createTask.editMissing'));
+        redirectToTasksList();
+        return;
+    }
+    
+    if (!Permissions.canAccessTask(currentUser, task, 'edit')) {
+        alert(Permissions.getDeniedMessage('edit', task));
+        redirectToTasksList();
+        return;
+    }
+    
+    taskFormState.currentTask = task;
+    populateForm(task);
+    
+    updatePageTitle(I18n.t('createTask.editTitleNamed', { title: task.title }));
+    
+    const submitButton = document.getElementById('submit-btn');
+    if (submitButton) {
+        // Cambiar la clave para que una nueva traducción de la página la respete
+        submitButton.dataset.i18n = 'createTask.update';
+        submitButton.textContent = I18n.t('createTask.update');
+    }
+    
+    console.log(`✅ Task loaded for editing: ${task.title}`);
+}
+
+/* 
+    Rellenar todos los campos del formulario con una tarea
+*/
+function populateForm(task) {
+    const due = DueDates.parse(task.dueDate);
+    const values = {
+        'task-title': task.title,
+        'task-description': task.description,
+        'task-category': task.category,
+        'task-priority': task.priority || 'Medium',
+        'task-status': task.status || 'Pending',
+        'task-due-date': due ? due.date : '',
+        'task-due-time': due && due.time ? due.time : '',
+        'task-estimated-hours': task.estimatedHours || 1,
+        'task-assignee': task.assignee,
+        'task-tags': (task.tags || []).join(', '),
+        'task-difficulty': task.difficulty || 'Medium'
+    };
+    
+    Object.entries(values).forEach(([id, value]) => {
+        const field = document.getElementById(id);
+        if (field) field.value = value === undefined || value === null ? '' : value;
+    });
+    
+    // Copia del checklist: los cambios no tocan la tarea cargada hasta guardar
+    taskFormState.subtasks = (task.subtasks || []).map(subtask => ({ ...subtask }));
+    renderSubtaskEditor();
+    
+    // Una fecha límite vencida debe seguir siendo aceptada por el input
+    const dateInput = document.getElementById('task-due-date');
+    if (dateInput && dateInput.value && dateInput.min && dateInput.value < dateInput.min) {
+        dateInput.min = dateInput.value;
+    }
+    
+    updateCharacterCounter('title-counter', (values['task-title'] || '').length, FORM_CONFIG.MAX_TITLE_LENGTH, FORM_CONFIG.MIN_TITLE_LENGTH);
+    updateCharacterCounter('description-counter', (values['task-description'] || '').length, FORM_CONFIG.MAX_DESCRIPTION_LENGTH, FORM_CONFIG.MIN_DESCRIPTION_LENGTH);
+    
+    taskFormState.isDirty = false;
+}
+
+/* Fecha límite del formulario: día y hora opcional, como se guarda */
+function getDueDateValue() {
+    const dateInput = document.getElementById('task-due-date');
+    const timeInput = document.getElementById('task-due-time');
+    return DueDates.compose(dateInput ? dateInput.value : '', timeInput ? timeInput.value : '');
+}
+
+/* Fecha límite sin cambios respecto a la tarea que se está editando */
+function isUnchangedDueDate(field) {
+    if (!taskFormState.isEditing || field.id !== 'task-due-date') return false;
+    
+    const original = DueDates.parse(taskFormState.currentTask.dueDate);
+    return Boolean(original) && getDueDateValue() === DueDates.compose(original.date, original.time);
+}
+
+/* 
+    Detectar si la tarea cambió en otro lugar desde que se abrió
+    
+    Se compara updatedAt; las tareas antiguas sin esa marca se
+    comparan por sus campos editables.
+*/
+function hasTaskChangedSinceLoaded(latestTask) {
+    const loadedTask = taskFormState.currentTask;
+    
+    if (latestTask.updatedAt || loadedTask.updatedAt) {
+        return latestTask.updatedAt !== loadedTask.updatedAt;
+    }
+    
+    return EDITABLE_TASK_FIELDS.some(field =>
+        JSON.stringify(latestTask[field]) !== JSON.stringify(loadedTask[field]));
+}
+
+/* Confirmar si se sobrescriben los cambios hechos en otro lugar */
+function confirmOverwrite(latestTask) {
+    const changedAt = latestTask.updatedAt ?
+        UserPreferences.formatDateTime(latestTask.updatedAt) :
+        I18n.t('createTask.conflict.recently');
+    
+    return confirm(I18n.t('createTask.conflict.confirm', { title: latestTask.title, changedAt }));
+}
+
+// ==========================================
+// SUBTAREAS (CHECKLIST)
+// ==========================================
+
+/* 
+    Configurar el alta de subtareas
+    
+    Enter en el título agrega la subtarea en lugar de enviar el formulario.
+*/
+function setupSubtaskEditor() {
+    const titleInput = document.getElementById('new-subtask-title');
+    if (!titleInput) return;
+    
+    titleInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            addSubtask();
+        }
+    });
+    
+    // Enter dentro de una subtarea existente tampoco envía el formulario
+    document.getElementById('subtask-editor').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' && e.target.tagName === 'INPUT') {
+            e.preventDefault();
+        }
+    });
+    
+    renderSubtaskEditor();
+}
+
+function createSubtask(title, estimatedHours = null) {
+    const subtask = {
+        id: 'subtask_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        title,
+        completed: false
+    };
+    if (estimatedHours) subtask.estimatedHours = estimatedHours;
+    return subtask;
+}
+
+/* Agregar una subtarea al final del checklist */
+function addSubtask() {
+    const titleInput = document.getElementById('new-subtask-title');
+    const hoursInput = document.getElementById('new-subtask-hours');
+    const title = titleInput.value.trim();
+    
+    if (!title) {
+        titleInput.focus();
+        return;
+    }
+    
+    const hours = parseFloat(hoursInput.value);
+    if (hoursInput.value && (isNaN(hours) || hours <= 0 || hours > 100)) {
+        alert(I18n.t('createTask.subtasks.hoursRange'));
+        hoursInput.focus();
+        return;
+    }
+    
+    taskFormState.subtasks.push(createSubtask(title, hours || null));
+    titleInput.value = '';
+    hoursInput.value = '';
+    titleInput.focus();
+    
+    markFormAsDirty();
+    renderSubtaskEditor();
+}
+
+/* Editar un campo de una subtarea (título, horas o estado) */
+function updateSubtask(index, field, value) {
+    const subtask = taskFormState.subtasks[index];
+    if (!subtask) return;
+    
+    if (field === 'estimatedHours') {
+        const hours = parseFloat(value);
+        if (hours > 0) {
+            subtask.estimatedHours = hours;
+        } else {
+            delete subtask.estimatedHours;
+        }
+    } else {
+        subtask[field] = value;
+    }
+    
+    markFormAsDirty();
+    updateSubtaskSummary();
+}
+
+/* Mover una subtarea hacia arriba (-1) o hacia abajo (+1) */
+function moveSubtask(index, offset) {
+    const target = index + offset;
+    const subtasks = taskFormState.subtasks;
+    if (target < 0 || target >= subtasks.length) return;
+    
+    [subtasks[index], subtasks[target]] = [subtasks[target], subtasks[index]];
+    
+    markFormAsDirty();
+    renderSubtaskEditor();
+}
+
+function removeSubtask(index) {
+    taskFormState.subtasks.splice(index, 1);
+    
+    markFormAsDirty();
+    renderSubtaskEditor();
+}
+
+/* 
+    Dibujar el checklist editable
+*/
+function renderSubtaskEditor() {
+    const list = document.getElementById('subtask-editor');
+    if (!list) return;
+    
+    const subtasks = taskFormState.subtasks;
+    
+    list.innerHTML = subtasks.map((subtask, index) => `
+        <li class="subtask-editor-item ${subtask.completed ? 'completed' : ''}">
+            <input type="checkbox" 
+                   aria-label="${I18n.t('createTask.subtasks.done')}"
+                   ${subtask.completed ? 'checked' : ''}
+                   onchange="updateSubtask(${index}, 'completed', this.checked); this.closest('li').classList.toggle('completed', this.checked)">
+            <input type="text" 
+                   class="subtask-title-input" 
+                   value="${escapeHtml(subtask.title)}"
+                   maxlength="${FORM_CONFIG.MAX_TITLE_LENGTH}"
+                   aria-label="${I18n.t('createTask.subtasks.titleLabel')}"
+                   oninput="updateSubtask(${index}, 'title', this.value)">
+            <input type="number" 
+                   class="subtask-hours-input" 
+                   value="${subtask.estimatedHours || ''}"
+                   min="0.5" max="100" step="0.5" placeholder="h"
+                   aria-label="${I18n.t('createTask.subtasks.hours')}"
+                   onchange="updateSubtask(${index}, 'estimatedHours', this.value)">
+            <button type="button" class="subtask-btn" title="${I18n.t('createTask.subtasks.moveUp')}" onclick="moveSubtask(${index}, -1)" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button type="button" class="subtask-btn" title="${I18n.t('createTask.subtasks.moveDown')}" onclick="moveSubtask(${index}, 1)" ${index === subtasks.length - 1 ? 'disabled' : ''}>↓</button>
+            <button type="button" class="subtask-btn remove" title="${I18n.t('common.remove')}" onclick="removeSubtask(${index})">×</button>
+        </li>
+    `).join('');
+    
+    updateSubtaskSummary();
+}
+
+/* Resumen del checklist: completadas, avance y horas */
+function updateSubtaskSummary() {
+    const summary = document.getElementById('subtask-summary');
+    if (!summary) return;
+    
+    const subtasks = taskFormState.subtasks;
+    if (subtasks.length === 0) {
+        summary.textContent = I18n.t('createTask.subtasks.help');
+        return;
+    }
+    
+    const completed = subtasks.filter(subtask => subtask.completed).length;
+    const hours = subtasks.reduce((sum, subtask) => sum + (Number(subtask.estimatedHours) || 0), 0);
+    const progress = TaskStatistics.calculateTaskProgress({ subtasks });
+    
+    summary.textContent = I18n.t('createTask.subtasks.summary', {
+        completed,
+        total: subtasks.length,
+        progress: I18n.formatPercent(progress)
+    }) + (hours > 0 ? ` · ${I18n.t('createTask.subtasks.hoursSummary', { hours: I18n.formatNumber(hours) })}` : '');
+}
+
+// ==========================================
+// PLANTILLAS DE TAREAS
+// ==========================================
+
+/* 
+    Galería de plantillas (solo al crear una tarea nueva)
+    
+    Muestra las plantillas predefinidas y las guardadas por el usuario.
+*/
+async function setupTemplatesAndSuggestions() {
+    const gallery = document.getElementById('template-gallery');
+    if (!gallery) return;
+    
+    if (taskFormState.isEditing) {
+        gallery.style.display = 'none';
+        return;
+    }
+    
+    await renderTemplateGallery();
+    console.log('📋 Templates and suggestions ready');
+}
+
+async function renderTemplateGallery() {
+    const list = document.getElementById('template-list');
+    if (!list) return;
+    
+    try {
+        const templates = await TaskTemplates.getAll(currentUser.id);
+        
+        list.innerHTML = templates.map(template => `
+            <div class="template-card" role="button" tabindex="0"
+                 onclick="applyTemplate('${escapeHtml(template.id)}')"
+                 onkeydown="if (event.key === 'Enter') applyTemplate('${escapeHtml(template.id)}')">
+                <div class="template-card-header">
+                    <span class="template-icon">${escapeHtml(template.icon || '📋')}</span>
+                    <span class="template-name">${escapeHtml(template.name)}</span>
+                    ${template.isBuiltIn ? '' : `
+                        <button type="button" class="template-delete-btn" title="${I18n.t('createTask.templates.delete')}"
+                                onclick="event.stopPropagation(); deleteTemplate('${escapeHtml(template.id)}')">×</button>
+                    `}
+                </div>
+                <div class="template-meta">
+                    ${escapeHtml(template.category ? I18n.label('category', template.category) : I18n.t('createTask.templates.noCategory'))} · ${escapeHtml(TaskTemplates.describeDueOffset(template))}
+                    ${template.subtasks && template.subtasks.length > 0 ? ` · ☑️ ${I18n.plural('createTask.templates.items', template.subtasks.length)}` : ''}
+                </div>
+            </div>
+        `).join('');
+        
+    } catch (error) {
+        console.error('❌ Error loading templates:', error);
+        list.innerHTML = `<p class="template-meta">${I18n.t('createTask.templates.loadFailed')}</p>`;
+    }
+}
+
+/* 
+    Rellenar el formulario con una plantilla
+    
+    La fecha límite relativa se calcula desde hoy y el checklist
+    se carga como subtareas de la nueva tarea.
+*/
+async function applyTemplate(templateId) {
+    const template = await TaskTemplates.get(templateId, currentUser.id);
+    if (!template) return;
+    
+    if (taskFormState.isDirty && !confirm(I18n.t('createTask.templates.confirmReplace', { name: template.name }))) {
+        return;
+    }
+    
+    populateForm({
+        title: template.title,
+        description: template.description,
+        category: template.category,
+        priority: template.priority,
+        status: 'Pending',
+        dueDate: TaskTemplates.resolveDueDate(template),
+        estimatedHours: template.estimatedHours,
+        tags: template.tags,
+        difficulty: template.difficulty,
+        subtasks: (template.subtasks || []).map(title => createSubtask(title))
+    });
+    
+    taskFormState.isDirty = true;
+    
+    const checklistCount = taskFormState.subtasks.length;
+    const note = document.getElementById('template-applied');
+    if (note) {
+        note.textContent = I18n.t('createTask.templates.using', { name: template.name }) +
+            (checklistCount > 0 ? ` · ${I18n.plural('createTask.templates.itemsAdded', checklistCount)}` : '');
+        note.style.display = 'block';
+    }
+    
+    console.log(`📋 Template applied: ${template.name}`);
+}
+
+async function deleteTemplate(templateId) {
+    if (!confirm(I18n.t('createTask.templates.confirmDelete'))) return;
+    
+    try {
+        await TaskTemplates.remove(templateId);
+        await renderTemplateGallery();
+    } catch (error) {
+        console.error('❌ Error deleting template:', error);
+        alert(I18n.t('createTask.templates.deleteFailed'));
+    }
+}
+
+// ==========================================
+// RECUPERACIÓN DE BORRADORES
+// ==========================================
+
+/* 
+    Ofrecer el borrador de este formulario y listar los demás
+    
+    Primero se eliminan los borradores vencidos para que no
+    aparezcan en ninguna de las dos vistas.
+*/
+function setupDraftRecovery() {
+    pruneExpiredDrafts();
+    
+    const draft = readDraft(getDraftKey());
+    if (draft && draft.userId === currentUser.id) {
+        offerDraftRestore(draft);
+    }
+    
+    renderMyDrafts();
+}
+
+/* 
+    Clave del borrador del formulario actual
+    
+    Incluye el ID del usuario para que las cuentas que comparten
+    navegador no se pisen los borradores.
+*/
+function getDraftKey(taskId = taskFormState.isEditing ? taskFormState.editingTaskId : null) {
+    return taskId ? getEditDraftKeyPrefix() + taskId : FORM_CONFIG.NEW_DRAFT_KEY_PREFIX + currentUser.id;
+}
+
+function getEditDraftKeyPrefix() {
+    return `${FORM_CONFIG.DRAFT_KEY_PREFIX}${currentUser.id}:`;
+}
+
+/* ID de la tarea de un borrador de edición (null si es de una tarea nueva) */
+function getDraftTaskId(key) {
+    const prefix = getEditDraftKeyPrefix();
+    return key.startsWith(prefix) ? key.slice(prefix.length) : null;
+}
+
+function readDraft(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+        console.error(`❌ Invalid draft in ${key}:`, error);
+        return null;
+    }
+}
+
+/* Claves de los borradores del usuario actual */
+function getDraftKeys() {
+    return Object.keys(localStorage).filter(key =>
+        key === FORM_CONFIG.NEW_DRAFT_KEY_PREFIX + currentUser.id || key.startsWith(getEditDraftKeyPrefix()));
+}
+
+/* Claves de borradores de cualquier usuario en este navegador */
+function getAllDraftKeys() {
+    return Object.keys(localStorage).filter(key =>
+        key.startsWith(FORM_CONFIG.NEW_DRAFT_KEY_PREFIX) || key.startsWith(FORM_CONFIG.DRAFT_KEY_PREFIX));
+}
+
+/* 
+    Eliminar borradores más antiguos que DRAFT_MAX_AGE_DAYS
+    
+    Se revisan los de todos los usuarios del navegador; los ilegibles
+    o sin fecha también se eliminan.
+*/
+function pruneExpiredDrafts() {
+    const maxAge = FORM_CONFIG.DRAFT_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    let pruned = 0;
+    
+    getAllDraftKeys().forEach(key => {
+        const draft = readDraft(key);
+        const savedAt = draft && new Date(draft.savedAt).getTime();
+        
+        if (!savedAt || Date.now() - savedAt > maxAge) {
+            localStorage.removeItem(key);
+            pruned++;
+        }
+    });
+    
+    if (pruned > 0) {
+        console.log(`🧹 Pruned ${pruned} expired draft(s)`);
+    }
+}
+
+/* 
+    Mostrar el aviso de borrador con las opciones restaurar / descartar
+    
+    En modo edición se listan los campos que difieren de la tarea
+    guardada; un borrador idéntico a la tarea se descarta sin preguntar.
+*/
+function offerDraftRestore(draft) {
+    const banner = document.getElementById('draft-banner');
+    if (!banner) return;
+    
+    const diffList = document.getElementById('draft-diff');
+    diffList.innerHTML = '';
+    
+    if (taskFormState.isEditing) {
+        const differences = getDraftDifferences(draft, taskFormState.currentTask);
+        
+        if (differences.length === 0) {
+            clearDraft();
+            return;
+        }
+        
+        diffList.innerHTML = differences.map(({ field, saved, draft: drafted }) => `
+            <li>
+                <strong>${escapeHtml(I18n.t(DRAFT_FIELD_LABELS[field]))}:</strong>
+                <span class="draft-diff-saved">${escapeHtml(saved) || '—'}</span>
+                →
+                <span class="draft-diff-draft">${escapeHtml(drafted) || '—'}</span>
+            </li>
+        `).join('');
+    }
+    
+    document.getElementById('draft-banner-info').textContent =
+        I18n.t('createTask.draft.savedAt', { date: UserPreferences.formatDateTime(draft.savedAt) }) +
+        (draft.title ? ` · "${draft.title}"` : '');
+    
+    taskFormState.pendingDraft = draft;
+    banner.style.display = 'block';
+}
+
+/* Claves de traducción de los campos en el diff del borrador */
+const DRAFT_FIELD_LABELS = {
+    title: 'createTask.draftField.title',
+    description: 'createTask.field.description',
+    category: 'createTask.field.category',
+    priority: 'createTask.field.priority',
+    status: 'createTask.field.status',
+    dueDate: 'createTask.field.dueDate',
+    estimatedHours: 'createTask.field.estimatedHours',
+    assignee: 'createTask.field.assignee',
+    tags: 'createTask.field.tags',
+    difficulty: 'createTask.field.difficulty',
+    subtasks: 'createTask.field.checklist'
+};
+
+/* 
+    Campos del borrador que difieren de la tarea guardada
+    
+    Ambos lados se comparan como texto, en el mismo formato que
+    muestra el formulario (tags separados por comas, fecha YYYY-MM-DD
+    con la hora si la tiene).
+*/
+function getDraftDifferences(draft, task) {
+    const asText = (field, value) => {
+        if (value === undefined || value === null) return '';
+        if (field === 'tags') return (value || []).join(', ');
+        if (field === 'subtasks') return (value || []).map(subtask => `${subtask.completed ? '☑' : '☐'} ${subtask.title}`).join(', ');
+        if (field === 'dueDate') {
+            const due = DueDates.parse(value);
+            return due ? DueDates.compose(due.date, due.time) : String(value);
+        }
+        return String(value);
+    };
+    
+    return EDITABLE_TASK_FIELDS
+        .map(field => ({
+            field,
+            saved: asText(field, task[field]),
+            draft: asText(field, draft[field])
+        }))
+        .filter(({ saved, draft: drafted }) => saved !== drafted);
+}
+
+/* Restaurar el borrador pendiente en el formulario */
+function restoreDraft() {
+    const draft = taskFormState.pendingDraft;
+    if (!draft) return;
+    
+    populateForm({ ...taskFormState.currentTask, ...draft });
+    
+    // Lo restaurado todavía no está guardado
+    taskFormState.isDirty = true;
+    hideDraftBanner();
+    
+    console.log('♻️ Draft restored');
+}
+
+/* Descartar el borrador pendiente */
+function discardDraft() {
+    clearDraft();
+    hideDraftBanner();
+    renderMyDrafts();
+    
+    console.log('🗑️ Draft discarded');
+}
+
+function hideDraftBanner() {
+    taskFormState.pendingDraft = null;
+    document.getElementById('draft-banner').style.display = 'none';
+}
+
+/* 
+    Lista "My drafts": borradores pendientes del usuario actual
+    
+    Cada borrador abre el formulario correspondiente (nueva tarea o
+    edición), donde se ofrece restaurarlo.
+*/
+function renderMyDrafts() {
+    const container = document.getElementById('my-drafts');
+    const list = document.getElementById('my-drafts-list');
+    if (!container || !list) return;
+    
+    const drafts = getDraftKeys()
+        .map(key => ({ key, draft: readDraft(key) }))
+        .filter(({ draft }) => draft && draft.userId === currentUser.id)
+        .sort((a, b) => new Date(b.draft.savedAt) - new Date(a.draft.savedAt));
+    
+    container.style.display = drafts.length > 0 ? 'block' : 'none';
+    
+    list.innerHTML = drafts.map(({ key, draft }) => {
+        const taskId = getDraftTaskId(key);
+        const href = taskId ? `create-task.html?edit=${encodeURIComponent(taskId)}` : 'create-task.html';
+        
+        return `
+            <li class="my-draft-item">
+                <a href="${href}" class="my-draft-link">
+                    <span class="my-draft-title">${escapeHtml(draft.title) || I18n.t('createTask.drafts.untitled')}</span>
+                    <span class="my-draft-meta">${taskId ? I18n.t('createTask.drafts.editing') : I18n.t('createTask.drafts.new')} · ${escapeHtml(UserPreferences.formatDateTime(draft.savedAt))}</span>
+                </a>
+                <button type="button" class="btn btn-secondary" onclick="deleteDraft('${escapeHtml(key)}')">${I18n.t('common.delete')}</button>
+            </li>
+        `;
+    }).join('');
+}
+
+/* Eliminar un borrador desde la lista */
+function deleteDraft(key) {
+    if (!confirm(I18n.t('createTask.drafts.confirmDelete'))) return;
+    
+    localStorage.removeItem(key);
+    
+    if (key === getDraftKey() && taskFormState.pendingDraft) {
+        hideDraftBanner();
+    }
+    
+    renderMyDrafts();
 }
 
 // ==========================================
 // FUNCIONES DE UTILIDAD Y HELPERS
 // ==========================================
 
-/* Verificar autenticación */
+/* Verificar autenticación (token vigente en la colección sessions) */
 async function verifyAuthentication() {
-    const session = localStorage.getItem('crudzaso_user_session');
-    return session !== null;
+    return await SessionManager.validate() !== null;
 }
 
 /* Cargar usuario actual */
 async function loadCurrentUser() {
-    const sessionData = JSON.parse(localStorage.getItem('crudzaso_user_session'));
+    const sessionData = SessionManager.getCurrent();
     currentUser = {
         id: sessionData.userId,
         name: sessionData.name,
         email: sessionData.email,
         role: sessionData.role
     };
+    
+    await UserPreferences.load(currentUser.id);
+    await UserAvatar.applyToHeader(currentUser.id);
+    
+    // Campana de notificaciones (sin bloquear la carga)
+    NotificationCenter.mount(currentUser.id)
+        .catch(error => console.error('❌ Could not start notifications:', error));
 }
 
 /* Redirección al login */
@@ -612,11 +1233,50 @@ function redirectToTasksList() {
     window.location.href = 'tasks.html';
 }
 
+/* Escapar HTML para evitar inyección */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text === undefined || text === null ? '' : String(text);
+    return div.innerHTML;
+}
+
+/* 
+    Fecha de completado al guardar: se conserva si la tarea ya estaba
+    completada, se registra al completarla y se borra al reabrirla
+*/
+function getCompletedAt(status, previousTask, now) {
+    if (status !== 'Completed') return null;
+    return previousTask.status === 'Completed' && previousTask.completedAt ? previousTask.completedAt : now;
+}
+
 /* Generar ID único para tarea */
 function generateTaskId() {
     return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+/* 
+    Conectar el envío del formulario con saveTask
+*/
+function setupFormSubmission() {
+    const form = document.getElementById('task-form');
+    if (!form) return;
+    
+    form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        saveTask();
+    });
+}
+
+/* Cancelar y volver a la lista (confirmando si hay cambios sin guardar) */
+function cancelTaskForm() {
+    if (taskFormState.isDirty && !confirm(I18n.t('createTask.confirmDiscard'))) {
+        return;
+    }
+    
+    clearDraft();
+    redirectToTasksList();
+}
+
 /* Marcar formulario como modificado */
 function markFormAsDirty() {
     taskFormState.isDirty = true;
@@ -641,23 +1301,22 @@ function validateCompleteForm() {
 /* Actualizar título de página */
 function updatePageTitle(title) {
     document.title = `${title} - CRUDZASO`;
-    const pageTitle = document.querySelector('.page-title h1');
+    const pageTitle = document.getElementById('page-title');
     if (pageTitle) pageTitle.textContent = title;
 }
 
-/* Actualizar breadcrumb */
-function updateBreadcrumb(action) {
-    const breadcrumb = document.querySelector('.breadcrumb-action');
-    if (breadcrumb) breadcrumb.textContent = action;
+/* Actualizar breadcrumb (clave de traducción de la acción) */
+function updateBreadcrumb(actionKey) {
+    const breadcrumb = document.getElementById('breadcrumb-action');
+    if (!breadcrumb) return;
+    
+    breadcrumb.dataset.i18n = actionKey;
+    breadcrumb.textContent = I18n.t(actionKey);
 }
 
 /* Limpiar borrador */
 function clearDraft() {
-    const draftKey = taskFormState.isEditing ? 
-        `crudzaso_task_draft_${taskFormState.editingTaskId}` : 
-        'crudzaso_new_task_draft';
-        
-    localStorage.removeItem(draftKey);
+    localStorage.removeItem(getDraftKey());
 }
 
 // ==========================================
@@ -675,7 +1334,7 @@ function showWelcomeMessage() {
 
 /* Mostrar error crítico */
 function showCriticalError(message) {
-    alert(`Critical Error: ${message}`);
+    alert(I18n.t('createTask.criticalError', { message }));
 }
 
 /* Mostrar éxito de auto-guardado */
@@ -695,12 +1354,12 @@ function showSaveSuccess() {
 
 /* Mostrar error de guardado */
 function showSaveError(message) {
-    alert(`Save Error: ${message}`);
+    alert(I18n.t('createTask.saveError', { message }));
 }
 
 /* Mostrar error de validación de formulario */
 function showFormValidationError() {
-    alert('Please correct the errors in the form before saving.');
+    alert(I18n.t('createTask.fixErrors'));
 }
 
 // ==========================================
@@ -715,13 +1374,11 @@ function setupCategorySelection() { console.log('🎨 Category selection with co
 function setupDateValidation() { 
     const dateInput = document.getElementById('task-due-date');
     if (dateInput) {
-        const today = new Date().toISOString().split('T')[0];
-        dateInput.min = today;
+        // Hoy en la zona horaria del usuario, no en UTC
+        dateInput.min = DueDates.getDayKey(Date.now());
     }
 }
-function setupTemplatesAndSuggestions() { console.log('📋 Templates and suggestions ready'); }
 function setupPreviewMode() { console.log('👁️ Preview mode configured'); }
-function loadTaskForEditing() { console.log('✏️ Loading task data for editing...'); }
 function setupFormKeyboardShortcuts() { console.log('⌨️ Form keyboard shortcuts enabled'); }
 function updateTimeEstimation(description) { console.log('⏱️ Updated time estimation'); }
 function updateFormValidationState() { console.log('✅ Form validation state updated'); }
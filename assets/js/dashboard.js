@@ -95,7 +95,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         
     } catch (error) {
         console.error('💥 Error initializing dashboard:', error);
-        showErrorMessage('Failed to load dashboard. Please refresh the page.');
+        showErrorMessage(I18n.t('dashboard.loadFailed'));
     }
 });
 
@@ -107,31 +107,11 @@ document.addEventListener('DOMContentLoaded', async function() {
     Verificar que el usuario esté autenticado
     
     Sin autenticación válida, no hay razón para mostrar el dashboard.
+    SessionManager valida el token contra la colección sessions y
+    limpia el navegador si la sesión expiró o fue revocada.
 */
 async function verifyUserAuthentication() {
-    const sessionData = localStorage.getItem('crudzaso_user_session');
-    
-    if (!sessionData) {
-        return false;
-    }
-    
-    try {
-        const session = JSON.parse(sessionData);
-        
-        // Verificar que la sesión no haya expirado
-        if (session.expires && new Date() > new Date(session.expires)) {
-            console.log('⏰ Session expired');
-            clearUserSession();
-            return false;
-        }
-        
-        return true;
-        
-    } catch (error) {
-        console.error('❌ Error parsing session data:', error);
-        clearUserSession();
-        return false;
-    }
+    return await SessionManager.validate() !== null;
 }
 
 /* 
@@ -141,7 +121,7 @@ async function verifyUserAuthentication() {
     y mostrar datos específicos del usuario.
 */
 async function loadCurrentUser() {
-    const sessionData = JSON.parse(localStorage.getItem('crudzaso_user_session'));
+    const sessionData = SessionManager.getCurrent();
     
     // En una app real, aquí haríamos una llamada al API para obtener
     // la información más actualizada del usuario
@@ -153,6 +133,9 @@ async function loadCurrentUser() {
         department: sessionData.department
     };
     
+    // Tema, idioma y zona horaria del usuario
+    await UserPreferences.load(dashboardState.currentUser.id);
+    
     console.log(`👤 Current user loaded: ${dashboardState.currentUser.name}`);
     
     // Actualizar la interfaz con la información del usuario
@@ -177,6 +160,16 @@ function updateUserInterface() {
         userRoleElement.textContent = user.role;
     }
     
+    // Avatar en navbar (se lee del registro del usuario, sin bloquear la carga)
+    UserAvatar.applyToHeader(user.id);
+    
+    // Campana de notificaciones (recordatorios y resumen diario)
+    NotificationCenter.mount(user.id)
+        .catch(error => console.error('❌ Could not start notifications:', error));
+    
+    // Enlaces solo para administradores
+    Permissions.applyRoleVisibility(user);
+    
     console.log('🎨 User interface updated');
 }
 
@@ -194,22 +187,19 @@ async function loadUserTasks() {
     console.log('📋 Loading user tasks...');
     
     try {
-        // En una app real, esto sería una llamada al API:
-        // const tasks = await api.getUserTasks(dashboardState.currentUser.id);
-        
-        // Por ahora, simulamos con datos del localStorage
-        let tasks = JSON.parse(localStorage.getItem('crudzaso_tasks') || '[]');
+        // Cargar tareas desde la capa de datos compartida (API o localStorage)
+        let tasks = await DataStore.getTasks();
         
         // Si no hay tareas, crear algunas de ejemplo para demostración
         if (tasks.length === 0) {
             tasks = createSampleTasks();
-            localStorage.setItem('crudzaso_tasks', JSON.stringify(tasks));
+            for (const task of tasks) {
+                await DataStore.createTask(task);
+            }
         }
         
-        // Filtrar tareas del usuario actual (si aplicamos multi-usuario)
-        dashboardState.tasks = tasks.filter(task => 
-            !task.userId || task.userId === dashboardState.currentUser.id
-        );
+        // Students ven solo sus tareas; los admins ven las de todos
+        dashboardState.tasks = Permissions.filterVisibleTasks(dashboardState.currentUser, tasks);
         
         // Inicialmente mostrar todas las tareas
         dashboardState.filteredTasks = [...dashboardState.tasks];
@@ -294,7 +284,9 @@ function createSampleTasks() {
     ];
     
     console.log('📝 Created sample tasks for demonstration');
-    return sampleTasks;
+    
+    // Asignar las tareas de ejemplo al usuario actual para que pueda verlas
+    return sampleTasks.map(task => ({ ...task, userId: dashboardState.currentUser.id }));
 }
 
 /* 
@@ -326,7 +318,7 @@ async function renderDashboardStatistics() {
     }
     
     // Calcular nuevas estadísticas
-    const stats = calculateTaskStatistics(dashboardState.tasks);
+    const stats = TaskStatistics.calculateTaskStatistics(dashboardState.tasks);
     
     // Guardar en caché
     dashboardState.statisticsCache = stats;
@@ -338,59 +330,6 @@ async function renderDashboardStatistics() {
     console.log('✅ Statistics rendered successfully');
 }
 
-/* 
-    Calcular métricas estadísticas de las tareas
-    
-    Estas métricas dan al usuario una vista rápida de su rendimiento.
-*/
-function calculateTaskStatistics(tasks) {
-    const stats = {
-        total: tasks.length,
-        completed: tasks.filter(t => t.status === 'Completed').length,
-        pending: tasks.filter(t => t.status === 'Pending').length,
-        inProgress: tasks.filter(t => t.status === 'In Progress').length,
-        highPriority: tasks.filter(t => t.priority === 'High' && t.status !== 'Completed').length,
-        overdue: 0, // Se calculará abajo
-        completedThisWeek: 0, // Se calculará abajo
-        averageCompletionTime: 0 // Se calculará abajo
-    };
-    
-    // Calcular tareas vencidas
-    const today = new Date();
-    stats.overdue = tasks.filter(task => {
-        if (task.status === 'Completed') return false;
-        if (!task.dueDate) return false;
-        return new Date(task.dueDate) < today;
-    }).length;
-    
-    // Calcular tareas completadas esta semana
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    
-    stats.completedThisWeek = tasks.filter(task => {
-        if (task.status !== 'Completed') return false;
-        const updatedDate = new Date(task.updatedAt);
-        return updatedDate >= weekAgo;
-    }).length;
-    
-    // Calcular progreso general (porcentaje)
-    stats.overallProgress = stats.total > 0 ? 
-        Math.round((stats.completed / stats.total) * 100) : 0;
-    
-    // Calcular tendencia semanal
-    const lastWeekTasks = tasks.filter(task => {
-        const createdDate = new Date(task.createdAt);
-        const twoWeeksAgo = new Date();
-        twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
-        return createdDate >= twoWeeksAgo && createdDate < weekAgo;
-    }).length;
-    
-    stats.weeklyTrend = lastWeekTasks > 0 ? 
-        Math.round(((stats.completedThisWeek - lastWeekTasks) / lastWeekTasks) * 100) : 0;
-    
-    return stats;
-}
-
 /* 
     Actualizar la visualización de estadísticas con animaciones
 */
@@ -450,10 +389,10 @@ function updateTrendMessages(stats) {
     // Actualizar mensaje de tareas pendientes
     const pendingTrendElement = document.querySelector('#pending-tasks').closest('.stat-card').querySelector('.stat-trend');
     if (pendingTrendElement && stats.highPriority > 0) {
-        pendingTrendElement.innerHTML = `🔥 ${stats.highPriority} High Priority`;
+        pendingTrendElement.textContent = I18n.t('dashboard.stats.highPriority', { count: stats.highPriority });
         pendingTrendElement.className = 'stat-trend warning';
     } else if (pendingTrendElement) {
-        pendingTrendElement.innerHTML = '✅ All under control';
+        pendingTrendElement.textContent = I18n.t('dashboard.stats.allUnderControl');
         pendingTrendElement.className = 'stat-trend positive';
     }
     
@@ -461,13 +400,13 @@ function updateTrendMessages(stats) {
     const progressTrendElement = document.querySelector('#overall-progress').closest('.stat-card').querySelector('.stat-trend');
     if (progressTrendElement) {
         if (stats.overallProgress >= 75) {
-            progressTrendElement.innerHTML = '🎯 Excellent progress!';
+            progressTrendElement.textContent = I18n.t('dashboard.stats.excellent');
             progressTrendElement.className = 'stat-trend positive';
         } else if (stats.overallProgress >= 50) {
-            progressTrendElement.innerHTML = '📈 Good momentum!';
+            progressTrendElement.textContent = I18n.t('dashboard.stats.goodMomentum');
             progressTrendElement.className = 'stat-trend positive';
         } else {
-            progressTrendElement.innerHTML = '💪 Keep going!';
+            progressTrendElement.textContent = I18n.t('dashboard.stats.keepGoing');
             progressTrendElement.className = 'stat-trend warning';
         }
     }
@@ -541,7 +480,7 @@ function sortTasksByRelevance(a, b) {
     
     // Finalmente por fecha límite (más próxima primero)
     if (a.dueDate && b.dueDate) {
-        return new Date(a.dueDate) - new Date(b.dueDate);
+        return DueDates.compare(a.dueDate, b.dueDate);
     }
     
     return 0;
@@ -558,8 +497,8 @@ function createTaskRowElement(task) {
     row.setAttribute('data-task-id', task.id);
     
     // Formatear fecha límite
-    const dueDate = task.dueDate ? formatDate(task.dueDate) : 'No due date';
-    const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && task.status !== 'Completed';
+    const dueDate = task.dueDate ? DueDates.format(task.dueDate) : I18n.t('task.noDueDate');
+    const isOverdue = DueDates.isOverdue(task);
     
     row.innerHTML = `
         <div class="col-task">
@@ -568,31 +507,31 @@ function createTaskRowElement(task) {
         <div class="col-assignee">
             <div class="assignee">
                 <div class="assignee-avatar">${getAssigneeInitials(task.assignee)}</div>
-                <span class="assignee-name">${escapeHtml(task.assignee || 'Unassigned')}</span>
+                <span class="assignee-name">${escapeHtml(task.assignee || I18n.t('task.unassigned'))}</span>
             </div>
         </div>
         <div class="col-status">
-            <span class="status-badge ${task.status.toLowerCase().replace(' ', '-')}">${task.status}</span>
+            <span class="status-badge ${task.status.toLowerCase().replace(' ', '-')}">${I18n.label('status', task.status)}</span>
         </div>
         <div class="col-priority">
-            <span class="priority-badge ${task.priority.toLowerCase()}">${task.priority}</span>
+            <span class="priority-badge ${task.priority.toLowerCase()}">${I18n.label('priority', task.priority)}</span>
         </div>
         <div class="col-due">
             <span class="due-date ${isOverdue ? 'overdue' : ''}">${dueDate}</span>
         </div>
         <div class="col-actions">
             <div class="task-actions">
-                <button class="action-btn edit" onclick="editTask('${task.id}')" title="Edit task">
+                <button class="action-btn edit" onclick="editTask('${task.id}')" title="${I18n.t('dashboard.action.edit')}">
                     ✏️
                 </button>
-                <button class="action-btn delete" onclick="deleteTask('${task.id}')" title="Delete task">
+                <button class="action-btn delete" onclick="deleteTask('${task.id}')" title="${I18n.t('dashboard.action.delete')}">
                     🗑️
                 </button>
                 ${task.status !== 'Completed' ? 
-                    `<button class="action-btn complete" onclick="toggleTaskStatus('${task.id}')" title="Mark as complete">
+                    `<button class="action-btn complete" onclick="toggleTaskStatus('${task.id}')" title="${I18n.t('dashboard.action.complete')}">
                         ✅
                     </button>` : 
-                    `<button class="action-btn view" onclick="viewTask('${task.id}')" title="View details">
+                    `<button class="action-btn view" onclick="viewTask('${task.id}')" title="${I18n.t('dashboard.action.view')}">
                         👁️
                     </button>`
                 }
@@ -610,10 +549,10 @@ function renderEmptyTasksState(container) {
     container.innerHTML = `
         <div class="empty-tasks-state">
             <div class="empty-icon">📝</div>
-            <h3>No tasks found</h3>
-            <p>Create your first task to get started with CRUDZASO!</p>
+            <h3>${I18n.t('dashboard.empty.title')}</h3>
+            <p>${I18n.t('dashboard.empty.text')}</p>
             <button class="btn btn-primary" onclick="goToCreateTask()">
-                ➕ Create First Task
+                ${I18n.t('dashboard.empty.button')}
             </button>
         </div>
     `;
@@ -700,16 +639,29 @@ async function toggleTaskStatus(taskId) {
         return;
     }
     
+    if (!Permissions.canAccessTask(dashboardState.currentUser, task, 'complete')) {
+        showErrorMessage(Permissions.getDeniedMessage('complete', task));
+        return;
+    }
+    
     // Cambiar estado
     const newStatus = task.status === 'Completed' ? 'Pending' : 'Completed';
+    const previousCompletedAt = task.completedAt;
+    const before = { ...task };
     
     try {
-        // Actualizar en memoria
+        // Actualizar en memoria (completedAt alimenta las estadísticas de productividad)
         task.status = newStatus;
         task.updatedAt = new Date().toISOString();
+        task.completedAt = newStatus === 'Completed' ? task.updatedAt : null;
         
-        // Guardar en localStorage (en una app real sería una llamada al API)
-        localStorage.setItem('crudzaso_tasks', JSON.stringify(dashboardState.tasks));
+        // Persistir solo los campos modificados
+        await DataStore.updateTask(taskId, {
+            status: task.status,
+            updatedAt: task.updatedAt,
+            completedAt: task.completedAt
+        });
+        await ActivityLog.taskUpdated(dashboardState.currentUser, before, task);
         
         // Mostrar feedback inmediato
         showTaskActionFeedback(task, newStatus === 'Completed' ? 'completed' : 'reopened');
@@ -722,10 +674,11 @@ async function toggleTaskStatus(taskId) {
         
     } catch (error) {
         console.error('❌ Error updating task status:', error);
-        showErrorMessage('Failed to update task status. Please try again.');
+        showErrorMessage(I18n.t('dashboard.statusFailed'));
         
         // Revertir cambio en caso de error
         task.status = task.status === 'Completed' ? 'Pending' : 'Completed';
+        task.completedAt = previousCompletedAt;
     }
 }
 
@@ -739,8 +692,13 @@ async function deleteTask(taskId) {
         return;
     }
     
+    if (!Permissions.canAccessTask(dashboardState.currentUser, task, 'delete')) {
+        showErrorMessage(Permissions.getDeniedMessage('delete', task));
+        return;
+    }
+    
     // Pedir confirmación
-    const confirmed = confirm(`Are you sure you want to delete "${task.title}"?\n\nThis action cannot be undone.`);
+    const confirmed = confirm(I18n.t('dashboard.confirmDelete', { title: task.title }));
     
     if (!confirmed) {
         console.log('❌ Task deletion cancelled by user');
@@ -750,13 +708,14 @@ async function deleteTask(taskId) {
     console.log(`🗑️ Deleting task: ${taskId}`);
     
     try {
+        // Eliminar del almacenamiento
+        await DataStore.deleteTask(taskId);
+        await ActivityLog.taskDeleted(dashboardState.currentUser, task);
+        
         // Eliminar de memoria
         dashboardState.tasks = dashboardState.tasks.filter(t => t.id !== taskId);
         dashboardState.filteredTasks = dashboardState.filteredTasks.filter(t => t.id !== taskId);
         
-        // Guardar en localStorage
-        localStorage.setItem('crudzaso_tasks', JSON.stringify(dashboardState.tasks));
-        
         // Animar eliminación del elemento
         animateTaskRemoval(taskId);
         
@@ -775,7 +734,7 @@ async function deleteTask(taskId) {
         
     } catch (error) {
         console.error('❌ Error deleting task:', error);
-        showErrorMessage('Failed to delete task. Please try again.');
+        showErrorMessage(I18n.t('dashboard.deleteFailed'));
     }
 }
 
@@ -800,17 +759,17 @@ function showTaskActionFeedback(task, action) {
     
     switch (action) {
         case 'completed':
-            message = `✅ "${task.title}" marked as completed!`;
+            message = I18n.t('dashboard.feedback.completed', { title: task.title });
             break;
         case 'reopened':
-            message = `🔄 "${task.title}" reopened for work.`;
+            message = I18n.t('dashboard.feedback.reopened', { title: task.title });
             break;
         case 'deleted':
-            message = `🗑️ "${task.title}" has been deleted.`;
+            message = I18n.t('dashboard.feedback.deleted', { title: task.title });
             type = 'info';
             break;
         default:
-            message = `Task "${task.title}" updated successfully.`;
+            message = I18n.t('dashboard.feedback.updated', { title: task.title });
     }
     
     showTemporaryMessage(message, type);
@@ -832,10 +791,15 @@ function goToCreateTask() {
     Editar una tarea específica
 */
 function editTask(taskId) {
+    const task = dashboardState.tasks.find(t => t.id === taskId);
+    if (!Permissions.canAccessTask(dashboardState.currentUser, task, 'edit')) {
+        showErrorMessage(Permissions.getDeniedMessage('edit', task));
+        return;
+    }
+    
     console.log(`✏️ Editing task: ${taskId}`);
-    // Guardar el ID de la tarea a editar en localStorage para la página de edición
-    localStorage.setItem('editing_task_id', taskId);
-    window.location.href = 'create-task.html';
+    // Mismo punto de entrada que la lista de tareas: el ID va en la URL
+    window.location.href = `create-task.html?edit=${encodeURIComponent(taskId)}`;
 }
 
 /* 
@@ -846,13 +810,20 @@ function viewTask(taskId) {
     const task = dashboardState.tasks.find(t => t.id === taskId);
     
     if (!task) {
-        showErrorMessage('Task not found.');
+        showErrorMessage(I18n.t('task.notFound'));
         return;
     }
     
     // Por ahora, mostrar detalles en un alert
     // En una implementación completa, esto abriría un modal o página dedicada
-    alert(`Task Details:\n\nTitle: ${task.title}\nCategory: ${task.category}\nPriority: ${task.priority}\nStatus: ${task.status}\nDue Date: ${task.dueDate || 'Not set'}\n\nDescription:\n${task.description || 'No description available.'}`);
+    alert(I18n.t('dashboard.details', {
+        title: task.title,
+        category: I18n.label('category', task.category),
+        priority: I18n.label('priority', task.priority),
+        status: I18n.label('status', task.status),
+        dueDate: task.dueDate ? DueDates.format(task.dueDate) : I18n.t('dashboard.details.notSet'),
+        description: task.description || I18n.t('dashboard.details.noDescription')
+    }));
 }
 
 /* 
@@ -939,7 +910,7 @@ function setupAutoRefresh() {
 */
 async function refreshDashboard(showLoading = true) {
     if (showLoading) {
-        showTemporaryMessage('🔄 Refreshing dashboard...', 'info');
+        showTemporaryMessage(I18n.t('dashboard.refreshing'), 'info');
     }
     
     try {
@@ -948,12 +919,12 @@ async function refreshDashboard(showLoading = true) {
         renderTasksList();
         
         if (showLoading) {
-            showTemporaryMessage('✅ Dashboard updated!', 'success');
+            showTemporaryMessage(I18n.t('dashboard.refreshed'), 'success');
         }
         
     } catch (error) {
         console.error('❌ Error refreshing dashboard:', error);
-        showErrorMessage('Failed to refresh dashboard.');
+        showErrorMessage(I18n.t('dashboard.refreshFailed'));
     }
 }
 
@@ -961,38 +932,6 @@ async function refreshDashboard(showLoading = true) {
 // UTILIDADES Y HELPERS
 // ==========================================
 
-/* 
-    Formatear fecha para mostrar
-*/
-function formatDate(dateString) {
-    if (!dateString) return 'No date';
-    
-    const date = new Date(dateString);
-    const today = new Date();
-    const yesterday = new Date(today);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
-    // Comparar solo fechas, no horas
-    const dateOnly = new Date(date.getFullYear(), date.getMonth(), date.getDate());
-    const todayOnly = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    
-    if (dateOnly.getTime() === todayOnly.getTime()) {
-        return 'Today';
-    } else if (dateOnly.getTime() === yesterday.getTime()) {
-        return 'Yesterday';
-    } else if (dateOnly.getTime() === tomorrow.getTime()) {
-        return 'Tomorrow';
-    } else {
-        return date.toLocaleDateString('en-US', { 
-            month: 'short', 
-            day: 'numeric',
-            year: date.getFullYear() !== today.getFullYear() ? 'numeric' : undefined
-        });
-    }
-}
-
 /* 
     Obtener iniciales del nombre para avatar
 */
@@ -1019,11 +958,10 @@ function escapeHtml(text) {
 }
 
 /* 
-    Limpiar sesión de usuario
+    Limpiar sesión de usuario (revoca el token en el servidor)
 */
-function clearUserSession() {
-    localStorage.removeItem('crudzaso_user_session');
-    localStorage.removeItem('crudzaso_remember_me');
+async function clearUserSession() {
+    await SessionManager.revokeCurrent();
 }
 
 /* 
@@ -1033,24 +971,22 @@ function showWelcomeMessage() {
     const user = dashboardState.currentUser;
     const hour = new Date().getHours();
     
-    let greeting = 'Hello';
-    if (hour < 12) greeting = 'Good morning';
-    else if (hour < 18) greeting = 'Good afternoon';
-    else greeting = 'Good evening';
+    let greeting;
+    if (hour < 12) greeting = I18n.t('dashboard.greeting.morning');
+    else if (hour < 18) greeting = I18n.t('dashboard.greeting.afternoon');
+    else greeting = I18n.t('dashboard.greeting.evening');
     
     const completedToday = dashboardState.tasks.filter(task => {
-        if (task.status !== 'Completed') return false;
-        const updatedDate = new Date(task.updatedAt);
-        const today = new Date();
-        return updatedDate.toDateString() === today.toDateString();
+        const completedDate = TaskStatistics.getCompletionDate(task);
+        return completedDate !== null && completedDate.toDateString() === new Date().toDateString();
     }).length;
     
-    let motivationalMessage = `${greeting}, ${user.name}! `;
+    let motivationalMessage = `${I18n.t('dashboard.welcome', { greeting, name: user.name })} `;
     
     if (completedToday > 0) {
-        motivationalMessage += `You've completed ${completedToday} task${completedToday > 1 ? 's' : ''} today. Great work! 🎉`;
+        motivationalMessage += I18n.plural('dashboard.completedToday', completedToday);
     } else {
-        motivationalMessage += `Ready to tackle your tasks today? 💪`;
+        motivationalMessage += I18n.t('dashboard.readyForToday');
     }
     
     showTemporaryMessage(motivationalMessage, 'success', 4000);
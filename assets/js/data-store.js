@@ -0,0 +1,440 @@
+/*
+    ===================================
+    DATA STORE - CRUDZASO v2
+    ===================================
+
+    Capa de acceso a datos compartida por todas las páginas.
+    Habla con json-server (db.json, puerto 3001) y, si el servidor
+    no está disponible, trabaja contra localStorage para demos offline.
+
+    Todas las páginas deben pasar por DataStore en lugar de leer o
+    escribir las claves crudzaso_* directamente.
+*/
+
+const DataStore = (function() {
+
+    // ==========================================
+    // CONFIGURACIÓN
+    // ==========================================
+
+    /* Configuración de la capa de datos */
+    const STORE_CONFIG = {
+        API_BASE_URL: 'http://localhost:3001',
+        API_URL_KEY: 'crudzaso_api_url',         // Permite apuntar a otro json-server
+        BACKEND_KEY: 'crudzaso_data_backend',    // 'api' | 'local' | 'auto'
+        DEFAULT_BACKEND: 'auto',
+        API_TIMEOUT: 3000,
+        COLLECTIONS: {
+            users: 'crudzaso_users',
+            tasks: 'crudzaso_tasks',
+            categories: 'crudzaso_categories',
+            sessions: 'crudzaso_sessions',
+            loginAttempts: 'crudzaso_login_attempts',
+            templates: 'crudzaso_templates',
+            activities: 'crudzaso_activities',
+            achievements: 'crudzaso_achievements',
+            notifications: 'crudzaso_notifications'
+        },
+        // db.json sirve de semilla para el modo offline
+        SEED_URL: document.currentScript ?
+            new URL('../../db.json', document.currentScript.src).href :
+            'db.json'
+    };
+
+    let backendPromise = null;
+    let seedPromise = null;
+
+    // ==========================================
+    // BACKEND LOCALSTORAGE (MODO OFFLINE)
+    // ==========================================
+
+    /*
+        Cargar db.json una sola vez para sembrar las colecciones vacías
+
+        Si la página se abre desde file:// el fetch falla y
+        simplemente empezamos con colecciones vacías.
+    */
+    function loadSeedData() {
+        if (!seedPromise) {
+            seedPromise = fetch(STORE_CONFIG.SEED_URL)
+                .then(response => response.ok ? response.json() : {})
+                .catch(() => {
+                    console.warn('⚠️ Seed data not available, starting with empty collections');
+                    return {};
+                });
+        }
+        return seedPromise;
+    }
+
+    /* Asegurar que la colección existe en localStorage */
+    async function ensureCollection(collection) {
+        const storageKey = getStorageKey(collection);
+
+        if (localStorage.getItem(storageKey) === null) {
+            const seed = await loadSeedData();
+
+            // Otra llamada pudo haberla creado mientras esperábamos
+            if (localStorage.getItem(storageKey) === null) {
+                writeRecords(collection, seed[collection] || []);
+                console.log(`🌱 Seeded local collection: ${collection}`);
+            }
+        }
+    }
+
+    /*
+        Leer y escribir registros
+
+        Son síncronas a propósito: cada operación hace lectura-modificación-escritura
+        sin awaits intermedios, así dos operaciones seguidas no se pisan.
+    */
+    function readRecords(collection) {
+        try {
+            return JSON.parse(localStorage.getItem(getStorageKey(collection)) || '[]');
+        } catch (error) {
+            console.error(`❌ Corrupted local collection: ${collection}`, error);
+            return [];
+        }
+    }
+
+    function writeRecords(collection, records) {
+        localStorage.setItem(getStorageKey(collection), JSON.stringify(records));
+    }
+
+    function getStorageKey(collection) {
+        const storageKey = STORE_CONFIG.COLLECTIONS[collection];
+        if (!storageKey) {
+            throw new Error(`Unknown collection: ${collection}`);
+        }
+        return storageKey;
+    }
+
+    /*
+        Filtrado simple por igualdad, compatible con los filtros de json-server
+        (?userId=user_001). Los parámetros especiales (_sort, _page...) se ignoran.
+    */
+    function matchesQuery(record, query) {
+        return Object.entries(query).every(([field, expected]) => {
+            if (field.startsWith('_')) return true;
+            if (Array.isArray(expected)) return expected.map(String).includes(String(record[field]));
+            return String(record[field]) === String(expected);
+        });
+    }
+
+    const LocalStorageBackend = {
+        name: 'local',
+
+        async list(collection, query = {}) {
+            await ensureCollection(collection);
+            return readRecords(collection).filter(record => matchesQuery(record, query));
+        },
+
+        async get(collection, id) {
+            await ensureCollection(collection);
+            return readRecords(collection).find(record => String(record.id) === String(id)) || null;
+        },
+
+        async create(collection, record) {
+            await ensureCollection(collection);
+            const records = readRecords(collection);
+            const newRecord = { ...record, id: record.id || generateId(collection) };
+
+            if (records.some(existing => String(existing.id) === String(newRecord.id))) {
+                throw new Error(`Duplicate id "${newRecord.id}" in ${collection}`);
+            }
+
+            records.push(newRecord);
+            writeRecords(collection, records);
+            return newRecord;
+        },
+
+        async update(collection, id, changes) {
+            await ensureCollection(collection);
+            const records = readRecords(collection);
+            const index = records.findIndex(record => String(record.id) === String(id));
+
+            if (index === -1) {
+                throw new Error(`${collection} record "${id}" not found`);
+            }
+
+            records[index] = { ...records[index], ...changes, id: records[index].id };
+            writeRecords(collection, records);
+            return records[index];
+        },
+
+        async replace(collection, id, record) {
+            await ensureCollection(collection);
+            const records = readRecords(collection);
+            const index = records.findIndex(existing => String(existing.id) === String(id));
+
+            if (index === -1) {
+                throw new Error(`${collection} record "${id}" not found`);
+            }
+
+            records[index] = { ...record, id: records[index].id };
+            writeRecords(collection, records);
+            return records[index];
+        },
+
+        async remove(collection, id) {
+            await ensureCollection(collection);
+            const records = readRecords(collection);
+            const remaining = records.filter(record => String(record.id) !== String(id));
+
+            if (remaining.length === records.length) {
+                throw new Error(`${collection} record "${id}" not found`);
+            }
+
+            writeRecords(collection, remaining);
+            return true;
+        }
+    };
+
+    // ==========================================
+    // BACKEND REST (JSON-SERVER)
+    // ==========================================
+
+    /* URL base del API (configurable para despliegues con --host) */
+    function getApiBaseUrl() {
+        return localStorage.getItem(STORE_CONFIG.API_URL_KEY) || STORE_CONFIG.API_BASE_URL;
+    }
+
+    /*
+        Petición HTTP con timeout
+
+        Los errores HTTP se convierten en Error con la propiedad status
+        para que las páginas puedan distinguir un 404 de una caída del servidor.
+    */
+    async function request(path, options = {}) {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), STORE_CONFIG.API_TIMEOUT);
+
+        try {
+            const response = await fetch(`${getApiBaseUrl()}${path}`, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`API request failed: ${options.method || 'GET'} ${path} (${response.status})`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return response.status === 204 ? null : await response.json();
+
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    function toQueryString(query) {
+        const params = new URLSearchParams();
+
+        Object.entries(query).forEach(([field, value]) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => params.append(field, item));
+            } else if (value !== undefined && value !== null) {
+                params.append(field, value);
+            }
+        });
+
+        const queryString = params.toString();
+        return queryString ? `?${queryString}` : '';
+    }
+
+    function recordPath(collection, id) {
+        getStorageKey(collection); // Validar nombre de colección
+        return `/${collection}/${encodeURIComponent(id)}`;
+    }
+
+    const RestBackend = {
+        name: 'api',
+
+        async list(collection, query = {}) {
+            getStorageKey(collection);
+            return request(`/${collection}${toQueryString(query)}`);
+        },
+
+        async get(collection, id) {
+            try {
+                return await request(recordPath(collection, id));
+            } catch (error) {
+                if (error.status === 404) return null;
+                throw error;
+            }
+        },
+
+        async create(collection, record) {
+            getStorageKey(collection);
+            return request(`/${collection}`, {
+                method: 'POST',
+                body: JSON.stringify({ ...record, id: record.id || generateId(collection) })
+            });
+        },
+
+        async update(collection, id, changes) {
+            return request(recordPath(collection, id), {
+                method: 'PATCH',
+                body: JSON.stringify(changes)
+            });
+        },
+
+        async replace(collection, id, record) {
+            return request(recordPath(collection, id), {
+                method: 'PUT',
+                body: JSON.stringify({ ...record, id })
+            });
+        },
+
+        async remove(collection, id) {
+            await request(recordPath(collection, id), { method: 'DELETE' });
+            return true;
+        }
+    };
+
+    // ==========================================
+    // SELECCIÓN DE BACKEND
+    // ==========================================
+
+    /* Verificar si json-server responde */
+    async function isApiAvailable() {
+        try {
+            await request('/categories?_limit=1');
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /*
+        Elegir backend una sola vez por carga de página
+
+        En modo 'auto' se usa el API si responde y localStorage si no.
+    */
+    function resolveBackend() {
+        if (!backendPromise) {
+            backendPromise = (async () => {
+                const preferred = localStorage.getItem(STORE_CONFIG.BACKEND_KEY) || STORE_CONFIG.DEFAULT_BACKEND;
+
+                let backend;
+                if (preferred === 'api') {
+                    backend = RestBackend;
+                } else if (preferred === 'local') {
+                    backend = LocalStorageBackend;
+                } else {
+                    backend = await isApiAvailable() ? RestBackend : LocalStorageBackend;
+                }
+
+                console.log(`🗄️ Data store using ${backend.name === 'api' ? 'json-server API' : 'localStorage'} backend`);
+                return backend;
+            })();
+        }
+        return backendPromise;
+    }
+
+    /* Forzar un backend concreto ('api', 'local' o 'auto') */
+    function useBackend(name) {
+        if (!['api', 'local', 'auto'].includes(name)) {
+            throw new Error(`Unknown data backend: ${name}`);
+        }
+        localStorage.setItem(STORE_CONFIG.BACKEND_KEY, name);
+        backendPromise = null;
+    }
+
+    async function getBackendName() {
+        return (await resolveBackend()).name;
+    }
+
+    // ==========================================
+    // UTILIDADES
+    // ==========================================
+
+    /* Prefijo de ID por colección (task_, user_, session_...) */
+    function generateId(collection) {
+        const prefix = collection.replace(/s$/, '').replace(/ie$/, 'y');
+        return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // ==========================================
+    // API PÚBLICA
+    // ==========================================
+
+    /* Operaciones genéricas sobre cualquier colección */
+    async function list(collection, query) { return (await resolveBackend()).list(collection, query); }
+    async function get(collection, id) { return (await resolveBackend()).get(collection, id); }
+    async function create(collection, record) { return (await resolveBackend()).create(collection, record); }
+    async function update(collection, id, changes) { return (await resolveBackend()).update(collection, id, changes); }
+    async function replace(collection, id, record) { return (await resolveBackend()).replace(collection, id, record); }
+    async function remove(collection, id) { return (await resolveBackend()).remove(collection, id); }
+
+    return {
+        // Genéricas
+        list,
+        get,
+        create,
+        update,
+        replace,
+        remove,
+
+        // Tareas
+        getTasks: (query) => list('tasks', query),
+        getTask: (id) => get('tasks', id),
+        createTask: (task) => create('tasks', task),
+        updateTask: (id, changes) => update('tasks', id, changes),
+        replaceTask: (id, task) => replace('tasks', id, task),
+        deleteTask: (id) => remove('tasks', id),
+
+        // Usuarios
+        getUsers: (query) => list('users', query),
+        getUser: (id) => get('users', id),
+        findUserByEmail: async (email) => {
+            const normalized = String(email || '').trim().toLowerCase();
+            const users = await list('users');
+            return users.find(user => String(user.email).toLowerCase() === normalized) || null;
+        },
+        createUser: (user) => create('users', user),
+        updateUser: (id, changes) => update('users', id, changes),
+        deleteUser: (id) => remove('users', id),
+
+        // Categorías
+        getCategories: (query) => list('categories', query),
+
+        // Sesiones
+        getSessions: (query) => list('sessions', query),
+        getSession: (id) => get('sessions', id),
+        createSession: (session) => create('sessions', session),
+        updateSession: (id, changes) => update('sessions', id, changes),
+        deleteSession: (id) => remove('sessions', id),
+
+        // Plantillas de tareas de los usuarios
+        getTemplates: (query) => list('templates', query),
+        createTemplate: (template) => create('templates', template),
+        deleteTemplate: (id) => remove('templates', id),
+
+        // Historial de actividad (auditoría)
+        getActivities: (query) => list('activities', query),
+        createActivity: (activity) => create('activities', activity),
+
+        // Logros desbloqueados por los usuarios
+        getAchievements: (query) => list('achievements', query),
+        createAchievement: (achievement) => create('achievements', achievement),
+
+        // Notificaciones (recordatorios y resumen diario)
+        getNotifications: (query) => list('notifications', query),
+        createNotification: (notification) => create('notifications', notification),
+        updateNotification: (id, changes) => update('notifications', id, changes),
+
+        // Backend
+        generateId,
+        useBackend,
+        getBackendName
+    };
+})();
+
+/*
+    Exportación para entornos con módulos (testing)
+*/
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataStore;
+}
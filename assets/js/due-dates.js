@@ -0,0 +1,207 @@
+/*
+    ===================================
+    DUE DATES - CRUDZASO v2
+    ===================================
+
+    Fechas límite de las tareas en la zona horaria del usuario.
+
+    Una fecha límite se guarda como hora de reloj, sin zona:
+    - "2026-02-10": vence al terminar ese día (23:59:59.999)
+    - "2026-02-10T17:00": vence a esa hora
+
+    Se interpreta en la zona horaria de las preferencias del usuario
+    (UserPreferences), así "2026-02-10" vence a medianoche de Nueva York
+    para un usuario de America/New_York y no a medianoche UTC.
+
+    Los días restantes se cuentan por días del calendario, no dividiendo
+    milisegundos, para que un día de 23 o 25 horas (cambio de horario)
+    cuente como un día.
+*/
+
+const DueDates = (function() {
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /* Fecha con hora opcional, sin zona horaria */
+    const DUE_DATE_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2}))?$/;
+
+    function getDefaultTimezone() {
+        return UserPreferences.getTimezone();
+    }
+
+    /*
+        Separar una fecha límite en día y hora
+
+        Devuelve { date: 'YYYY-MM-DD', time: 'HH:mm' | null } o null si no hay
+        fecha o no existe ("2026-02-30", "25:00"). Los valores antiguos con
+        zona ("...T00:00:00.000Z") conservan solo su día, que es lo que el
+        formulario siempre guardó.
+    */
+    function parse(dueDate) {
+        if (!dueDate) return null;
+
+        const value = String(dueDate).trim();
+        const match = value.match(DUE_DATE_PATTERN) || value.match(/^(\d{4}-\d{2}-\d{2})T/);
+        if (!match || addDays(match[1], 0) !== match[1]) return null;
+
+        const time = match[2] || null;
+        if (time) {
+            const [hours, minutes] = time.split(':').map(Number);
+            if (hours > 23 || minutes > 59) return null;
+        }
+
+        return { date: match[1], time };
+    }
+
+    /* Valor a guardar a partir del día y la hora (opcional) del formulario */
+    function compose(date, time) {
+        if (!date) return '';
+        return time ? `${date}T${time}` : date;
+    }
+
+    /* Minutos que la zona horaria va adelantada respecto a UTC en un instante */
+    function getTimezoneOffset(instant, timezone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(instant));
+
+        const part = type => Number(parts.find(item => item.type === type).value);
+        const wallClockAsUtc = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+
+        return Math.round((wallClockAsUtc - Math.floor(instant / 1000) * 1000) / 60000);
+    }
+
+    /*
+        Instante en que un reloj de la zona horaria marca ese día y hora
+
+        Se calcula el desfase dos veces porque puede cambiar justo entre
+        la estimación y el resultado (noche del cambio de horario). Una hora
+        que se repite ese día se toma la primera vez; una que no existe
+        (el reloj salta de 02:00 a 03:00) queda una hora antes.
+    */
+    function toInstant(date, time, timezone) {
+        const [year, month, day] = date.split('-').map(Number);
+        const [hours, minutes] = (time || '00:00').split(':').map(Number);
+        const wallClockAsUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+        const guess = wallClockAsUtc - getTimezoneOffset(wallClockAsUtc, timezone) * 60000;
+        return new Date(wallClockAsUtc - getTimezoneOffset(guess, timezone) * 60000);
+    }
+
+    /* Día siguiente o anterior de un YYYY-MM-DD (aritmética de calendario, sin horas) */
+    function addDays(dayKey, days) {
+        const [year, month, day] = dayKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+    }
+
+    /* Días del calendario de a hasta b (ambos YYYY-MM-DD) */
+    function diffDays(a, b) {
+        const toUtc = dayKey => {
+            const [year, month, day] = dayKey.split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        };
+        return Math.round((toUtc(b) - toUtc(a)) / DAY_MS);
+    }
+
+    /* Día del calendario (YYYY-MM-DD) de un instante en la zona horaria */
+    function getDayKey(instant, timezone = getDefaultTimezone()) {
+        return UserPreferences.getDayKey(instant, timezone);
+    }
+
+    /*
+        Instante en que vence la fecha límite (null si no hay fecha)
+
+        Sin hora, vence en el último milisegundo del día: justo antes de
+        la medianoche siguiente en la zona horaria, dure el día lo que dure.
+    */
+    function getDeadline(dueDate, timezone = getDefaultTimezone()) {
+        const due = parse(dueDate);
+        if (!due) return null;
+
+        if (due.time) return toInstant(due.date, due.time, timezone);
+        return new Date(toInstant(addDays(due.date, 1), null, timezone).getTime() - 1);
+    }
+
+    /* Tarea sin completar cuya fecha límite ya pasó */
+    function isOverdue(task, now = new Date(), timezone = getDefaultTimezone()) {
+        if (!task.dueDate || task.status === 'Completed') return false;
+
+        const deadline = getDeadline(task.dueDate, timezone);
+        return Boolean(deadline) && deadline.getTime() < new Date(now).getTime();
+    }
+
+    /*
+        Días del calendario que faltan hasta el día de la fecha límite
+
+        0 = vence hoy, 1 = mañana, negativo = días de retraso.
+        Devuelve null si no hay fecha.
+    */
+    function getDaysRemaining(dueDate, now = new Date(), timezone = getDefaultTimezone()) {
+        const due = parse(dueDate);
+        if (!due) return null;
+        return diffDays(getDayKey(now, timezone), due.date);
+    }
+
+    function isDueToday(dueDate, now = new Date(), timezone = getDefaultTimezone()) {
+        return getDaysRemaining(dueDate, now, timezone) === 0;
+    }
+
+    /* Hora de la fecha límite en el formato del idioma ("5:00 PM", "17:00") */
+    function formatTime(time, locale = UserPreferences.getLocale()) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return new Date(Date.UTC(1970, 0, 1, hours, minutes)).toLocaleTimeString(locale, {
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZone: 'UTC'
+        });
+    }
+
+    /*
+        Fecha límite para mostrar: el día con UserPreferences.formatDate
+        y, si la tiene, la hora ("Feb 10, 5:00 PM")
+    */
+    function format(dueDate, options) {
+        const due = parse(dueDate);
+        if (!due) return '';
+
+        const day = UserPreferences.formatDate(due.date, options);
+        return due.time ? `${day}, ${formatTime(due.time)}` : day;
+    }
+
+    /* Comparar fechas límite para ordenar (las tareas sin fecha van al final) */
+    function compare(a, b, timezone = getDefaultTimezone()) {
+        const deadlineA = getDeadline(a, timezone);
+        const deadlineB = getDeadline(b, timezone);
+
+        if (!deadlineA && !deadlineB) return 0;
+        if (!deadlineA) return 1;
+        if (!deadlineB) return -1;
+        return deadlineA - deadlineB;
+    }
+
+    return {
+        parse,
+        compose,
+        addDays,
+        diffDays,
+        getDayKey,
+        getDeadline,
+        isOverdue,
+        getDaysRemaining,
+        isDueToday,
+        formatTime,
+        format,
+        compare
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DueDates;
+}
@@ -0,0 +1,134 @@
+/*
+    ===================================
+    I18N - CRUDZASO v2
+    ===================================
+
+    Traducción de la interfaz (inglés y español).
+
+    Los textos viven en catálogos por idioma (assets/js/locales/*.js)
+    con claves planas ("tasks.empty.title"). El idioma sale de las
+    preferencias del usuario (UserPreferences); si a un idioma le falta
+    una clave se usa el inglés, y si tampoco existe se muestra la clave.
+
+    El HTML estático se marca con atributos:
+    - data-i18n: texto del elemento
+    - data-i18n-placeholder, data-i18n-title, data-i18n-aria-label
+
+    Los textos que genera JavaScript se piden con I18n.t(clave, parámetros).
+*/
+
+const I18n = (function() {
+
+    const FALLBACK_LANGUAGE = 'en';
+
+    const CATALOGS = {};
+
+    /* Atributo data-* → atributo del elemento que se traduce */
+    const ATTRIBUTE_BINDINGS = {
+        'data-i18n-placeholder': 'placeholder',
+        'data-i18n-title': 'title',
+        'data-i18n-aria-label': 'aria-label'
+    };
+
+    let translatedLanguage = null;
+
+    /* Añadir (o completar) el catálogo de un idioma */
+    function register(language, messages) {
+        CATALOGS[language] = { ...(CATALOGS[language] || {}), ...messages };
+    }
+
+    function getLanguage() {
+        const { language } = UserPreferences.getCurrent();
+        return CATALOGS[language] ? language : FALLBACK_LANGUAGE;
+    }
+
+    function getLocale() {
+        return UserPreferences.getLocale();
+    }
+
+    /*
+        Traducir una clave
+
+        Los parámetros se sustituyen en las marcas {nombre}:
+        t('tasks.deleted', { title: 'Essay' }) → 'Task "Essay" deleted'
+    */
+    function t(key, params = {}) {
+        const message = CATALOGS[getLanguage()]?.[key] ?? CATALOGS[FALLBACK_LANGUAGE]?.[key];
+
+        if (message === undefined) {
+            console.warn(`⚠️ Missing translation: ${key}`);
+            return key;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] === undefined ? match : String(params[name]));
+    }
+
+    /* Singular o plural según count ("{count} task" / "{count} tasks") */
+    function plural(key, count, params = {}) {
+        return t(`${key}.${count === 1 ? 'one' : 'other'}`, { count: formatNumber(count), ...params });
+    }
+
+    /*
+        Etiqueta traducida de un valor guardado (estado, prioridad, categoría...)
+
+        Los datos se guardan siempre en inglés ("In Progress"); solo cambia
+        lo que se muestra. Un valor sin traducción se muestra tal cual.
+    */
+    function label(group, value) {
+        const key = `${group}.${value}`;
+        const message = CATALOGS[getLanguage()]?.[key] ?? CATALOGS[FALLBACK_LANGUAGE]?.[key];
+        return message === undefined ? value : message;
+    }
+
+    /* Traducir el HTML marcado con data-i18n */
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+
+        Object.entries(ATTRIBUTE_BINDINGS).forEach(([dataAttribute, attribute]) => {
+            root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(dataAttribute)));
+            });
+        });
+
+        translatedLanguage = getLanguage();
+    }
+
+    function formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(getLocale(), options).format(value);
+    }
+
+    /* Porcentaje a partir de un valor 0-100 (75 → "75 %" en español) */
+    function formatPercent(value) {
+        return formatNumber(value / 100, { style: 'percent', maximumFractionDigits: 0 });
+    }
+
+    if (typeof document !== 'undefined') {
+        // El HTML estático se traduce antes de que las páginas pinten sus datos
+        document.addEventListener('DOMContentLoaded', () => translatePage());
+
+        // Si el idioma cambia (preferencias leídas del servidor o editadas), volver a traducir
+        document.addEventListener('preferenceschange', () => {
+            if (translatedLanguage !== null && translatedLanguage !== getLanguage()) {
+                translatePage();
+            }
+        });
+    }
+
+    return {
+        register,
+        getLanguage,
+        t,
+        plural,
+        label,
+        translatePage,
+        formatNumber,
+        formatPercent
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
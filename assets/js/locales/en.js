@@ -0,0 +1,660 @@
+/*
+    ===================================
+    ENGLISH - CRUDZASO v2
+    ===================================
+
+    Textos de la interfaz en inglés. Es el idioma por defecto y el de respaldo
+    cuando a otro catálogo le falta una clave.
+
+    Los parámetros van entre llaves: {title}, {count}...
+*/
+
+I18n.register('en', {
+    /* Común */
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.save': 'Save',
+    'common.delete': 'Delete',
+    'common.remove': 'Remove',
+    'common.clear': 'Clear',
+    'common.refresh': '🔄 Refresh',
+    'common.unexpectedError': 'An unexpected error occurred. Please try again.',
+    'common.never': 'never',
+    'common.notProvided': 'Not provided',
+
+    /* Inicio de sesión */
+    'login.pageTitle': 'CRUDZASO - Login',
+    'login.title': 'Welcome back',
+    'login.subtitle': 'Enter your credentials to access the platform',
+    'login.emailLabel': 'Email or username',
+    'login.emailPlaceholder': 'student@university.edu',
+    'login.passwordLabel': 'Password',
+    'login.show': 'Show',
+    'login.forgotPassword': 'Forgot password?',
+    'login.submit': 'Sign in',
+    'login.submitting': '🔄 Signing in...',
+    'login.noAccount': 'Don\'t have an account?',
+    'login.signUpLink': 'Sign up here',
+    'login.redirecting': 'Welcome back! Redirecting...',
+    'login.success': 'Welcome back, {name}! Redirecting to your dashboard...',
+    'login.invalidCredentials': 'Invalid email or password. Please check your credentials and try again.',
+    'login.deactivated': 'This account has been deactivated. Please contact an administrator.',
+    'login.lockoutEnded': 'You can try signing in again.',
+    'login.lockedOut': '🔒 Too many failed attempts. Try again in {time}.',
+    'login.emailRequired': 'Email is required',
+    'login.emailInvalid': 'Please enter a valid email address',
+    'login.passwordRequired': 'Password is required',
+    'login.attemptsRemaining.one': '{count} attempt remaining.',
+    'login.attemptsRemaining.other': '{count} attempts remaining.',
+
+    /* Registro */
+    'register.pageTitle': 'CRUDZASO - Register',
+    'register.title': 'Create account',
+    'register.subtitle': 'Join the academic performance platform today',
+    'register.nameLabel': 'Full Name',
+    'register.namePlaceholder': 'John Doe',
+    'register.emailLabel': 'Email address',
+    'register.passwordLabel': 'Password',
+    'register.passwordPlaceholder': 'Create a password',
+    'register.confirmLabel': 'Confirm Password',
+    'register.confirmPlaceholder': 'Confirm password',
+    'register.submit': 'Register',
+    'register.submitting': '⏳ Creating Account...',
+    'register.haveAccount': 'Already have an account?',
+    'register.signInLink': 'Sign in',
+    'register.fixErrors': 'Please correct the highlighted errors before continuing.',
+    'register.saveFailed': 'Failed to save user data. Please try again.',
+    'register.success': 'Welcome to CRUDZASO, {name}! 🎉 Your account has been created successfully.',
+    'register.emailAvailable': 'Email is available! ✓',
+    'register.passwordsMatch': '✓ Passwords match',
+    'register.passwordsDontMatch': '✗ Passwords do not match',
+    'register.strength.needLength': 'at least 8 characters',
+    'register.strength.needLowercase': 'lowercase letters',
+    'register.strength.needUppercase': 'uppercase letters',
+    'register.strength.needNumbers': 'numbers',
+    'register.strength.needSpecial': 'special characters',
+    'register.strength.and': ' and ',
+    'register.strength.weak': 'Weak - Add {missing}',
+    'register.strength.fair': 'Fair - Add {missing}',
+    'register.strength.good': 'Good - Almost there!',
+    'register.strength.strong': 'Strong password! 🔒',
+    'register.validation.nameRequired': 'Full name is required',
+    'register.validation.nameTooShort': 'Name must be at least {min} characters',
+    'register.validation.nameTooLong': 'Name cannot exceed {max} characters',
+    'register.validation.nameInvalid': 'Name can only contain letters, spaces, hyphens and apostrophes',
+    'register.validation.emailRequired': 'Email address is required',
+    'register.validation.emailInvalid': 'Please enter a valid email address',
+    'register.validation.emailExists': 'This email is already registered. Try signing in instead.',
+    'register.validation.passwordRequired': 'Password is required',
+    'register.validation.passwordTooShort': 'Password must be at least {min} characters',
+    'register.validation.passwordWeak': 'Password should contain uppercase, lowercase, and numbers',
+    'register.validation.passwordStrong': 'Great! Your password looks strong 💪',
+    'register.validation.confirmRequired': 'Please confirm your password',
+    'register.validation.confirmMismatch': 'Passwords do not match',
+    'register.validation.confirmMatch': 'Passwords match! ✓',
+
+    /* Navegación */
+    'nav.home': '🏠 Dashboard',
+    'nav.dashboard': '📊 Dashboard',
+    'nav.tasks': '📋 My Tasks',
+    'nav.profile': '👤 Profile',
+    'nav.admin': '🛡️ Admin',
+
+    /* Valores de las tareas */
+    'status.Pending': 'Pending',
+    'status.In Progress': 'In Progress',
+    'status.Completed': 'Completed',
+    'priority.Low': 'Low',
+    'priority.Medium': 'Medium',
+    'priority.High': 'High',
+    'difficulty.Easy': 'Easy',
+    'difficulty.Medium': 'Medium',
+    'difficulty.Hard': 'Hard',
+    'category.Mathematics': 'Mathematics',
+    'category.Physics': 'Physics',
+    'category.History': 'History',
+    'category.Computer Science': 'Computer Science',
+    'category.Literature': 'Literature',
+    'category.Chemistry': 'Chemistry',
+    'category.Biology': 'Biology',
+    'category.Art': 'Art',
+    'category.Music': 'Music',
+    'category.Other': 'Other',
+    'task.unassigned': 'Unassigned',
+    'task.noDueDate': 'No due date',
+    'task.notFound': 'Task not found.',
+    'option.category.Mathematics': '📐 Mathematics',
+    'option.category.Physics': '⚛️ Physics',
+    'option.category.History': '📚 History',
+    'option.category.Computer Science': '💻 Computer Science',
+    'option.category.Literature': '📖 Literature',
+    'option.category.Chemistry': '🧪 Chemistry',
+    'option.category.Biology': '🧬 Biology',
+    'option.category.Art': '🎨 Art',
+    'option.category.Music': '🎵 Music',
+    'option.category.Other': '📋 Other',
+    'option.priority.Low': '🟢 Low',
+    'option.priority.Medium': '🟡 Medium',
+    'option.priority.High': '🔴 High',
+    'option.status.Pending': '⏳ Pending',
+    'option.status.In Progress': '⚡ In Progress',
+    'option.status.Completed': '✅ Completed',
+    'option.difficulty.Easy': '🌱 Easy',
+    'option.difficulty.Medium': '⚖️ Medium',
+    'option.difficulty.Hard': '🔥 Hard',
+    'weekday.Sunday': 'Sunday',
+    'weekday.Monday': 'Monday',
+    'weekday.Tuesday': 'Tuesday',
+    'weekday.Wednesday': 'Wednesday',
+    'weekday.Thursday': 'Thursday',
+    'weekday.Friday': 'Friday',
+    'weekday.Saturday': 'Saturday',
+    'role.student': 'Student',
+    'role.admin': 'Admin',
+
+    /* Dashboard */
+    'dashboard.pageTitle': 'CRUDZASO - Dashboard',
+    'dashboard.title': 'Task Manager',
+    'dashboard.subtitle': 'Overview of your current academic performance tasks.',
+    'dashboard.newTask': '➕ New Task',
+    'dashboard.stats.total': 'Total Tasks',
+    'dashboard.stats.totalTrend': '📈 +12% from last week',
+    'dashboard.stats.completed': 'Completed',
+    'dashboard.stats.onTrack': '✅ On track',
+    'dashboard.stats.pending': 'Pending',
+    'dashboard.stats.highPriority': '🔥 {count} High Priority',
+    'dashboard.stats.allUnderControl': '✅ All under control',
+    'dashboard.stats.progress': 'Overall Progress',
+    'dashboard.stats.keepItUp': '🎯 Keep it up!',
+    'dashboard.stats.excellent': '🎯 Excellent progress!',
+    'dashboard.stats.goodMomentum': '📈 Good momentum!',
+    'dashboard.stats.keepGoing': '💪 Keep going!',
+    'dashboard.recentTasks': 'Recent Tasks',
+    'dashboard.filter.all': 'All Tasks',
+    'dashboard.filter.pending': 'Pending',
+    'dashboard.filter.completed': 'Completed',
+    'dashboard.column.task': 'TASK NAME',
+    'dashboard.column.assignee': 'ASSIGNEE',
+    'dashboard.column.status': 'STATUS',
+    'dashboard.column.priority': 'PRIORITY',
+    'dashboard.column.due': 'DUE DATE',
+    'dashboard.column.actions': 'ACTIONS',
+    'dashboard.action.edit': 'Edit task',
+    'dashboard.action.delete': 'Delete task',
+    'dashboard.action.complete': 'Mark as complete',
+    'dashboard.action.view': 'View details',
+    'dashboard.empty.title': 'No tasks found',
+    'dashboard.empty.text': 'Create your first task to get started with CRUDZASO!',
+    'dashboard.empty.button': '➕ Create First Task',
+    'dashboard.loadFailed': 'Failed to load dashboard. Please refresh the page.',
+    'dashboard.statusFailed': 'Failed to update task status. Please try again.',
+    'dashboard.confirmDelete': 'Are you sure you want to delete "{title}"?\n\nThis action cannot be undone.',
+    'dashboard.deleteFailed': 'Failed to delete task. Please try again.',
+    'dashboard.feedback.completed': '✅ "{title}" marked as completed!',
+    'dashboard.feedback.reopened': '🔄 "{title}" reopened for work.',
+    'dashboard.feedback.deleted': '🗑️ "{title}" has been deleted.',
+    'dashboard.feedback.updated': 'Task "{title}" updated successfully.',
+    'dashboard.details': 'Task Details:\n\nTitle: {title}\nCategory: {category}\nPriority: {priority}\nStatus: {status}\nDue Date: {dueDate}\n\nDescription:\n{description}',
+    'dashboard.details.notSet': 'Not set',
+    'dashboard.details.noDescription': 'No description available.',
+    'dashboard.refreshing': '🔄 Refreshing dashboard...',
+    'dashboard.refreshed': '✅ Dashboard updated!',
+    'dashboard.refreshFailed': 'Failed to refresh dashboard.',
+    'dashboard.greeting.morning': 'Good morning',
+    'dashboard.greeting.afternoon': 'Good afternoon',
+    'dashboard.greeting.evening': 'Good evening',
+    'dashboard.welcome': '{greeting}, {name}!',
+    'dashboard.completedToday.one': 'You\'ve completed {count} task today. Great work! 🎉',
+    'dashboard.completedToday.other': 'You\'ve completed {count} tasks today. Great work! 🎉',
+    'dashboard.readyForToday': 'Ready to tackle your tasks today? 💪',
+
+    /* Permisos */
+    'permissions.thisTask': 'this task',
+    'permissions.denied.view': 'You don\'t have permission to view {title}. Only its owner or an administrator can do that.',
+    'permissions.denied.edit': 'You don\'t have permission to edit {title}. Only its owner or an administrator can do that.',
+    'permissions.denied.delete': 'You don\'t have permission to delete {title}. Only its owner or an administrator can do that.',
+    'permissions.denied.complete': 'You don\'t have permission to update {title}. Only its owner or an administrator can do that.',
+
+    /* Validación de tareas */
+    'validation.title.required': 'Task title is required',
+    'validation.title.tooShort': 'Title must be at least {min} characters',
+    'validation.title.tooLong': 'Title cannot exceed {max} characters',
+    'validation.description.required': 'Task description is required',
+    'validation.description.tooShort': 'Description must be at least {min} characters',
+    'validation.description.tooLong': 'Description cannot exceed {max} characters',
+    'validation.dueDate.invalid': 'Due date is not a valid date',
+    'validation.dueDate.past': 'Due date cannot be in the past',
+    'validation.category.required': 'Please select a category',
+    'validation.estimatedHours.range': 'Estimated hours must be between {min} and {max}',
+    'validation.priority.invalid': 'Priority must be one of: {values}',
+    'validation.status.invalid': 'Status must be one of: {values}',
+    'validation.difficulty.invalid': 'Difficulty must be one of: {values}',
+
+    /* Actividad */
+    'activity.event.task.created': '{actor} created “{title}”',
+    'activity.event.task.updated': '{actor} edited “{title}”',
+    'activity.event.task.status_changed': '{actor} changed the status of “{title}”',
+    'activity.event.task.deleted': '{actor} deleted “{title}”',
+    'activity.event.profile.updated': '{actor} updated the profile of “{title}”',
+    'activity.event.profile.password_changed': '{actor} changed the password of “{title}”',
+
+    /* Avatar */
+    'avatar.alt': 'User avatar',
+    'avatar.altNamed': '{name}\'s avatar',
+    'avatar.error.noFile': 'Please choose an image file',
+    'avatar.error.type': 'Unsupported image type. Allowed: {types}',
+    'avatar.error.size': 'Image is too large (max {max}MB)',
+    'avatar.error.read': 'Could not read the image file',
+    'avatar.error.invalid': 'The file is not a valid image',
+
+    /* Logros */
+    'achievements.first-task.name': 'First Step',
+    'achievements.first-task.description': 'Complete your first task',
+    'achievements.ten-tasks.name': 'Getting Things Done',
+    'achievements.ten-tasks.description': 'Complete 10 tasks',
+    'achievements.high-priority-10.name': 'Priority Master',
+    'achievements.high-priority-10.description': 'Complete 10 high-priority tasks',
+    'achievements.early-bird.name': 'Early Bird',
+    'achievements.early-bird.description': 'Complete 5 tasks at least a day before their due date',
+    'achievements.streak-7.name': 'On a Roll',
+    'achievements.streak-7.description': 'Complete tasks 7 days in a row',
+    'achievements.category-early.name': 'Ahead of Schedule',
+    'achievements.category-early.description': 'Finish every task of a category early (at least {min} tasks)',
+
+    /* Plantillas */
+    'templates.dueIn.one': 'Due +{count} day',
+    'templates.dueIn.other': 'Due +{count} days',
+    'templates.essay.name': 'Essay',
+    'templates.essay.title': 'Academic Essay Assignment',
+    'templates.essay.description': 'Write a comprehensive essay analyzing the topic with proper citations and bibliography.',
+    'templates.essay.subtask1': 'Research sources',
+    'templates.essay.subtask2': 'Write outline',
+    'templates.essay.subtask3': 'Write first draft',
+    'templates.essay.subtask4': 'Add citations and bibliography',
+    'templates.essay.subtask5': 'Proofread',
+    'templates.lab.name': 'Lab Report',
+    'templates.lab.title': 'Laboratory Experiment Report',
+    'templates.lab.description': 'Conduct experiment, collect data, analyze results, and prepare detailed lab report.',
+    'templates.lab.subtask1': 'Run experiment',
+    'templates.lab.subtask2': 'Collect data',
+    'templates.lab.subtask3': 'Analyze results',
+    'templates.lab.subtask4': 'Write report',
+    'templates.presentation.name': 'Presentation',
+    'templates.presentation.title': 'Academic Presentation',
+    'templates.presentation.description': 'Prepare and deliver a presentation on assigned topic with visual aids.',
+    'templates.presentation.subtask1': 'Research topic',
+    'templates.presentation.subtask2': 'Create slides',
+    'templates.presentation.subtask3': 'Rehearse',
+    'templates.project.name': 'Final Project',
+    'templates.project.title': 'Course Final Project',
+    'templates.project.description': 'Complete comprehensive final project incorporating all course concepts and requirements.',
+    'templates.project.subtask1': 'Define scope',
+    'templates.project.subtask2': 'Build first version',
+    'templates.project.subtask3': 'Test and fix',
+    'templates.project.subtask4': 'Write documentation',
+    'templates.project.subtask5': 'Prepare demo',
+
+    /* Crear y editar tareas */
+    'createTask.back': '← Back to Tasks',
+    'createTask.draft.found': '📝 Unsaved draft found',
+    'createTask.draft.discard': 'Discard',
+    'createTask.draft.restore': 'Restore',
+    'createTask.templates.title': '📋 Start from a template',
+    'createTask.field.title': 'Task Title *',
+    'createTask.field.category': 'Category',
+    'createTask.field.categoryPlaceholder': 'Select category...',
+    'createTask.field.priority': 'Priority',
+    'createTask.field.status': 'Status',
+    'createTask.field.dueDate': 'Due Date',
+    'createTask.field.dueDateHelp': 'When should this task be completed? Add a time if it is due before the end of the day.',
+    'createTask.field.description': 'Description',
+    'createTask.field.estimatedHours': 'Estimated Hours',
+    'createTask.field.difficulty': 'Difficulty',
+    'createTask.field.assignee': 'Assignee',
+    'createTask.field.tags': 'Tags',
+    'createTask.field.tagsHelp': 'Separate tags with commas',
+    'createTask.field.checklist': 'Checklist',
+    'createTask.subtasks.add': '➕ Add',
+    'createTask.save': '💾 Save Task',
+    'createTask.drafts.title': '📝 My Drafts',
+    'createTask.field.titlePlaceholder': 'e.g., Complete Quarter 3 Report',
+    'createTask.field.descriptionPlaceholder': 'Add details about this task... What needs to be done? What are the requirements? Any specific instructions?',
+    'createTask.field.assigneePlaceholder': 'Defaults to you',
+    'createTask.field.tagsPlaceholder': 'e.g., research, writing, exam',
+    'createTask.subtasks.placeholder': 'Add a step, e.g. Write outline',
+    'createTask.subtasks.hours': 'Estimated hours',
+    'createTask.createTitle': 'Create New Task',
+    'createTask.editTitle': 'Edit Task',
+    'createTask.editTitleNamed': 'Edit Task: {title}',
+    'createTask.breadcrumb.create': 'Create Task',
+    'createTask.breadcrumb.edit': 'Edit Task',
+    'createTask.update': '💾 Update Task',
+    'createTask.loadFailed': 'Failed to load task creation form. Please refresh the page.',
+    'createTask.editMissing': 'The task you are trying to edit no longer exists.',
+    'createTask.conflict.recently': 'recently',
+    'createTask.conflict.confirm': '"{title}" was changed elsewhere ({changedAt}) after you opened it.\n\nPress OK to overwrite those changes with yours, or Cancel to keep editing. Reload the page to see the latest version.',
+    'createTask.subtasks.hoursRange': 'Subtask hours must be between 0.5 and 100',
+    'createTask.subtasks.done': 'Done',
+    'createTask.subtasks.titleLabel': 'Subtask title',
+    'createTask.subtasks.moveUp': 'Move up',
+    'createTask.subtasks.moveDown': 'Move down',
+    'createTask.subtasks.help': 'Break the task into steps. Progress is calculated from the checklist.',
+    'createTask.subtasks.summary': '{completed}/{total} done · {progress} complete',
+    'createTask.subtasks.hoursSummary': '{hours}h estimated in steps',
+    'createTask.templates.delete': 'Delete template',
+    'createTask.templates.noCategory': 'No category',
+    'createTask.templates.items.one': '{count} item',
+    'createTask.templates.items.other': '{count} items',
+    'createTask.templates.loadFailed': 'Templates could not be loaded.',
+    'createTask.templates.confirmReplace': 'Replace the current form contents with the "{name}" template?',
+    'createTask.templates.using': 'Using the "{name}" template',
+    'createTask.templates.itemsAdded.one': '{count} checklist item added',
+    'createTask.templates.itemsAdded.other': '{count} checklist items added',
+    'createTask.templates.confirmDelete': 'Delete this template? Tasks created from it are not affected.',
+    'createTask.templates.deleteFailed': 'Failed to delete the template. Please try again.',
+    'createTask.draft.savedAt': 'Auto-saved {date}',
+    'createTask.draftField.title': 'Title',
+    'createTask.drafts.untitled': 'Untitled task',
+    'createTask.drafts.editing': '✏️ Editing',
+    'createTask.drafts.new': '✨ New task',
+    'createTask.drafts.confirmDelete': 'Delete this draft? This cannot be undone.',
+    'createTask.confirmDiscard': 'Discard your unsaved changes?',
+    'createTask.criticalError': 'Critical Error: {message}',
+    'createTask.saveError': 'Save Error: {message}',
+    'createTask.fixErrors': 'Please correct the errors in the form before saving.',
+    'createTask.counter': '{current}/{max} characters',
+    'createTask.field.dueTime': 'Due time (optional)',
+
+    /* Gestión de tareas */
+    'tasks.pageTitle': 'CRUDZASO - Task Management',
+    'tasks.title': 'Task Management',
+    'tasks.subtitle': 'View, edit, and organize all academic tasks in one place.',
+    'tasks.export.filtered': 'Filtered tasks',
+    'tasks.export.selected': 'Selected tasks',
+    'tasks.export.button': '⬇️ Export',
+    'tasks.import.button': '⬆️ Import',
+    'tasks.summary.inProgress': 'In Progress',
+    'tasks.summary.pendingReview': 'Pending Review',
+    'tasks.import.previewTitle': '⬆️ Import Preview',
+    'tasks.import.column.row': 'Row',
+    'tasks.column.title': 'Title',
+    'tasks.import.column.result': 'Result',
+    'tasks.history.title': '🕘 Task History',
+    'tasks.bulk.selectAll': 'Select all',
+    'tasks.bulk.complete': '✅ Complete',
+    'tasks.bulk.reopen': '🔄 Reopen',
+    'tasks.bulk.priority': 'Priority…',
+    'tasks.bulk.category': 'Category…',
+    'tasks.bulk.addTag': '🏷️ Add Tag',
+    'tasks.bulk.removeTag': '✂️ Remove Tag',
+    'tasks.bulk.reassign': '👤 Reassign',
+    'tasks.bulk.delete': '🗑️ Delete',
+    'tasks.pagination.goTo': 'Go to',
+    'tasks.export.scope': 'Tasks to export',
+    'tasks.export.format': 'Export format',
+    'tasks.search': 'Search by title, ID, or tag...',
+    'tasks.sort.label': 'Sort tasks',
+    'tasks.bulk.changePriority': 'Change priority',
+    'tasks.bulk.changeCategory': 'Change category',
+    'tasks.pagination.previous': 'Previous page',
+    'tasks.pagination.next': 'Next page',
+    'tasks.pagination.perPage': 'Per page',
+    'tasks.loadFailed': 'Failed to load tasks management system. Please refresh the page or contact support.',
+    'tasks.action.complete': 'Mark as completed',
+    'tasks.action.reopen': 'Reopen task',
+    'tasks.action.duplicate': 'Duplicate task',
+    'tasks.action.history': 'View history',
+    'tasks.action.template': 'Save as template',
+    'tasks.card.estimated': '{hours}h estimated',
+    'tasks.card.created': 'Created: {date}',
+    'tasks.card.updated': 'Updated: {date}',
+    'tasks.card.timeSpent': 'Time spent: {hours}h',
+    'tasks.card.progress': '{progress} complete',
+    'tasks.card.checklist': 'Checklist {completed}/{total} · {progress}',
+    'tasks.sort.priority': 'Priority',
+    'tasks.sort.status': 'Status',
+    'tasks.sort.dueDate': 'Due Date',
+    'tasks.sort.createdAt': 'Created',
+    'tasks.sort.updatedAt': 'Updated',
+    'tasks.sort.title': 'Title',
+    'tasks.sort.category': 'Category',
+    'tasks.sort.estimatedHours': 'Hours',
+    'tasks.sort.difficulty': 'Difficulty',
+    'tasks.sort.hint': 'Click to sort, Shift+Click to add as secondary sort',
+    'tasks.pagination.showing': 'Showing {from} to {to} of {total} results',
+    'tasks.bulk.limit': 'You can select up to {limit} tasks at a time.',
+    'tasks.bulk.limitReached': 'Only the first {limit} of {total} tasks were selected (bulk action limit).',
+    'tasks.bulk.selected': '{count} selected',
+    'tasks.bulk.promptAddTag': 'Tag to add to the selected tasks:',
+    'tasks.bulk.promptRemoveTag': 'Tag to remove from the selected tasks:',
+    'tasks.bulk.promptReassign': 'Email of the user to assign the selected tasks to:',
+    'tasks.bulk.reassignNotFound': 'No user found with the email {email}.',
+    'tasks.bulk.skipped.one': '{count} selected task will be skipped: {reason}',
+    'tasks.bulk.skipped.other': '{count} selected tasks will be skipped: {reason}',
+    'tasks.bulk.failed.one': '{count} task could not be updated:',
+    'tasks.bulk.failed.other': '{count} tasks could not be updated:',
+    'tasks.bulk.confirm.complete.one': 'Mark as completed {count} task?',
+    'tasks.bulk.confirm.complete.other': 'Mark as completed {count} tasks?',
+    'tasks.bulk.confirm.reopen.one': 'Reopen {count} task?',
+    'tasks.bulk.confirm.reopen.other': 'Reopen {count} tasks?',
+    'tasks.bulk.confirm.priority.one': 'Set priority to {priority} for {count} task?',
+    'tasks.bulk.confirm.priority.other': 'Set priority to {priority} for {count} tasks?',
+    'tasks.bulk.confirm.category.one': 'Move to {category} {count} task?',
+    'tasks.bulk.confirm.category.other': 'Move to {category} {count} tasks?',
+    'tasks.bulk.confirm.addTag.one': 'Add tag #{tag} to {count} task?',
+    'tasks.bulk.confirm.addTag.other': 'Add tag #{tag} to {count} tasks?',
+    'tasks.bulk.confirm.removeTag.one': 'Remove tag #{tag} from {count} task?',
+    'tasks.bulk.confirm.removeTag.other': 'Remove tag #{tag} from {count} tasks?',
+    'tasks.bulk.confirm.reassign.one': 'Reassign to {assignee} {count} task?',
+    'tasks.bulk.confirm.reassign.other': 'Reassign to {assignee} {count} tasks?',
+    'tasks.bulk.confirm.delete.one': 'Permanently delete {count} task?',
+    'tasks.bulk.confirm.delete.other': 'Permanently delete {count} tasks?',
+    'tasks.bulk.andMore': '…and {count} more',
+    'tasks.export.noSelected': 'No selected tasks to export. Select some tasks or export the filtered list.',
+    'tasks.export.noMatches': 'No tasks match the current filters.',
+    'tasks.export.failed': 'Export failed: {message}',
+    'tasks.report.blocked': 'The report window was blocked. Please allow pop-ups for this site.',
+    'tasks.report.title': 'CRUDZASO Task Report',
+    'tasks.report.total': 'Total',
+    'tasks.report.overdue': 'Overdue',
+    'tasks.report.highPriority': 'High Priority Open',
+    'tasks.report.meta.one': 'Generated {date} by {name} · {count} task',
+    'tasks.report.meta.other': 'Generated {date} by {name} · {count} tasks',
+    'tasks.report.column.task': 'Task',
+    'tasks.report.column.due': 'Due',
+    'tasks.import.empty': 'The file does not contain any tasks.',
+    'tasks.import.tooMany': 'The file has {rows} rows. The limit is {limit} per import.',
+    'tasks.import.readFailed': 'Could not read {file}: {message}',
+    'tasks.import.invalidJson': 'The file is not valid JSON.',
+    'tasks.import.invalidShape': 'Expected an array of tasks or an object with a "tasks" array.',
+    'tasks.import.csvTooShort': 'The CSV needs a header row and at least one task.',
+    'tasks.import.csvNoTitle': 'The CSV needs a "title" column.',
+    'tasks.import.csvUnclosed': 'The CSV has an unclosed quoted field.',
+    'tasks.import.summary': '{file}: {rows} rows · {valid} valid · {invalid} with errors',
+    'tasks.import.skipNote': '(rows with errors will be skipped)',
+    'tasks.import.ready': '✅ Ready',
+    'tasks.import.confirm.one': 'Import {count} task',
+    'tasks.import.confirm.other': 'Import {count} tasks',
+    'tasks.import.failed.one': '{count} task could not be imported:',
+    'tasks.import.failed.other': '{count} tasks could not be imported:',
+    'tasks.import.rowLabel': 'Row {row}',
+    'tasks.checklistFailed': 'Failed to update the checklist. Please try again.',
+    'tasks.history.empty': 'No changes recorded for this task yet.',
+    'tasks.history.loadFailed': 'Failed to load the task history. Please try again.',
+    'tasks.template.promptName': 'Template name:',
+    'tasks.template.promptDue': 'Relative due date for tasks created from this template (e.g. "+7 days", "2 weeks"). Leave empty for no due date:',
+    'tasks.template.invalidDue': '"{value}" is not a valid relative date. Use something like "+7 days" or "2 weeks".',
+    'tasks.template.saved': 'Template "{name}" saved. You can use it from the New Task page.',
+    'tasks.template.saveFailed': 'Failed to save the template. Please try again.',
+    'tasks.due.today': 'Due today',
+    'tasks.due.tomorrow': 'Due tomorrow',
+    'tasks.history.events.one': '{count} event',
+    'tasks.history.events.other': '{count} events',
+    'tasks.due.overdue.one': '{count} day overdue',
+    'tasks.due.overdue.other': '{count} days overdue',
+    'tasks.due.remaining.one': '{count} day remaining',
+    'tasks.due.remaining.other': '{count} days remaining',
+
+    /* Perfil */
+    'profile.pageTitle': 'CRUDZASO - My Profile',
+    'profile.title': 'My Profile',
+    'profile.avatar.upload': '📷 Upload Photo',
+    'profile.avatar.save': '💾 Save Photo',
+    'profile.stats.tasksManaged': 'Tasks Managed',
+    'profile.personal.title': 'Personal Information',
+    'profile.personal.edit': '✏️ Edit Profile',
+    'profile.personal.employeeId': 'Employee ID',
+    'profile.personal.phone': 'Phone',
+    'profile.personal.department': 'Department',
+    'profile.personal.roleLevel': 'Role Level',
+    'profile.personal.joinDate': 'Join Date',
+    'profile.insights.title': '📈 Productivity Insights',
+    'profile.insights.streak': 'Productivity Streak',
+    'profile.insights.onTime': 'On-Time Rate',
+    'profile.insights.bestDay': 'Best Day',
+    'profile.insights.activeTime': 'Most Active Time',
+    'profile.insights.lastWeek': 'Completed (last 7 days)',
+    'profile.password.title': '🔑 Change Password',
+    'profile.password.current': 'Current Password',
+    'profile.password.new': 'New Password',
+    'profile.password.confirm': 'Confirm New Password',
+    'profile.password.submit': 'Update Password',
+    'profile.sessions.title': '🖥️ Active Sessions',
+    'profile.sessions.logout': '🚪 Log Out',
+    'profile.sessions.logoutAll': '🚫 Log Out of All Devices',
+    'profile.lockouts.title': '🔒 Account Lockouts',
+    'profile.preferences.title': '⚙️ Preferences',
+    'profile.preferences.theme': 'Theme',
+    'profile.preferences.language': 'Language',
+    'profile.preferences.timezone': 'Time Zone',
+    'profile.preferences.notifications': 'Notifications',
+    'profile.preferences.reminders': 'Remind me before a deadline',
+    'profile.achievements.title': '🏆 Achievements',
+    'profile.achievements.next': 'Up Next',
+    'profile.activity.title': '📈 Recent Activity',
+    'profile.loadFailed': 'Failed to load profile data. Please refresh the page.',
+    'profile.personal.noBio': 'No biography provided yet.',
+    'profile.sessions.thisDevice': 'This device',
+    'profile.sessions.details': 'Signed in {signedIn} · Expires {expires}',
+    'profile.sessions.loadFailed': 'Failed to load sessions.',
+    'profile.sessions.unknownDevice': 'Unknown device',
+    'profile.sessions.device': '{browser} on {platform}',
+    'profile.sessions.confirmLogoutAll': 'Log out of all devices? You will need to sign in again everywhere.',
+    'profile.sessions.logoutAllFailed': 'Failed to log out of all devices. Please try again.',
+    'profile.lockouts.empty': 'No failed login attempts recorded.',
+    'profile.lockouts.locked': '🔒 Locked for {minutes} more min',
+    'profile.lockouts.lastAttempt': 'Last attempt {date}',
+    'profile.lockouts.unlock': '🔓 Unlock',
+    'profile.lockouts.clear': '🧹 Clear',
+    'profile.lockouts.adminOnly': 'Only administrators can clear lockouts.',
+    'profile.lockouts.clearFailed': 'Failed to clear lockout for {email}.',
+    'profile.password.tooShort': 'New password must be at least {min} characters long.',
+    'profile.password.mismatch': 'New passwords do not match.',
+    'profile.password.same': 'New password must be different from the current one.',
+    'profile.password.incorrect': 'Current password is incorrect.',
+    'profile.password.updated': 'Password updated successfully.',
+    'profile.password.failed': 'Failed to update password. Please try again.',
+    'profile.avatar.saveFailed': 'Failed to save avatar. Please try again.',
+    'profile.avatar.useEmoji': 'Use {emoji} as avatar',
+    'profile.preferences.saving': 'Saving…',
+    'profile.preferences.saved': '✓ Saved',
+    'profile.preferences.saveFailed': 'Could not save. Please try again.',
+    'profile.activity.empty': 'No activity recorded yet.',
+    'profile.achievements.count': '{unlocked}/{total} unlocked',
+    'profile.achievements.empty': 'No badges yet. Complete tasks to earn your first one!',
+    'profile.achievements.new': 'New!',
+    'profile.achievements.unlockedAt': 'Unlocked {date}',
+    'profile.achievements.allUnlocked': 'All badges unlocked. Well done!',
+    'profile.fixErrors': 'Please correct the errors in the form.',
+    'profile.insights.days.one': '{count} day',
+    'profile.insights.days.other': '{count} days',
+    'profile.lockouts.attempts.one': '{count} failed attempt',
+    'profile.lockouts.attempts.other': '{count} failed attempts',
+    'profile.activity.fieldsChanged.one': '{count} field changed',
+    'profile.activity.fieldsChanged.other': '{count} fields changed',
+
+    /* Preferencias */
+    'preferences.theme.light': '☀️ Light',
+    'preferences.theme.dark': '🌙 Dark',
+    'preferences.theme.system': '🖥️ System',
+    'preferences.notification.email': 'Email updates',
+    'preferences.notification.push': 'Browser notifications',
+    'preferences.notification.deadline': 'Deadline reminders',
+    'preferences.notification.daily': 'Daily digest',
+    'preferences.reminder.hours.one': '{count} hour before',
+    'preferences.reminder.hours.other': '{count} hours before',
+    'preferences.reminder.days.one': '{count} day before',
+    'preferences.reminder.days.other': '{count} days before',
+
+    /* Administración */
+    'admin.pageTitle': 'CRUDZASO - Admin Console',
+    'admin.title': 'Admin Console',
+    'admin.subtitle': 'Manage user accounts, roles and access to CRUDZASO.',
+    'admin.summary.users': 'Users',
+    'admin.summary.deactivated': 'Deactivated',
+    'admin.summary.totalTasks': 'Total Tasks',
+    'admin.summary.completionRate': 'Completion Rate',
+    'admin.filter.all': 'All roles',
+    'admin.filter.students': 'Students',
+    'admin.filter.admins': 'Admins',
+    'admin.users.title': '👥 Users',
+    'admin.searchPlaceholder': 'Search by name, email or department...',
+    'admin.denied': 'The admin console is only available to administrators.',
+    'admin.loadFailed': 'Failed to load the admin console. Please refresh the page.',
+    'admin.refreshFailed': 'Failed to refresh users. Please try again.',
+    'admin.users.empty': 'No users match your search.',
+    'admin.users.you': '(you)',
+    'admin.users.noDepartment': 'No department',
+    'admin.users.lastActive': 'Last active {date}',
+    'admin.users.taskMeta': '{rate} done · {overdue} overdue',
+    'admin.users.ownRole': 'You cannot change your own role',
+    'admin.users.deactivated': 'Deactivated',
+    'admin.users.active': 'Active',
+    'admin.users.statsTitle': 'Task statistics',
+    'admin.users.resetTitle': 'Reset password',
+    'admin.users.reactivateTitle': 'Reactivate account',
+    'admin.users.deactivateTitle': 'Deactivate account',
+    'admin.stats.completed': 'completed',
+    'admin.stats.inProgress': 'in progress',
+    'admin.stats.pending': 'pending',
+    'admin.stats.estimated': 'estimated',
+    'admin.stats.thisWeek': 'completed this week',
+    'admin.stats.perWeek': 'tasks per week',
+    'admin.error.notFound': 'User not found.',
+    'admin.error.self': 'You cannot perform this action on your own account.',
+    'admin.error.unknownRole': 'Unknown role: {role}',
+    'admin.confirm.role': 'Change {name}\'s role from {from} to {to}?',
+    'admin.error.role': 'Failed to change role. Please try again.',
+    'admin.error.status': 'Failed to update account status. Please try again.',
+    'admin.confirm.reset': 'Reset {name}\'s password? Their current password will stop working immediately.',
+    'admin.reset.self': 'Your password was reset. Copy your temporary password and sign in again:',
+    'admin.reset.temporary': 'Temporary password for {name}. Share it securely; it will not be shown again:',
+    'admin.success.reset': '{name}\'s password has been reset and their sessions were closed.',
+    'admin.error.reset': 'Failed to reset password. Please try again.',
+    'admin.confirm.deactivate': 'Deactivate {name}\'s account? They will be signed out and unable to log in.',
+    'admin.confirm.reactivate': 'Reactivate {name}\'s account?',
+    'admin.success.role.admin': '{name} is now an admin.',
+    'admin.success.role.student': '{name} is now a student.',
+    'admin.success.deactivated': '{name}\'s account has been deactivated.',
+    'admin.success.reactivated': '{name}\'s account has been reactivated.',
+    'admin.users.results.one': '{shown} of {count} user',
+    'admin.users.results.other': '{shown} of {count} users',
+    'admin.users.tasks.one': '{count} task',
+    'admin.users.tasks.other': '{count} tasks',
+
+    /* Notificaciones */
+    'notifications.title': 'Notifications',
+    'notifications.markAllRead': 'Mark all as read',
+    'notifications.enablePush': '🔔 Enable browser notifications',
+    'notifications.empty': 'You\'re all caught up.',
+    'notifications.deadline.hours.one': 'Due within the hour',
+    'notifications.deadline.hours.other': 'Due within {count} hours',
+    'notifications.deadline.days.one': 'Due within a day',
+    'notifications.deadline.days.other': 'Due within {count} days',
+    'notifications.deadline.body': '"{title}" · due {due}',
+    'notifications.digest.title': 'Daily digest',
+    'notifications.digest.dueToday.one': '{count} task due today',
+    'notifications.digest.dueToday.other': '{count} tasks due today',
+    'notifications.digest.overdue.one': '{count} overdue task',
+    'notifications.digest.overdue.other': '{count} overdue tasks'
+});
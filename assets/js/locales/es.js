@@ -0,0 +1,660 @@
+/*
+    ===================================
+    ESPAÑOL - CRUDZASO v2
+    ===================================
+
+    Textos de la interfaz en español. Las claves que falten aquí se muestran
+    en inglés.
+
+    Los parámetros van entre llaves: {title}, {count}...
+*/
+
+I18n.register('es', {
+    /* Común */
+    'common.cancel': 'Cancelar',
+    'common.close': 'Cerrar',
+    'common.save': 'Guardar',
+    'common.delete': 'Eliminar',
+    'common.remove': 'Quitar',
+    'common.clear': 'Limpiar',
+    'common.refresh': '🔄 Actualizar',
+    'common.unexpectedError': 'Ocurrió un error inesperado. Inténtalo de nuevo.',
+    'common.never': 'nunca',
+    'common.notProvided': 'Sin especificar',
+
+    /* Inicio de sesión */
+    'login.pageTitle': 'CRUDZASO - Iniciar sesión',
+    'login.title': 'Bienvenido de nuevo',
+    'login.subtitle': 'Ingresa tus credenciales para acceder a la plataforma',
+    'login.emailLabel': 'Email o usuario',
+    'login.emailPlaceholder': 'estudiante@universidad.edu',
+    'login.passwordLabel': 'Contraseña',
+    'login.show': 'Mostrar',
+    'login.forgotPassword': '¿Olvidaste tu contraseña?',
+    'login.submit': 'Iniciar sesión',
+    'login.submitting': '🔄 Iniciando sesión...',
+    'login.noAccount': '¿No tienes una cuenta?',
+    'login.signUpLink': 'Regístrate aquí',
+    'login.redirecting': '¡Bienvenido de nuevo! Redirigiendo...',
+    'login.success': '¡Bienvenido de nuevo, {name}! Redirigiendo a tu panel...',
+    'login.invalidCredentials': 'Email o contraseña incorrectos. Revisa tus credenciales e inténtalo de nuevo.',
+    'login.deactivated': 'Esta cuenta fue desactivada. Contacta a un administrador.',
+    'login.lockoutEnded': 'Ya puedes volver a intentar iniciar sesión.',
+    'login.lockedOut': '🔒 Demasiados intentos fallidos. Inténtalo de nuevo en {time}.',
+    'login.emailRequired': 'El email es obligatorio',
+    'login.emailInvalid': 'Ingresa un email válido',
+    'login.passwordRequired': 'La contraseña es obligatoria',
+    'login.attemptsRemaining.one': 'Queda {count} intento.',
+    'login.attemptsRemaining.other': 'Quedan {count} intentos.',
+
+    /* Registro */
+    'register.pageTitle': 'CRUDZASO - Registro',
+    'register.title': 'Crear cuenta',
+    'register.subtitle': 'Únete hoy a la plataforma de rendimiento académico',
+    'register.nameLabel': 'Nombre completo',
+    'register.namePlaceholder': 'Juan Pérez',
+    'register.emailLabel': 'Correo electrónico',
+    'register.passwordLabel': 'Contraseña',
+    'register.passwordPlaceholder': 'Crea una contraseña',
+    'register.confirmLabel': 'Confirmar contraseña',
+    'register.confirmPlaceholder': 'Confirma la contraseña',
+    'register.submit': 'Registrarse',
+    'register.submitting': '⏳ Creando cuenta...',
+    'register.haveAccount': '¿Ya tienes una cuenta?',
+    'register.signInLink': 'Inicia sesión',
+    'register.fixErrors': 'Corrige los errores marcados antes de continuar.',
+    'register.saveFailed': 'No se pudieron guardar los datos. Inténtalo de nuevo.',
+    'register.success': '¡Bienvenido a CRUDZASO, {name}! 🎉 Tu cuenta se creó correctamente.',
+    'register.emailAvailable': '¡El email está disponible! ✓',
+    'register.passwordsMatch': '✓ Las contraseñas coinciden',
+    'register.passwordsDontMatch': '✗ Las contraseñas no coinciden',
+    'register.strength.needLength': 'al menos 8 caracteres',
+    'register.strength.needLowercase': 'minúsculas',
+    'register.strength.needUppercase': 'mayúsculas',
+    'register.strength.needNumbers': 'números',
+    'register.strength.needSpecial': 'caracteres especiales',
+    'register.strength.and': ' y ',
+    'register.strength.weak': 'Débil - Agrega {missing}',
+    'register.strength.fair': 'Aceptable - Agrega {missing}',
+    'register.strength.good': 'Buena - ¡Casi lista!',
+    'register.strength.strong': '¡Contraseña segura! 🔒',
+    'register.validation.nameRequired': 'El nombre completo es obligatorio',
+    'register.validation.nameTooShort': 'El nombre debe tener al menos {min} caracteres',
+    'register.validation.nameTooLong': 'El nombre no puede superar los {max} caracteres',
+    'register.validation.nameInvalid': 'El nombre solo puede contener letras, espacios, guiones y apóstrofos',
+    'register.validation.emailRequired': 'El correo electrónico es obligatorio',
+    'register.validation.emailInvalid': 'Ingresa un correo electrónico válido',
+    'register.validation.emailExists': 'Este email ya está registrado. Prueba a iniciar sesión.',
+    'register.validation.passwordRequired': 'La contraseña es obligatoria',
+    'register.validation.passwordTooShort': 'La contraseña debe tener al menos {min} caracteres',
+    'register.validation.passwordWeak': 'La contraseña debería tener mayúsculas, minúsculas y números',
+    'register.validation.passwordStrong': '¡Genial! Tu contraseña parece segura 💪',
+    'register.validation.confirmRequired': 'Confirma tu contraseña',
+    'register.validation.confirmMismatch': 'Las contraseñas no coinciden',
+    'register.validation.confirmMatch': '¡Las contraseñas coinciden! ✓',
+
+    /* Navegación */
+    'nav.home': '🏠 Panel',
+    'nav.dashboard': '📊 Panel',
+    'nav.tasks': '📋 Mis tareas',
+    'nav.profile': '👤 Perfil',
+    'nav.admin': '🛡️ Administración',
+
+    /* Valores de las tareas */
+    'status.Pending': 'Pendiente',
+    'status.In Progress': 'En progreso',
+    'status.Completed': 'Completada',
+    'priority.Low': 'Baja',
+    'priority.Medium': 'Media',
+    'priority.High': 'Alta',
+    'difficulty.Easy': 'Fácil',
+    'difficulty.Medium': 'Media',
+    'difficulty.Hard': 'Difícil',
+    'category.Mathematics': 'Matemáticas',
+    'category.Physics': 'Física',
+    'category.History': 'Historia',
+    'category.Computer Science': 'Informática',
+    'category.Literature': 'Literatura',
+    'category.Chemistry': 'Química',
+    'category.Biology': 'Biología',
+    'category.Art': 'Arte',
+    'category.Music': 'Música',
+    'category.Other': 'Otra',
+    'task.unassigned': 'Sin asignar',
+    'task.noDueDate': 'Sin fecha límite',
+    'task.notFound': 'Tarea no encontrada.',
+    'option.category.Mathematics': '📐 Matemáticas',
+    'option.category.Physics': '⚛️ Física',
+    'option.category.History': '📚 Historia',
+    'option.category.Computer Science': '💻 Informática',
+    'option.category.Literature': '📖 Literatura',
+    'option.category.Chemistry': '🧪 Química',
+    'option.category.Biology': '🧬 Biología',
+    'option.category.Art': '🎨 Arte',
+    'option.category.Music': '🎵 Música',
+    'option.category.Other': '📋 Otra',
+    'option.priority.Low': '🟢 Baja',
+    'option.priority.Medium': '🟡 Media',
+    'option.priority.High': '🔴 Alta',
+    'option.status.Pending': '⏳ Pendiente',
+    'option.status.In Progress': '⚡ En progreso',
+    'option.status.Completed': '✅ Completada',
+    'option.difficulty.Easy': '🌱 Fácil',
+    'option.difficulty.Medium': '⚖️ Media',
+    'option.difficulty.Hard': '🔥 Difícil',
+    'weekday.Sunday': 'Domingo',
+    'weekday.Monday': 'Lunes',
+    'weekday.Tuesday': 'Martes',
+    'weekday.Wednesday': 'Miércoles',
+    'weekday.Thursday': 'Jueves',
+    'weekday.Friday': 'Viernes',
+    'weekday.Saturday': 'Sábado',
+    'role.student': 'Estudiante',
+    'role.admin': 'Administrador',
+
+    /* Dashboard */
+    'dashboard.pageTitle': 'CRUDZASO - Panel',
+    'dashboard.title': 'Gestor de tareas',
+    'dashboard.subtitle': 'Resumen de tus tareas de rendimiento académico.',
+    'dashboard.newTask': '➕ Nueva tarea',
+    'dashboard.stats.total': 'Tareas totales',
+    'dashboard.stats.totalTrend': '📈 +12% respecto a la semana pasada',
+    'dashboard.stats.completed': 'Completadas',
+    'dashboard.stats.onTrack': '✅ Al día',
+    'dashboard.stats.pending': 'Pendientes',
+    'dashboard.stats.highPriority': '🔥 {count} de prioridad alta',
+    'dashboard.stats.allUnderControl': '✅ Todo bajo control',
+    'dashboard.stats.progress': 'Progreso general',
+    'dashboard.stats.keepItUp': '🎯 ¡Sigue así!',
+    'dashboard.stats.excellent': '🎯 ¡Excelente progreso!',
+    'dashboard.stats.goodMomentum': '📈 ¡Buen ritmo!',
+    'dashboard.stats.keepGoing': '💪 ¡No te detengas!',
+    'dashboard.recentTasks': 'Tareas recientes',
+    'dashboard.filter.all': 'Todas',
+    'dashboard.filter.pending': 'Pendientes',
+    'dashboard.filter.completed': 'Completadas',
+    'dashboard.column.task': 'TAREA',
+    'dashboard.column.assignee': 'ASIGNADA A',
+    'dashboard.column.status': 'ESTADO',
+    'dashboard.column.priority': 'PRIORIDAD',
+    'dashboard.column.due': 'FECHA LÍMITE',
+    'dashboard.column.actions': 'ACCIONES',
+    'dashboard.action.edit': 'Editar tarea',
+    'dashboard.action.delete': 'Eliminar tarea',
+    'dashboard.action.complete': 'Marcar como completada',
+    'dashboard.action.view': 'Ver detalles',
+    'dashboard.empty.title': 'No se encontraron tareas',
+    'dashboard.empty.text': '¡Crea tu primera tarea para empezar con CRUDZASO!',
+    'dashboard.empty.button': '➕ Crear la primera tarea',
+    'dashboard.loadFailed': 'No se pudo cargar el panel. Recarga la página.',
+    'dashboard.statusFailed': 'No se pudo actualizar el estado de la tarea. Inténtalo de nuevo.',
+    'dashboard.confirmDelete': '¿Seguro que quieres eliminar "{title}"?\n\nEsta acción no se puede deshacer.',
+    'dashboard.deleteFailed': 'No se pudo eliminar la tarea. Inténtalo de nuevo.',
+    'dashboard.feedback.completed': '✅ ¡"{title}" marcada como completada!',
+    'dashboard.feedback.reopened': '🔄 "{title}" se reabrió.',
+    'dashboard.feedback.deleted': '🗑️ "{title}" se eliminó.',
+    'dashboard.feedback.updated': 'La tarea "{title}" se actualizó correctamente.',
+    'dashboard.details': 'Detalles de la tarea:\n\nTítulo: {title}\nCategoría: {category}\nPrioridad: {priority}\nEstado: {status}\nFecha límite: {dueDate}\n\nDescripción:\n{description}',
+    'dashboard.details.notSet': 'Sin definir',
+    'dashboard.details.noDescription': 'Sin descripción.',
+    'dashboard.refreshing': '🔄 Actualizando el panel...',
+    'dashboard.refreshed': '✅ ¡Panel actualizado!',
+    'dashboard.refreshFailed': 'No se pudo actualizar el panel.',
+    'dashboard.greeting.morning': 'Buenos días',
+    'dashboard.greeting.afternoon': 'Buenas tardes',
+    'dashboard.greeting.evening': 'Buenas noches',
+    'dashboard.welcome': '¡{greeting}, {name}!',
+    'dashboard.completedToday.one': 'Hoy completaste {count} tarea. ¡Buen trabajo! 🎉',
+    'dashboard.completedToday.other': 'Hoy completaste {count} tareas. ¡Buen trabajo! 🎉',
+    'dashboard.readyForToday': '¿Listo para tus tareas de hoy? 💪',
+
+    /* Permisos */
+    'permissions.thisTask': 'esta tarea',
+    'permissions.denied.view': 'No tienes permiso para ver {title}. Solo su dueño o un administrador pueden hacerlo.',
+    'permissions.denied.edit': 'No tienes permiso para editar {title}. Solo su dueño o un administrador pueden hacerlo.',
+    'permissions.denied.delete': 'No tienes permiso para eliminar {title}. Solo su dueño o un administrador pueden hacerlo.',
+    'permissions.denied.complete': 'No tienes permiso para actualizar {title}. Solo su dueño o un administrador pueden hacerlo.',
+
+    /* Validación de tareas */
+    'validation.title.required': 'El título de la tarea es obligatorio',
+    'validation.title.tooShort': 'El título debe tener al menos {min} caracteres',
+    'validation.title.tooLong': 'El título no puede superar los {max} caracteres',
+    'validation.description.required': 'La descripción de la tarea es obligatoria',
+    'validation.description.tooShort': 'La descripción debe tener al menos {min} caracteres',
+    'validation.description.tooLong': 'La descripción no puede superar los {max} caracteres',
+    'validation.dueDate.invalid': 'La fecha límite no es válida',
+    'validation.dueDate.past': 'La fecha límite no puede estar en el pasado',
+    'validation.category.required': 'Selecciona una categoría',
+    'validation.estimatedHours.range': 'Las horas estimadas deben estar entre {min} y {max}',
+    'validation.priority.invalid': 'La prioridad debe ser una de: {values}',
+    'validation.status.invalid': 'El estado debe ser uno de: {values}',
+    'validation.difficulty.invalid': 'La dificultad debe ser una de: {values}',
+
+    /* Actividad */
+    'activity.event.task.created': '{actor} creó “{title}”',
+    'activity.event.task.updated': '{actor} editó “{title}”',
+    'activity.event.task.status_changed': '{actor} cambió el estado de “{title}”',
+    'activity.event.task.deleted': '{actor} eliminó “{title}”',
+    'activity.event.profile.updated': '{actor} actualizó el perfil de “{title}”',
+    'activity.event.profile.password_changed': '{actor} cambió la contraseña de “{title}”',
+
+    /* Avatar */
+    'avatar.alt': 'Avatar del usuario',
+    'avatar.altNamed': 'Avatar de {name}',
+    'avatar.error.noFile': 'Elige un archivo de imagen',
+    'avatar.error.type': 'Tipo de imagen no admitido. Permitidos: {types}',
+    'avatar.error.size': 'La imagen es demasiado grande (máx. {max} MB)',
+    'avatar.error.read': 'No se pudo leer el archivo de imagen',
+    'avatar.error.invalid': 'El archivo no es una imagen válida',
+
+    /* Logros */
+    'achievements.first-task.name': 'Primer paso',
+    'achievements.first-task.description': 'Completa tu primera tarea',
+    'achievements.ten-tasks.name': 'Manos a la obra',
+    'achievements.ten-tasks.description': 'Completa 10 tareas',
+    'achievements.high-priority-10.name': 'Maestro de prioridades',
+    'achievements.high-priority-10.description': 'Completa 10 tareas de prioridad alta',
+    'achievements.early-bird.name': 'Madrugador',
+    'achievements.early-bird.description': 'Completa 5 tareas al menos un día antes de su fecha límite',
+    'achievements.streak-7.name': 'Racha imparable',
+    'achievements.streak-7.description': 'Completa tareas 7 días seguidos',
+    'achievements.category-early.name': 'Adelantado',
+    'achievements.category-early.description': 'Termina antes de tiempo todas las tareas de una categoría (al menos {min} tareas)',
+
+    /* Plantillas */
+    'templates.dueIn.one': 'Vence +{count} día',
+    'templates.dueIn.other': 'Vence +{count} días',
+    'templates.essay.name': 'Ensayo',
+    'templates.essay.title': 'Ensayo académico',
+    'templates.essay.description': 'Escribir un ensayo completo que analice el tema con citas y bibliografía adecuadas.',
+    'templates.essay.subtask1': 'Buscar fuentes',
+    'templates.essay.subtask2': 'Escribir el esquema',
+    'templates.essay.subtask3': 'Escribir el primer borrador',
+    'templates.essay.subtask4': 'Añadir citas y bibliografía',
+    'templates.essay.subtask5': 'Revisar el texto',
+    'templates.lab.name': 'Informe de laboratorio',
+    'templates.lab.title': 'Informe de experimento de laboratorio',
+    'templates.lab.description': 'Realizar el experimento, recoger datos, analizar los resultados y preparar un informe de laboratorio detallado.',
+    'templates.lab.subtask1': 'Realizar el experimento',
+    'templates.lab.subtask2': 'Recoger datos',
+    'templates.lab.subtask3': 'Analizar los resultados',
+    'templates.lab.subtask4': 'Redactar el informe',
+    'templates.presentation.name': 'Presentación',
+    'templates.presentation.title': 'Presentación académica',
+    'templates.presentation.description': 'Preparar y exponer una presentación sobre el tema asignado con apoyo visual.',
+    'templates.presentation.subtask1': 'Investigar el tema',
+    'templates.presentation.subtask2': 'Crear las diapositivas',
+    'templates.presentation.subtask3': 'Ensayar',
+    'templates.project.name': 'Proyecto final',
+    'templates.project.title': 'Proyecto final del curso',
+    'templates.project.description': 'Completar un proyecto final que integre todos los conceptos y requisitos del curso.',
+    'templates.project.subtask1': 'Definir el alcance',
+    'templates.project.subtask2': 'Construir la primera versión',
+    'templates.project.subtask3': 'Probar y corregir',
+    'templates.project.subtask4': 'Escribir la documentación',
+    'templates.project.subtask5': 'Preparar la demo',
+
+    /* Crear y editar tareas */
+    'createTask.back': '← Volver a las tareas',
+    'createTask.draft.found': '📝 Hay un borrador sin guardar',
+    'createTask.draft.discard': 'Descartar',
+    'createTask.draft.restore': 'Restaurar',
+    'createTask.templates.title': '📋 Empezar desde una plantilla',
+    'createTask.field.title': 'Título de la tarea *',
+    'createTask.field.category': 'Categoría',
+    'createTask.field.categoryPlaceholder': 'Selecciona una categoría...',
+    'createTask.field.priority': 'Prioridad',
+    'createTask.field.status': 'Estado',
+    'createTask.field.dueDate': 'Fecha límite',
+    'createTask.field.dueDateHelp': '¿Cuándo debería completarse esta tarea? Indica una hora si vence antes de que termine el día.',
+    'createTask.field.description': 'Descripción',
+    'createTask.field.estimatedHours': 'Horas estimadas',
+    'createTask.field.difficulty': 'Dificultad',
+    'createTask.field.assignee': 'Asignada a',
+    'createTask.field.tags': 'Etiquetas',
+    'createTask.field.tagsHelp': 'Separa las etiquetas con comas',
+    'createTask.field.checklist': 'Checklist',
+    'createTask.subtasks.add': '➕ Añadir',
+    'createTask.save': '💾 Guardar tarea',
+    'createTask.drafts.title': '📝 Mis borradores',
+    'createTask.field.titlePlaceholder': 'p. ej., Completar el informe del tercer trimestre',
+    'createTask.field.descriptionPlaceholder': 'Añade detalles sobre esta tarea... ¿Qué hay que hacer? ¿Cuáles son los requisitos? ¿Alguna instrucción específica?',
+    'createTask.field.assigneePlaceholder': 'Por defecto, tú',
+    'createTask.field.tagsPlaceholder': 'p. ej., investigación, redacción, examen',
+    'createTask.subtasks.placeholder': 'Añade un paso, p. ej. Escribir el esquema',
+    'createTask.subtasks.hours': 'Horas estimadas',
+    'createTask.createTitle': 'Crear nueva tarea',
+    'createTask.editTitle': 'Editar tarea',
+    'createTask.editTitleNamed': 'Editar tarea: {title}',
+    'createTask.breadcrumb.create': 'Crear tarea',
+    'createTask.breadcrumb.edit': 'Editar tarea',
+    'createTask.update': '💾 Actualizar tarea',
+    'createTask.loadFailed': 'No se pudo cargar el formulario de tareas. Recarga la página.',
+    'createTask.editMissing': 'La tarea que intentas editar ya no existe.',
+    'createTask.conflict.recently': 'hace poco',
+    'createTask.conflict.confirm': '"{title}" se modificó en otro lugar ({changedAt}) después de que la abrieras.\n\nPulsa Aceptar para sobrescribir esos cambios con los tuyos, o Cancelar para seguir editando. Recarga la página para ver la última versión.',
+    'createTask.subtasks.hoursRange': 'Las horas de una subtarea deben estar entre 0,5 y 100',
+    'createTask.subtasks.done': 'Hecha',
+    'createTask.subtasks.titleLabel': 'Título de la subtarea',
+    'createTask.subtasks.moveUp': 'Subir',
+    'createTask.subtasks.moveDown': 'Bajar',
+    'createTask.subtasks.help': 'Divide la tarea en pasos. El avance se calcula a partir del checklist.',
+    'createTask.subtasks.summary': '{completed}/{total} hechas · {progress} completado',
+    'createTask.subtasks.hoursSummary': '{hours} h estimadas en pasos',
+    'createTask.templates.delete': 'Eliminar plantilla',
+    'createTask.templates.noCategory': 'Sin categoría',
+    'createTask.templates.items.one': '{count} elemento',
+    'createTask.templates.items.other': '{count} elementos',
+    'createTask.templates.loadFailed': 'No se pudieron cargar las plantillas.',
+    'createTask.templates.confirmReplace': '¿Reemplazar el contenido actual del formulario con la plantilla "{name}"?',
+    'createTask.templates.using': 'Usando la plantilla "{name}"',
+    'createTask.templates.itemsAdded.one': '{count} elemento añadido al checklist',
+    'createTask.templates.itemsAdded.other': '{count} elementos añadidos al checklist',
+    'createTask.templates.confirmDelete': '¿Eliminar esta plantilla? Las tareas creadas con ella no se ven afectadas.',
+    'createTask.templates.deleteFailed': 'No se pudo eliminar la plantilla. Inténtalo de nuevo.',
+    'createTask.draft.savedAt': 'Guardado automáticamente {date}',
+    'createTask.draftField.title': 'Título',
+    'createTask.drafts.untitled': 'Tarea sin título',
+    'createTask.drafts.editing': '✏️ Edición',
+    'createTask.drafts.new': '✨ Tarea nueva',
+    'createTask.drafts.confirmDelete': '¿Eliminar este borrador? No se puede deshacer.',
+    'createTask.confirmDiscard': '¿Descartar los cambios sin guardar?',
+    'createTask.criticalError': 'Error crítico: {message}',
+    'createTask.saveError': 'Error al guardar: {message}',
+    'createTask.fixErrors': 'Corrige los errores del formulario antes de guardar.',
+    'createTask.counter': '{current}/{max} caracteres',
+    'createTask.field.dueTime': 'Hora límite (opcional)',
+
+    /* Gestión de tareas */
+    'tasks.pageTitle': 'CRUDZASO - Gestión de tareas',
+    'tasks.title': 'Gestión de tareas',
+    'tasks.subtitle': 'Consulta, edita y organiza todas tus tareas académicas en un solo lugar.',
+    'tasks.export.filtered': 'Tareas filtradas',
+    'tasks.export.selected': 'Tareas seleccionadas',
+    'tasks.export.button': '⬇️ Exportar',
+    'tasks.import.button': '⬆️ Importar',
+    'tasks.summary.inProgress': 'En progreso',
+    'tasks.summary.pendingReview': 'Pendientes de revisión',
+    'tasks.import.previewTitle': '⬆️ Vista previa de la importación',
+    'tasks.import.column.row': 'Fila',
+    'tasks.column.title': 'Título',
+    'tasks.import.column.result': 'Resultado',
+    'tasks.history.title': '🕘 Historial de la tarea',
+    'tasks.bulk.selectAll': 'Seleccionar todo',
+    'tasks.bulk.complete': '✅ Completar',
+    'tasks.bulk.reopen': '🔄 Reabrir',
+    'tasks.bulk.priority': 'Prioridad…',
+    'tasks.bulk.category': 'Categoría…',
+    'tasks.bulk.addTag': '🏷️ Añadir etiqueta',
+    'tasks.bulk.removeTag': '✂️ Quitar etiqueta',
+    'tasks.bulk.reassign': '👤 Reasignar',
+    'tasks.bulk.delete': '🗑️ Eliminar',
+    'tasks.pagination.goTo': 'Ir a',
+    'tasks.export.scope': 'Tareas a exportar',
+    'tasks.export.format': 'Formato de exportación',
+    'tasks.search': 'Buscar por título, ID o etiqueta...',
+    'tasks.sort.label': 'Ordenar tareas',
+    'tasks.bulk.changePriority': 'Cambiar prioridad',
+    'tasks.bulk.changeCategory': 'Cambiar categoría',
+    'tasks.pagination.previous': 'Página anterior',
+    'tasks.pagination.next': 'Página siguiente',
+    'tasks.pagination.perPage': 'Por página',
+    'tasks.loadFailed': 'No se pudo cargar la gestión de tareas. Recarga la página o contacta con soporte.',
+    'tasks.action.complete': 'Marcar como completada',
+    'tasks.action.reopen': 'Reabrir tarea',
+    'tasks.action.duplicate': 'Duplicar tarea',
+    'tasks.action.history': 'Ver historial',
+    'tasks.action.template': 'Guardar como plantilla',
+    'tasks.card.estimated': '{hours} h estimadas',
+    'tasks.card.created': 'Creada: {date}',
+    'tasks.card.updated': 'Actualizada: {date}',
+    'tasks.card.timeSpent': 'Tiempo dedicado: {hours} h',
+    'tasks.card.progress': '{progress} completado',
+    'tasks.card.checklist': 'Checklist {completed}/{total} · {progress}',
+    'tasks.sort.priority': 'Prioridad',
+    'tasks.sort.status': 'Estado',
+    'tasks.sort.dueDate': 'Fecha límite',
+    'tasks.sort.createdAt': 'Creación',
+    'tasks.sort.updatedAt': 'Actualización',
+    'tasks.sort.title': 'Título',
+    'tasks.sort.category': 'Categoría',
+    'tasks.sort.estimatedHours': 'Horas',
+    'tasks.sort.difficulty': 'Dificultad',
+    'tasks.sort.hint': 'Clic para ordenar, Mayús+Clic para añadir como orden secundario',
+    'tasks.pagination.showing': 'Mostrando {from} a {to} de {total} resultados',
+    'tasks.bulk.limit': 'Puedes seleccionar hasta {limit} tareas a la vez.',
+    'tasks.bulk.limitReached': 'Solo se seleccionaron las primeras {limit} de {total} tareas (límite de acciones en lote).',
+    'tasks.bulk.selected': '{count} seleccionadas',
+    'tasks.bulk.promptAddTag': 'Etiqueta que se añadirá a las tareas seleccionadas:',
+    'tasks.bulk.promptRemoveTag': 'Etiqueta que se quitará de las tareas seleccionadas:',
+    'tasks.bulk.promptReassign': 'Correo del usuario al que se asignarán las tareas seleccionadas:',
+    'tasks.bulk.reassignNotFound': 'No hay ningún usuario con el correo {email}.',
+    'tasks.bulk.skipped.one': 'Se omitirá {count} tarea seleccionada: {reason}',
+    'tasks.bulk.skipped.other': 'Se omitirán {count} tareas seleccionadas: {reason}',
+    'tasks.bulk.failed.one': 'No se pudo actualizar {count} tarea:',
+    'tasks.bulk.failed.other': 'No se pudieron actualizar {count} tareas:',
+    'tasks.bulk.confirm.complete.one': '¿Marcar {count} tarea como completada?',
+    'tasks.bulk.confirm.complete.other': '¿Marcar {count} tareas como completadas?',
+    'tasks.bulk.confirm.reopen.one': '¿Reabrir {count} tarea?',
+    'tasks.bulk.confirm.reopen.other': '¿Reabrir {count} tareas?',
+    'tasks.bulk.confirm.priority.one': '¿Cambiar a prioridad {priority} {count} tarea?',
+    'tasks.bulk.confirm.priority.other': '¿Cambiar a prioridad {priority} {count} tareas?',
+    'tasks.bulk.confirm.category.one': '¿Mover {count} tarea a {category}?',
+    'tasks.bulk.confirm.category.other': '¿Mover {count} tareas a {category}?',
+    'tasks.bulk.confirm.addTag.one': '¿Añadir la etiqueta #{tag} a {count} tarea?',
+    'tasks.bulk.confirm.addTag.other': '¿Añadir la etiqueta #{tag} a {count} tareas?',
+    'tasks.bulk.confirm.removeTag.one': '¿Quitar la etiqueta #{tag} de {count} tarea?',
+    'tasks.bulk.confirm.removeTag.other': '¿Quitar la etiqueta #{tag} de {count} tareas?',
+    'tasks.bulk.confirm.reassign.one': '¿Reasignar {count} tarea a {assignee}?',
+    'tasks.bulk.confirm.reassign.other': '¿Reasignar {count} tareas a {assignee}?',
+    'tasks.bulk.confirm.delete.one': '¿Eliminar definitivamente {count} tarea?',
+    'tasks.bulk.confirm.delete.other': '¿Eliminar definitivamente {count} tareas?',
+    'tasks.bulk.andMore': '…y {count} más',
+    'tasks.export.noSelected': 'No hay tareas seleccionadas para exportar. Selecciona algunas o exporta la lista filtrada.',
+    'tasks.export.noMatches': 'Ninguna tarea coincide con los filtros actuales.',
+    'tasks.export.failed': 'Error al exportar: {message}',
+    'tasks.report.blocked': 'Se bloqueó la ventana del informe. Permite las ventanas emergentes para este sitio.',
+    'tasks.report.title': 'Informe de tareas de CRUDZASO',
+    'tasks.report.total': 'Total',
+    'tasks.report.overdue': 'Vencidas',
+    'tasks.report.highPriority': 'Prioridad alta abiertas',
+    'tasks.report.meta.one': 'Generado el {date} por {name} · {count} tarea',
+    'tasks.report.meta.other': 'Generado el {date} por {name} · {count} tareas',
+    'tasks.report.column.task': 'Tarea',
+    'tasks.report.column.due': 'Vence',
+    'tasks.import.empty': 'El archivo no contiene ninguna tarea.',
+    'tasks.import.tooMany': 'El archivo tiene {rows} filas. El límite es de {limit} por importación.',
+    'tasks.import.readFailed': 'No se pudo leer {file}: {message}',
+    'tasks.import.invalidJson': 'El archivo no es un JSON válido.',
+    'tasks.import.invalidShape': 'Se esperaba un array de tareas o un objeto con un array "tasks".',
+    'tasks.import.csvTooShort': 'El CSV necesita una fila de encabezados y al menos una tarea.',
+    'tasks.import.csvNoTitle': 'El CSV necesita una columna "title".',
+    'tasks.import.csvUnclosed': 'El CSV tiene un campo entre comillas sin cerrar.',
+    'tasks.import.summary': '{file}: {rows} filas · {valid} válidas · {invalid} con errores',
+    'tasks.import.skipNote': '(las filas con errores se omitirán)',
+    'tasks.import.ready': '✅ Lista',
+    'tasks.import.confirm.one': 'Importar {count} tarea',
+    'tasks.import.confirm.other': 'Importar {count} tareas',
+    'tasks.import.failed.one': 'No se pudo importar {count} tarea:',
+    'tasks.import.failed.other': 'No se pudieron importar {count} tareas:',
+    'tasks.import.rowLabel': 'Fila {row}',
+    'tasks.checklistFailed': 'No se pudo actualizar el checklist. Inténtalo de nuevo.',
+    'tasks.history.empty': 'Todavía no hay cambios registrados para esta tarea.',
+    'tasks.history.loadFailed': 'No se pudo cargar el historial de la tarea. Inténtalo de nuevo.',
+    'tasks.template.promptName': 'Nombre de la plantilla:',
+    'tasks.template.promptDue': 'Fecha límite relativa para las tareas creadas con esta plantilla (p. ej. "+7 days", "2 weeks"). Déjala vacía para no tener fecha límite:',
+    'tasks.template.invalidDue': '"{value}" no es una fecha relativa válida. Usa algo como "+7 days" o "2 weeks".',
+    'tasks.template.saved': 'Plantilla "{name}" guardada. Puedes usarla desde la página Nueva tarea.',
+    'tasks.template.saveFailed': 'No se pudo guardar la plantilla. Inténtalo de nuevo.',
+    'tasks.due.today': 'Vence hoy',
+    'tasks.due.tomorrow': 'Vence mañana',
+    'tasks.history.events.one': '{count} evento',
+    'tasks.history.events.other': '{count} eventos',
+    'tasks.due.overdue.one': '{count} día de retraso',
+    'tasks.due.overdue.other': '{count} días de retraso',
+    'tasks.due.remaining.one': 'Queda {count} día',
+    'tasks.due.remaining.other': 'Quedan {count} días',
+
+    /* Perfil */
+    'profile.pageTitle': 'CRUDZASO - Mi perfil',
+    'profile.title': 'Mi perfil',
+    'profile.avatar.upload': '📷 Subir foto',
+    'profile.avatar.save': '💾 Guardar foto',
+    'profile.stats.tasksManaged': 'Tareas gestionadas',
+    'profile.personal.title': 'Información personal',
+    'profile.personal.edit': '✏️ Editar perfil',
+    'profile.personal.employeeId': 'ID de empleado',
+    'profile.personal.phone': 'Teléfono',
+    'profile.personal.department': 'Departamento',
+    'profile.personal.roleLevel': 'Nivel del rol',
+    'profile.personal.joinDate': 'Fecha de ingreso',
+    'profile.insights.title': '📈 Datos de productividad',
+    'profile.insights.streak': 'Racha de productividad',
+    'profile.insights.onTime': 'Tasa de puntualidad',
+    'profile.insights.bestDay': 'Mejor día',
+    'profile.insights.activeTime': 'Hora más activa',
+    'profile.insights.lastWeek': 'Completadas (últimos 7 días)',
+    'profile.password.title': '🔑 Cambiar contraseña',
+    'profile.password.current': 'Contraseña actual',
+    'profile.password.new': 'Contraseña nueva',
+    'profile.password.confirm': 'Confirmar la contraseña nueva',
+    'profile.password.submit': 'Actualizar contraseña',
+    'profile.sessions.title': '🖥️ Sesiones activas',
+    'profile.sessions.logout': '🚪 Cerrar sesión',
+    'profile.sessions.logoutAll': '🚫 Cerrar sesión en todos los dispositivos',
+    'profile.lockouts.title': '🔒 Bloqueos de cuenta',
+    'profile.preferences.title': '⚙️ Preferencias',
+    'profile.preferences.theme': 'Tema',
+    'profile.preferences.language': 'Idioma',
+    'profile.preferences.timezone': 'Zona horaria',
+    'profile.preferences.notifications': 'Notificaciones',
+    'profile.preferences.reminders': 'Recordarme antes de una fecha límite',
+    'profile.achievements.title': '🏆 Logros',
+    'profile.achievements.next': 'Próximos',
+    'profile.activity.title': '📈 Actividad reciente',
+    'profile.loadFailed': 'No se pudieron cargar los datos del perfil. Recarga la página.',
+    'profile.personal.noBio': 'Todavía no hay biografía.',
+    'profile.sessions.thisDevice': 'Este dispositivo',
+    'profile.sessions.details': 'Sesión iniciada {signedIn} · Caduca {expires}',
+    'profile.sessions.loadFailed': 'No se pudieron cargar las sesiones.',
+    'profile.sessions.unknownDevice': 'Dispositivo desconocido',
+    'profile.sessions.device': '{browser} en {platform}',
+    'profile.sessions.confirmLogoutAll': '¿Cerrar sesión en todos los dispositivos? Tendrás que volver a iniciar sesión en cada uno.',
+    'profile.sessions.logoutAllFailed': 'No se pudo cerrar la sesión en todos los dispositivos. Inténtalo de nuevo.',
+    'profile.lockouts.empty': 'No hay intentos fallidos de inicio de sesión.',
+    'profile.lockouts.locked': '🔒 Bloqueada {minutes} min más',
+    'profile.lockouts.lastAttempt': 'Último intento {date}',
+    'profile.lockouts.unlock': '🔓 Desbloquear',
+    'profile.lockouts.clear': '🧹 Limpiar',
+    'profile.lockouts.adminOnly': 'Solo los administradores pueden quitar bloqueos.',
+    'profile.lockouts.clearFailed': 'No se pudo quitar el bloqueo de {email}.',
+    'profile.password.tooShort': 'La contraseña nueva debe tener al menos {min} caracteres.',
+    'profile.password.mismatch': 'Las contraseñas nuevas no coinciden.',
+    'profile.password.same': 'La contraseña nueva debe ser distinta de la actual.',
+    'profile.password.incorrect': 'La contraseña actual es incorrecta.',
+    'profile.password.updated': 'Contraseña actualizada correctamente.',
+    'profile.password.failed': 'No se pudo actualizar la contraseña. Inténtalo de nuevo.',
+    'profile.avatar.saveFailed': 'No se pudo guardar el avatar. Inténtalo de nuevo.',
+    'profile.avatar.useEmoji': 'Usar {emoji} como avatar',
+    'profile.preferences.saving': 'Guardando…',
+    'profile.preferences.saved': '✓ Guardado',
+    'profile.preferences.saveFailed': 'No se pudo guardar. Inténtalo de nuevo.',
+    'profile.activity.empty': 'Todavía no hay actividad registrada.',
+    'profile.achievements.count': '{unlocked}/{total} desbloqueados',
+    'profile.achievements.empty': 'Todavía no tienes badges. ¡Completa tareas para ganar el primero!',
+    'profile.achievements.new': '¡Nuevo!',
+    'profile.achievements.unlockedAt': 'Desbloqueado el {date}',
+    'profile.achievements.allUnlocked': 'Todos los badges desbloqueados. ¡Bien hecho!',
+    'profile.fixErrors': 'Corrige los errores del formulario.',
+    'profile.insights.days.one': '{count} día',
+    'profile.insights.days.other': '{count} días',
+    'profile.lockouts.attempts.one': '{count} intento fallido',
+    'profile.lockouts.attempts.other': '{count} intentos fallidos',
+    'profile.activity.fieldsChanged.one': '{count} campo modificado',
+    'profile.activity.fieldsChanged.other': '{count} campos modificados',
+
+    /* Preferencias */
+    'preferences.theme.light': '☀️ Claro',
+    'preferences.theme.dark': '🌙 Oscuro',
+    'preferences.theme.system': '🖥️ Sistema',
+    'preferences.notification.email': 'Novedades por email',
+    'preferences.notification.push': 'Notificaciones del navegador',
+    'preferences.notification.deadline': 'Recordatorios de fechas límite',
+    'preferences.notification.daily': 'Resumen diario',
+    'preferences.reminder.hours.one': '{count} hora antes',
+    'preferences.reminder.hours.other': '{count} horas antes',
+    'preferences.reminder.days.one': '{count} día antes',
+    'preferences.reminder.days.other': '{count} días antes',
+
+    /* Administración */
+    'admin.pageTitle': 'CRUDZASO - Consola de administración',
+    'admin.title': 'Consola de administración',
+    'admin.subtitle': 'Gestiona las cuentas, los roles y el acceso a CRUDZASO.',
+    'admin.summary.users': 'Usuarios',
+    'admin.summary.deactivated': 'Desactivados',
+    'admin.summary.totalTasks': 'Tareas totales',
+    'admin.summary.completionRate': 'Tasa de finalización',
+    'admin.filter.all': 'Todos los roles',
+    'admin.filter.students': 'Estudiantes',
+    'admin.filter.admins': 'Administradores',
+    'admin.users.title': '👥 Usuarios',
+    'admin.searchPlaceholder': 'Buscar por nombre, email o departamento...',
+    'admin.denied': 'La consola de administración solo está disponible para administradores.',
+    'admin.loadFailed': 'No se pudo cargar la consola de administración. Recarga la página.',
+    'admin.refreshFailed': 'No se pudieron recargar los usuarios. Inténtalo de nuevo.',
+    'admin.users.empty': 'Ningún usuario coincide con la búsqueda.',
+    'admin.users.you': '(tú)',
+    'admin.users.noDepartment': 'Sin departamento',
+    'admin.users.lastActive': 'Última actividad: {date}',
+    'admin.users.taskMeta': '{rate} hecho · {overdue} vencidas',
+    'admin.users.ownRole': 'No puedes cambiar tu propio rol',
+    'admin.users.deactivated': 'Desactivada',
+    'admin.users.active': 'Activa',
+    'admin.users.statsTitle': 'Estadísticas de tareas',
+    'admin.users.resetTitle': 'Restablecer contraseña',
+    'admin.users.reactivateTitle': 'Reactivar cuenta',
+    'admin.users.deactivateTitle': 'Desactivar cuenta',
+    'admin.stats.completed': 'completadas',
+    'admin.stats.inProgress': 'en curso',
+    'admin.stats.pending': 'pendientes',
+    'admin.stats.estimated': 'estimadas',
+    'admin.stats.thisWeek': 'completadas esta semana',
+    'admin.stats.perWeek': 'tareas por semana',
+    'admin.error.notFound': 'Usuario no encontrado.',
+    'admin.error.self': 'No puedes hacer esta acción sobre tu propia cuenta.',
+    'admin.error.unknownRole': 'Rol desconocido: {role}',
+    'admin.confirm.role': '¿Cambiar el rol de {name} de {from} a {to}?',
+    'admin.error.role': 'No se pudo cambiar el rol. Inténtalo de nuevo.',
+    'admin.error.status': 'No se pudo actualizar el estado de la cuenta. Inténtalo de nuevo.',
+    'admin.confirm.reset': '¿Restablecer la contraseña de {name}? La actual dejará de funcionar de inmediato.',
+    'admin.reset.self': 'Tu contraseña se restableció. Copia la contraseña temporal y vuelve a iniciar sesión:',
+    'admin.reset.temporary': 'Contraseña temporal de {name}. Compártela de forma segura; no se volverá a mostrar:',
+    'admin.success.reset': 'La contraseña de {name} se restableció y sus sesiones se cerraron.',
+    'admin.error.reset': 'No se pudo restablecer la contraseña. Inténtalo de nuevo.',
+    'admin.confirm.deactivate': '¿Desactivar la cuenta de {name}? Se cerrará su sesión y no podrá iniciar sesión.',
+    'admin.confirm.reactivate': '¿Reactivar la cuenta de {name}?',
+    'admin.success.role.admin': '{name} ahora es administrador.',
+    'admin.success.role.student': '{name} ahora es estudiante.',
+    'admin.success.deactivated': 'La cuenta de {name} se desactivó.',
+    'admin.success.reactivated': 'La cuenta de {name} se reactivó.',
+    'admin.users.results.one': '{shown} de {count} usuario',
+    'admin.users.results.other': '{shown} de {count} usuarios',
+    'admin.users.tasks.one': '{count} tarea',
+    'admin.users.tasks.other': '{count} tareas',
+
+    /* Notificaciones */
+    'notifications.title': 'Notificaciones',
+    'notifications.markAllRead': 'Marcar todas como leídas',
+    'notifications.enablePush': '🔔 Activar notificaciones del navegador',
+    'notifications.empty': 'Estás al día.',
+    'notifications.deadline.hours.one': 'Vence en menos de una hora',
+    'notifications.deadline.hours.other': 'Vence en menos de {count} horas',
+    'notifications.deadline.days.one': 'Vence en menos de un día',
+    'notifications.deadline.days.other': 'Vence en menos de {count} días',
+    'notifications.deadline.body': '"{title}" · vence {due}',
+    'notifications.digest.title': 'Resumen diario',
+    'notifications.digest.dueToday.one': '{count} tarea vence hoy',
+    'notifications.digest.dueToday.other': '{count} tareas vencen hoy',
+    'notifications.digest.overdue.one': '{count} tarea vencida',
+    'notifications.digest.overdue.other': '{count} tareas vencidas'
+});
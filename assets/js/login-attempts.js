@@ -0,0 +1,102 @@
+/*
+    ===================================
+    LOGIN ATTEMPTS - CRUDZASO v2
+    ===================================
+
+    Control de intentos fallidos de login por email.
+    Los contadores viven en la colección loginAttempts del DataStore,
+    así sobreviven a recargas y los administradores pueden verlos y limpiarlos.
+*/
+
+const LoginAttempts = (function() {
+
+    /* Normalizar email para usarlo como ID del registro */
+    function normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /* Calcular el estado actual de un registro de intentos */
+    function buildStatus(record) {
+        const now = Date.now();
+        const lockedUntil = record && record.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+        const isLocked = lockedUntil > now;
+
+        return {
+            email: record ? record.email : null,
+            failedAttempts: record ? record.failedAttempts : 0,
+            lastFailedAt: record ? record.lastFailedAt : null,
+            lockedUntil: isLocked ? record.lockedUntil : null,
+            isLocked,
+            remainingMs: isLocked ? lockedUntil - now : 0
+        };
+    }
+
+    /* Obtener el estado de bloqueo de un email */
+    async function getStatus(email) {
+        const record = await DataStore.get('loginAttempts', normalizeEmail(email));
+        return buildStatus(record);
+    }
+
+    /*
+        Registrar un intento fallido
+
+        Al llegar a maxAttempts se bloquea la cuenta durante lockoutTime.
+        Si un bloqueo anterior ya expiró, el contador vuelve a empezar.
+    */
+    async function recordFailure(email, { maxAttempts, lockoutTime }) {
+        const id = normalizeEmail(email);
+        const record = await DataStore.get('loginAttempts', id);
+        const previousLockExpired = record && record.lockedUntil && new Date(record.lockedUntil) <= new Date();
+
+        const failedAttempts = (record && !previousLockExpired ? record.failedAttempts : 0) + 1;
+        const changes = {
+            email: id,
+            failedAttempts,
+            lastFailedAt: new Date().toISOString(),
+            lockedUntil: failedAttempts >= maxAttempts ?
+                new Date(Date.now() + lockoutTime).toISOString() :
+                null
+        };
+
+        const saved = record ?
+            await DataStore.update('loginAttempts', id, changes) :
+            await DataStore.create('loginAttempts', { id, ...changes });
+
+        if (saved.lockedUntil) {
+            console.log(`🔒 Account locked until ${saved.lockedUntil}: ${id}`);
+        }
+
+        return buildStatus(saved);
+    }
+
+    /* Reiniciar los intentos de un email (login correcto o desbloqueo manual) */
+    async function reset(email) {
+        const id = normalizeEmail(email);
+
+        if (await DataStore.get('loginAttempts', id)) {
+            await DataStore.remove('loginAttempts', id);
+            console.log(`🔓 Login attempts cleared: ${id}`);
+        }
+    }
+
+    /* Listar emails con intentos fallidos o bloqueados (vista de administración) */
+    async function getLockouts() {
+        const records = await DataStore.list('loginAttempts');
+
+        return records
+            .map(buildStatus)
+            .sort((a, b) => Number(b.isLocked) - Number(a.isLocked) ||
+                new Date(b.lastFailedAt) - new Date(a.lastFailedAt));
+    }
+
+    return {
+        getStatus,
+        recordFailure,
+        reset,
+        getLockouts
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoginAttempts;
+}
@@ -11,52 +11,17 @@
 // CONFIGURACIÓN Y VARIABLES GLOBALES
 // ==========================================
 
-/* 
-    Usuarios simulados para demostración
-    
-    En una app real, esto vendría de una base de datos segura.
-    Las contraseñas estarían hasheadas, no en texto plano.
-*/
-const DEMO_USERS = [
-    {
-        id: 1,
-        email: 'student@university.edu',
-        password: 'password123',
-        name: 'Alex Morgan',
-        role: 'Product Designer',
-        department: 'Computer Science',
-        joinDate: '2023-09-15'
-    },
-    {
-        id: 2,
-        email: 'sarah@crudzaso.edu',
-        password: 'admin123',
-        name: 'Dr. Sarah Jenkins',
-        role: 'System Admin',
-        department: 'Computer Science',
-        joinDate: '2020-09-14'
-    },
-    {
-        id: 3,
-        email: 'john@university.edu',
-        password: 'student456',
-        name: 'John Doe',
-        role: 'Student',
-        department: 'Mathematics',
-        joinDate: '2024-01-10'
-    }
-];
-
 /* Configuración de la aplicación */
 const CONFIG = {
-    SESSION_KEY: 'crudzaso_user_session',
     REMEMBER_ME_KEY: 'crudzaso_remember_me',
     REDIRECT_AFTER_LOGIN: 'pages/dashboard.html',
-    PASSWORD_MIN_LENGTH: 6,
     MAX_LOGIN_ATTEMPTS: 3,
     LOCKOUT_TIME: 5 * 60 * 1000 // 5 minutos en milisegundos
 };
 
+/* Temporizador de la cuenta regresiva de bloqueo */
+let lockoutTimer = null;
+
 // ==========================================
 // INICIALIZACIÓN DE LA PÁGINA
 // ==========================================
@@ -97,34 +62,22 @@ document.addEventListener('DOMContentLoaded', function() {
     
     Si el usuario ya está logueado, lo redirigimos directamente
     al dashboard para evitar el paso innecesario por el login.
+    La sesión se valida contra la colección sessions: las expiradas
+    o revocadas se limpian y el usuario se queda en el login.
 */
-function checkExistingSession() {
-    const existingSession = localStorage.getItem(CONFIG.SESSION_KEY);
+async function checkExistingSession() {
+    const sessionData = await SessionManager.validate();
     
-    if (existingSession) {
-        try {
-            const sessionData = JSON.parse(existingSession);
-            
-            // Verificar que la sesión no haya expirado
-            if (sessionData.expires && new Date() < new Date(sessionData.expires)) {
-                console.log('👤 Existing session found, redirecting to dashboard');
-                showLoadingMessage('Welcome back! Redirecting...');
-                
-                // Pequeña delay para mejor UX
-                setTimeout(() => {
-                    window.location.href = CONFIG.REDIRECT_AFTER_LOGIN;
-                }, 1000);
-                
-                return true;
-            } else {
-                // Sesión expirada, limpiarla
-                console.log('⏰ Session expired, clearing old data');
-                clearSession();
-            }
-        } catch (error) {
-            console.error('❌ Error reading session data:', error);
-            clearSession();
-        }
+    if (sessionData) {
+        console.log('👤 Existing session found, redirecting to dashboard');
+        showLoadingMessage(I18n.t('login.redirecting'));
+        
+        // Pequeña delay para mejor UX
+        setTimeout(() => {
+            window.location.href = CONFIG.REDIRECT_AFTER_LOGIN;
+        }, 1000);
+        
+        return true;
     }
     
     return false;
@@ -133,36 +86,23 @@ function checkExistingSession() {
 /* 
     Crear una nueva sesión de usuario
     
-    Guarda la información del usuario en localStorage para
-    mantenerlo logueado entre páginas y recargas.
-*/
-function createUserSession(user) {
-    const sessionData = {
-        userId: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        department: user.department,
-        loginTime: new Date().toISOString(),
-        expires: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 horas
-    };
-    
-    // Guardar en localStorage
-    localStorage.setItem(CONFIG.SESSION_KEY, JSON.stringify(sessionData));
-    
-    console.log('✅ User session created:', sessionData.name);
+    Emite un token en la colección sessions y guarda la referencia
+    en el navegador para mantenerlo logueado entre páginas y recargas.
+    También guarda sus preferencias para que el dashboard abra ya con su tema.
+*/
+async function createUserSession(user) {
+    const sessionData = await SessionManager.create(user);
+    await UserPreferences.load(user.id);
     return sessionData;
 }
 
 /* 
     Limpiar la sesión del usuario
     
-    Elimina toda la información de sesión del navegador.
+    Revoca el token en el servidor y elimina la información del navegador.
 */
-function clearSession() {
-    localStorage.removeItem(CONFIG.SESSION_KEY);
-    localStorage.removeItem(CONFIG.REMEMBER_ME_KEY);
-    console.log('🧹 User session cleared');
+async function clearSession() {
+    await SessionManager.revokeCurrent();
 }
 
 // ==========================================
@@ -190,6 +130,9 @@ function setupLoginForm() {
     if (emailInput) {
         emailInput.addEventListener('input', validateEmailField);
         emailInput.addEventListener('blur', validateEmailField);
+        
+        // Mostrar la cuenta regresiva si el email ya está bloqueado
+        emailInput.addEventListener('blur', () => checkLockoutStatus(emailInput.value.trim().toLowerCase()));
     }
     
     if (passwordInput) {
@@ -235,6 +178,12 @@ async function handleLoginSubmit(event) {
     showLoadingState(true);
     
     try {
+        // No intentar autenticar cuentas bloqueadas
+        if (await checkLockoutStatus(formData.email)) {
+            console.log('🔒 Login blocked: account is locked');
+            return;
+        }
+        
         // Simular delay de red para realismo
         await delay(1000);
         
@@ -242,16 +191,17 @@ async function handleLoginSubmit(event) {
         const authResult = await authenticateUser(formData.email, formData.password);
         
         if (authResult.success) {
-            // Login exitoso
-            handleSuccessfulLogin(authResult.user);
+            // Login exitoso: reiniciar contador de intentos
+            await LoginAttempts.reset(formData.email);
+            await handleSuccessfulLogin(authResult.user);
         } else {
             // Login fallido
-            handleFailedLogin(authResult.error);
+            await handleFailedLogin(authResult.error, formData.email);
         }
         
     } catch (error) {
         console.error('💥 Unexpected error during login:', error);
-        showErrorMessage('An unexpected error occurred. Please try again.');
+        showErrorMessage(I18n.t('common.unexpectedError'));
     } finally {
         // Ocultar indicador de carga
         showLoadingState(false);
@@ -284,32 +234,58 @@ function getLoginFormData() {
 /* 
     Autenticar las credenciales del usuario
     
-    En una aplicación real, esto haría una llamada al servidor.
-    Por ahora simulo el proceso con un array de usuarios locales.
+    Busca en la misma colección de usuarios que escribe el registro
+    y que siembra db.json (API de json-server o localStorage).
 */
 async function authenticateUser(email, password) {
     console.log(`🔐 Attempting to authenticate: ${email}`);
     
-    // Simular verificación contra base de datos
-    const user = DEMO_USERS.find(u => u.email === email);
+    // Buscar el usuario en la colección compartida
+    const user = await DataStore.findUserByEmail(email);
     
     if (!user) {
         console.log('❌ User not found');
         return {
             success: false,
-            error: 'Invalid email or password. Please check your credentials and try again.'
+            error: I18n.t('login.invalidCredentials')
         };
     }
     
-    if (user.password !== password) {
+    // Verificar contra el hash PBKDF2 (o el texto plano legacy de db.json)
+    if (!await PasswordHasher.verify(password, user.password)) {
         console.log('❌ Invalid password');
         return {
             success: false,
-            error: 'Invalid email or password. Please check your credentials and try again.'
+            error: I18n.t('login.invalidCredentials')
+        };
+    }
+    
+    // Cuentas desactivadas desde la consola de administración
+    if (user.isActive === false) {
+        console.log('🚫 Account deactivated');
+        return {
+            success: false,
+            error: I18n.t('login.deactivated')
         };
     }
     
     console.log('✅ Authentication successful');
+    
+    // Registrar la última actividad y migrar contraseñas en texto plano
+    // al hash en el primer login correcto (no bloquea el login si falla)
+    try {
+        const changes = { lastActive: new Date().toISOString() };
+        
+        if (PasswordHasher.needsRehash(user.password)) {
+            changes.password = await PasswordHasher.hash(password);
+            console.log('🔐 Password migrated to PBKDF2 hash');
+        }
+        
+        await DataStore.updateUser(user.id, changes);
+    } catch (error) {
+        console.warn('⚠️ Could not update user after login:', error);
+    }
+    
     return {
         success: true,
         user: user
@@ -321,14 +297,14 @@ async function authenticateUser(email, password) {
     
     Crear sesión, mostrar mensaje de éxito y redirigir al usuario.
 */
-function handleSuccessfulLogin(user) {
+async function handleSuccessfulLogin(user) {
     console.log(`🎉 Welcome back, ${user.name}!`);
     
     // Crear la sesión del usuario
-    createUserSession(user);
+    await createUserSession(user);
     
     // Mostrar mensaje de éxito
-    showSuccessMessage(`Welcome back, ${user.name}! Redirecting to your dashboard...`);
+    showSuccessMessage(I18n.t('login.success', { name: user.name }));
     
     // Redirigir después de una pequeña pausa para que el usuario vea el mensaje
     setTimeout(() => {
@@ -339,13 +315,24 @@ function handleSuccessfulLogin(user) {
 /* 
     Manejar login fallido
     
-    Mostrar error apropiado y permitir al usuario intentar de nuevo.
+    Registra el intento fallido para ese email y, si se alcanza
+    MAX_LOGIN_ATTEMPTS, bloquea el acceso durante LOCKOUT_TIME.
 */
-function handleFailedLogin(errorMessage) {
+async function handleFailedLogin(errorMessage, email) {
     console.log('❌ Login failed');
     
-    // Mostrar el mensaje de error
-    showErrorMessage(errorMessage);
+    const status = await LoginAttempts.recordFailure(email, {
+        maxAttempts: CONFIG.MAX_LOGIN_ATTEMPTS,
+        lockoutTime: CONFIG.LOCKOUT_TIME
+    });
+    
+    if (status.isLocked) {
+        startLockoutCountdown(status.lockedUntil);
+    } else {
+        // Mostrar el mensaje de error con los intentos restantes
+        const remainingAttempts = CONFIG.MAX_LOGIN_ATTEMPTS - status.failedAttempts;
+        showErrorMessage(`${errorMessage} ${I18n.plural('login.attemptsRemaining', remainingAttempts)}`);
+    }
     
     // Limpiar el campo de contraseña por seguridad
     const passwordInput = document.getElementById('login-password');
@@ -358,6 +345,86 @@ function handleFailedLogin(errorMessage) {
     animateFormError();
 }
 
+// ==========================================
+// BLOQUEO POR INTENTOS FALLIDOS
+// ==========================================
+
+/* 
+    Verificar si un email está bloqueado
+    
+    Si lo está, muestra la cuenta regresiva y devuelve true.
+*/
+async function checkLockoutStatus(email) {
+    if (!email || !isValidEmail(email)) return false;
+    
+    try {
+        const status = await LoginAttempts.getStatus(email);
+        
+        if (status.isLocked) {
+            startLockoutCountdown(status.lockedUntil);
+            return true;
+        }
+        
+        // El email cambió a uno sin bloqueo: quitar la cuenta regresiva anterior
+        if (lockoutTimer) {
+            stopLockoutCountdown();
+            document.querySelector('.auth-message')?.remove();
+        }
+    } catch (error) {
+        // Si no podemos leer los intentos no bloqueamos el login
+        console.error('❌ Error checking lockout status:', error);
+    }
+    
+    return false;
+}
+
+/* 
+    Mostrar cuenta regresiva visible mientras dure el bloqueo
+    
+    Deshabilita el botón de envío hasta que el bloqueo expire.
+*/
+function startLockoutCountdown(lockedUntil) {
+    stopLockoutCountdown();
+    
+    const unlockTime = new Date(lockedUntil).getTime();
+    
+    const updateCountdown = () => {
+        const remainingMs = unlockTime - Date.now();
+        
+        if (remainingMs <= 0) {
+            stopLockoutCountdown();
+            showMessage(I18n.t('login.lockoutEnded'), 'success');
+            return;
+        }
+        
+        const minutes = Math.floor(remainingMs / 60000);
+        const seconds = Math.floor((remainingMs % 60000) / 1000);
+        showMessage(
+            I18n.t('login.lockedOut', { time: `${minutes}:${String(seconds).padStart(2, '0')}` }),
+            'lockout'
+        );
+    };
+    
+    lockoutTimer = setInterval(updateCountdown, 1000);
+    updateCountdown();
+    
+    const submitButton = document.querySelector('#login-form button[type="submit"]');
+    if (submitButton) submitButton.disabled = true;
+}
+
+/* 
+    Detener la cuenta regresiva y rehabilitar el formulario
+*/
+function stopLockoutCountdown() {
+    if (lockoutTimer) {
+        clearInterval(lockoutTimer);
+        lockoutTimer = null;
+    }
+    
+    const submitButton = document.querySelector('#login-form button[type="submit"]');
+    if (submitButton) submitButton.disabled = false;
+}
+
 // ==========================================
 // VALIDACIÓN DE FORMULARIOS
 // ==========================================
@@ -370,21 +437,19 @@ function validateLoginForm(formData) {
     
     // Validar email
     if (!formData.email) {
-        showFieldError('login-email', 'Email is required');
+        showFieldError('login-email', I18n.t('login.emailRequired'));
         isValid = false;
     } else if (!isValidEmail(formData.email)) {
-        showFieldError('login-email', 'Please enter a valid email address');
+        showFieldError('login-email', I18n.t('login.emailInvalid'));
         isValid = false;
     } else {
         clearFieldError('login-email');
     }
     
-    // Validar contraseña
+    // Validar contraseña (la longitud mínima solo aplica al registro,
+    // las cuentas sembradas en db.json pueden tener contraseñas más cortas)
     if (!formData.password) {
-        showFieldError('login-password', 'Password is required');
-        isValid = false;
-    } else if (formData.password.length < CONFIG.PASSWORD_MIN_LENGTH) {
-        showFieldError('login-password', `Password must be at least ${CONFIG.PASSWORD_MIN_LENGTH} characters`);
+        showFieldError('login-password', I18n.t('login.passwordRequired'));
         isValid = false;
     } else {
         clearFieldError('login-password');
@@ -400,7 +465,7 @@ function validateEmailField(event) {
     const email = event.target.value.trim();
     
     if (email && !isValidEmail(email)) {
-        showFieldError('login-email', 'Please enter a valid email address');
+        showFieldError('login-email', I18n.t('login.emailInvalid'));
     } else {
         clearFieldError('login-email');
     }
@@ -412,9 +477,7 @@ function validateEmailField(event) {
 function validatePasswordField(event) {
     const password = event.target.value;
     
-    if (password && password.length < CONFIG.PASSWORD_MIN_LENGTH) {
-        showFieldError('login-password', `Password must be at least ${CONFIG.PASSWORD_MIN_LENGTH} characters`);
-    } else {
+    if (password) {
         clearFieldError('login-password');
     }
 }
@@ -526,16 +589,17 @@ function delay(ms) {
 */
 function showLoadingState(isLoading) {
     const submitButton = document.querySelector('#login-form button[type="submit"]');
-    const originalText = 'Sign in';
+    const originalText = I18n.t('login.submit');
     
     if (!submitButton) return;
     
     if (isLoading) {
         submitButton.disabled = true;
-        submitButton.textContent = '🔄 Signing in...';
+        submitButton.textContent = I18n.t('login.submitting');
         submitButton.classList.add('loading');
     } else {
-        submitButton.disabled = false;
+        // Mantener deshabilitado mientras haya un bloqueo activo
+        submitButton.disabled = lockoutTimer !== null;
         submitButton.textContent = originalText;
         submitButton.classList.remove('loading');
     }
@@ -583,8 +647,8 @@ function showMessage(message, type = 'info') {
         form.parentElement.insertBefore(messageElement, form.nextSibling);
     }
     
-    // Auto-remover después de 5 segundos (excepto para loading)
-    if (type !== 'info') {
+    // Auto-remover después de 5 segundos (excepto loading y bloqueo)
+    if (type !== 'info' && type !== 'lockout') {
         setTimeout(() => {
             if (messageElement.parentElement) {
                 messageElement.remove();
@@ -666,7 +730,7 @@ if (typeof module !== 'undefined' && module.exports) {
     ¡FIN DEL ARCHIVO LOGIN.JS! 🎉
     
     Este archivo maneja completamente la experiencia de login:
-    ✅ Autenticación simulada pero realista
+    ✅ Autenticación contra la colección de usuarios
     ✅ Validación robusta de formularios
     ✅ Gestión de sesión de usuario
     ✅ Feedback visual apropiado
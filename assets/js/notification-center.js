@@ -0,0 +1,424 @@
+/*
+    ===================================
+    NOTIFICATION CENTER - CRUDZASO v2
+    ===================================
+
+    Notificaciones del usuario guardadas en la colección notifications:
+    - Recordatorios de fecha límite (tipo "deadline") cuando una tarea
+      entra en una de las ventanas de recordatorio del usuario
+      (reminderWindows de UserPreferences; por defecto 24 h y 1 h antes)
+    - Resumen diario (tipo "digest") con las tareas que vencen hoy y
+      las vencidas, una vez por día del calendario del usuario
+
+    Cada tipo respeta su preferencia (notifications.deadline y
+    notifications.daily). Con notifications.push y el permiso del
+    navegador concedido, las nuevas también se muestran con la API
+    Notification del navegador.
+
+    La campana de la cabecera (#notification-center) lista las
+    notificaciones con su estado leída / no leída. Los textos se
+    generan al mostrarlas, así siguen el idioma actual del usuario.
+*/
+
+const NotificationCenter = (function() {
+
+    /* Cada cuánto se revisan las tareas mientras la página está abierta */
+    const CHECK_INTERVAL = 60 * 1000;
+
+    /* Notificaciones que se muestran en el panel */
+    const PANEL_LIMIT = 20;
+
+    const HOUR_MS = 60 * 60 * 1000;
+
+    let currentUserId = null;
+    let notifications = [];
+
+    /*
+        Ventana de recordatorio en la que está una tarea (null si ninguna)
+
+        windows son las horas de las ventanas del usuario. Solo se usa la
+        más corta que ya alcanzó: quien abre la app media hora antes del
+        vencimiento recibe el aviso de "1h", no también el de "24h".
+        Las tareas completadas, sin fecha o ya vencidas no se recuerdan.
+    */
+    function getReminderWindow(task, now = new Date(), windows = UserPreferences.getCurrent().reminderWindows) {
+        if (task.status === 'Completed') return null;
+
+        const deadline = DueDates.getDeadline(task.dueDate);
+        if (!deadline) return null;
+
+        const remaining = deadline.getTime() - new Date(now).getTime();
+        if (remaining <= 0) return null;
+
+        const reached = windows.filter(hours => remaining <= hours * HOUR_MS);
+        if (reached.length === 0) return null;
+
+        const hours = Math.min(...reached);
+        return { id: `${hours}h`, hours };
+    }
+
+    /* Unidad con que se nombra una ventana: días si son días completos (72 h → 3 días) */
+    function getWindowUnit(hours) {
+        return hours >= 48 && hours % 24 === 0 ?
+            { unit: 'days', count: hours / 24 } :
+            { unit: 'hours', count: hours };
+    }
+
+    /* Texto de una ventana para las preferencias ("3 days before") */
+    function formatReminderWindow(hours) {
+        const { unit, count } = getWindowUnit(hours);
+        return I18n.plural(`preferences.reminder.${unit}`, count);
+    }
+
+    /* Tareas del resumen diario: las que vencen hoy y las vencidas */
+    function buildDigest(tasks, now = new Date()) {
+        const pending = tasks.filter(task => task.status !== 'Completed' && task.dueDate);
+
+        return {
+            dueToday: pending.filter(task => DueDates.isDueToday(task.dueDate, now) && !DueDates.isOverdue(task, now)),
+            overdue: pending.filter(task => DueDates.isOverdue(task, now))
+        };
+    }
+
+    /*
+        Notificaciones que faltan crear para el usuario
+
+        key identifica cada aviso para no repetirlo: el recordatorio
+        incluye la fecha límite (si se cambia, se vuelve a avisar) y el
+        resumen incluye el día.
+    */
+    function collectPending(tasks, existingKeys, preferences, now = new Date()) {
+        const pending = [];
+
+        if (preferences.notifications.deadline) {
+            tasks.forEach(task => {
+                const reminderWindow = getReminderWindow(task, now, preferences.reminderWindows);
+                if (!reminderWindow) return;
+
+                const key = `deadline:${task.id}:${reminderWindow.id}:${task.dueDate}`;
+                if (existingKeys.has(key)) return;
+
+                pending.push({
+                    type: 'deadline',
+                    key,
+                    taskId: task.id,
+                    params: { title: task.title, dueDate: task.dueDate, window: reminderWindow.id }
+                });
+            });
+        }
+
+        if (preferences.notifications.daily) {
+            const key = `digest:${DueDates.getDayKey(now)}`;
+            const digest = buildDigest(tasks, now);
+
+            if (!existingKeys.has(key) && (digest.dueToday.length > 0 || digest.overdue.length > 0)) {
+                pending.push({
+                    type: 'digest',
+                    key,
+                    taskId: null,
+                    params: {
+                        dueToday: digest.dueToday.map(task => task.title),
+                        overdue: digest.overdue.map(task => task.title)
+                    }
+                });
+            }
+        }
+
+        return pending;
+    }
+
+    /*
+        Revisar las tareas del usuario y crear las notificaciones nuevas
+
+        Devuelve las notificaciones creadas en esta revisión.
+    */
+    async function check(userId, now = new Date()) {
+        const preferences = UserPreferences.getCurrent();
+        const [tasks, existing] = await Promise.all([
+            DataStore.getTasks({ userId }),
+            DataStore.getNotifications({ userId })
+        ]);
+
+        const existingKeys = new Set(existing.map(notification => notification.key));
+        const created = [];
+
+        for (const notification of collectPending(tasks, existingKeys, preferences, now)) {
+            created.push(await DataStore.createNotification({
+                ...notification,
+                userId,
+                read: false,
+                createdAt: new Date(now).toISOString()
+            }));
+        }
+
+        if (created.length > 0) {
+            console.log(`🔔 Created ${created.length} notification(s)`);
+            if (preferences.notifications.push) created.forEach(showBrowserNotification);
+        }
+
+        return created;
+    }
+
+    /* Título y texto de una notificación en el idioma actual */
+    function describe(notification) {
+        const { params } = notification;
+
+        if (notification.type === 'deadline') {
+            const { unit, count } = getWindowUnit(parseInt(params.window, 10));
+            return {
+                icon: '⏰',
+                title: I18n.plural(`notifications.deadline.${unit}`, count),
+                body: I18n.t('notifications.deadline.body', { title: params.title, due: DueDates.format(params.dueDate) })
+            };
+        }
+
+        const parts = [];
+        if (params.dueToday.length > 0) parts.push(I18n.plural('notifications.digest.dueToday', params.dueToday.length));
+        if (params.overdue.length > 0) parts.push(I18n.plural('notifications.digest.overdue', params.overdue.length));
+
+        return {
+            icon: '📋',
+            title: I18n.t('notifications.digest.title'),
+            body: parts.join(' · ')
+        };
+    }
+
+    /* Página a la que lleva una notificación */
+    function getLink(notification) {
+        return notification.taskId ?
+            `create-task.html?edit=${encodeURIComponent(notification.taskId)}` :
+            'tasks.html';
+    }
+
+    // ==========================================
+    // NOTIFICACIONES DEL NAVEGADOR
+    // ==========================================
+
+    function isBrowserSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    }
+
+    /* Pedir permiso al navegador (debe llamarse desde un click del usuario) */
+    async function requestPermission() {
+        if (!isBrowserSupported()) return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+
+        const permission = await Notification.requestPermission();
+        console.log(`🔔 Browser notification permission: ${permission}`);
+        render();
+        return permission;
+    }
+
+    function showBrowserNotification(notification) {
+        if (!isBrowserSupported() || Notification.permission !== 'granted') return;
+
+        const { icon, title, body } = describe(notification);
+
+        try {
+            const browserNotification = new Notification(`${icon} ${title}`, { body, tag: notification.key });
+            browserNotification.onclick = () => {
+                window.focus();
+                markRead(notification.id).finally(() => {
+                    window.location.href = getLink(notification);
+                });
+            };
+        } catch (error) {
+            // Algunos navegadores móviles solo permiten notificaciones desde un service worker
+            console.warn('⚠️ Could not show browser notification:', error);
+        }
+    }
+
+    // ==========================================
+    // ESTADO LEÍDA / NO LEÍDA
+    // ==========================================
+
+    async function markRead(notificationId) {
+        const notification = notifications.find(item => item.id === notificationId);
+        if (notification && notification.read) return;
+
+        await DataStore.updateNotification(notificationId, { read: true, readAt: new Date().toISOString() });
+        if (notification) notification.read = true;
+        render();
+    }
+
+    async function markAllRead() {
+        const unread = notifications.filter(notification => !notification.read);
+        const readAt = new Date().toISOString();
+
+        await Promise.all(unread.map(notification =>
+            DataStore.updateNotification(notification.id, { read: true, readAt })));
+
+        unread.forEach(notification => { notification.read = true; });
+        render();
+    }
+
+    function getUnreadCount() {
+        return notifications.filter(notification => !notification.read).length;
+    }
+
+    // ==========================================
+    // CAMPANA DE LA CABECERA
+    // ==========================================
+
+    /* Leer las notificaciones del usuario (más recientes primero) */
+    async function loadNotifications() {
+        const records = await DataStore.getNotifications({ userId: currentUserId });
+        notifications = records.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    /* Revisar tareas y volver a pintar la campana; los errores no rompen la página */
+    async function refresh() {
+        try {
+            await check(currentUserId);
+            await loadNotifications();
+            render();
+        } catch (error) {
+            console.error('❌ Could not refresh notifications:', error);
+        }
+    }
+
+    function createNotificationItem(notification) {
+        const { icon, title, body } = describe(notification);
+
+        const item = document.createElement('li');
+        item.className = `notification-item ${notification.read ? '' : 'unread'}`;
+
+        const link = document.createElement('a');
+        link.className = 'notification-link';
+        link.href = getLink(notification);
+        link.addEventListener('click', async event => {
+            event.preventDefault();
+            try {
+                await markRead(notification.id);
+            } finally {
+                window.location.href = link.href;
+            }
+        });
+
+        const iconElement = document.createElement('span');
+        iconElement.className = 'notification-icon';
+        iconElement.textContent = icon;
+
+        const content = document.createElement('span');
+        content.className = 'notification-content';
+
+        const titleElement = document.createElement('strong');
+        titleElement.textContent = title;
+
+        const bodyElement = document.createElement('span');
+        bodyElement.className = 'notification-body';
+        bodyElement.textContent = body;
+
+        const timeElement = document.createElement('span');
+        timeElement.className = 'notification-time';
+        timeElement.textContent = UserPreferences.formatDateTime(notification.createdAt);
+
+        content.append(titleElement, bodyElement, timeElement);
+        link.append(iconElement, content);
+        item.appendChild(link);
+        return item;
+    }
+
+    /* Pintar el contador y la lista del panel */
+    function render() {
+        const badge = document.getElementById('notification-badge');
+        const list = document.getElementById('notification-list');
+        if (!badge || !list) return;
+
+        const unread = getUnreadCount();
+        badge.textContent = unread > 9 ? '9+' : String(unread);
+        badge.hidden = unread === 0;
+
+        const markAllButton = document.getElementById('notification-mark-all');
+        if (markAllButton) markAllButton.disabled = unread === 0;
+
+        // Ofrecer el permiso del navegador si el usuario quiere avisos push y aún no lo decidió
+        const enablePushButton = document.getElementById('notification-enable-push');
+        if (enablePushButton) {
+            enablePushButton.hidden = !(UserPreferences.getCurrent().notifications.push &&
+                isBrowserSupported() && Notification.permission === 'default');
+        }
+
+        if (notifications.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'notification-empty';
+            empty.textContent = I18n.t('notifications.empty');
+            list.replaceChildren(empty);
+            return;
+        }
+
+        list.replaceChildren(...notifications.slice(0, PANEL_LIMIT).map(createNotificationItem));
+    }
+
+    function setPanelOpen(isOpen) {
+        const bell = document.getElementById('notification-bell');
+        const panel = document.getElementById('notification-panel');
+        if (!bell || !panel) return;
+
+        panel.hidden = !isOpen;
+        bell.setAttribute('aria-expanded', String(isOpen));
+    }
+
+    function setupBell(container) {
+        const bell = document.getElementById('notification-bell');
+        const panel = document.getElementById('notification-panel');
+
+        bell.addEventListener('click', event => {
+            event.stopPropagation();
+            setPanelOpen(panel.hidden);
+        });
+
+        // Cerrar al hacer click fuera o con Escape
+        document.addEventListener('click', event => {
+            if (!container.contains(event.target)) setPanelOpen(false);
+        });
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') setPanelOpen(false);
+        });
+
+        document.getElementById('notification-mark-all').addEventListener('click', () => {
+            markAllRead().catch(error => console.error('❌ Could not mark notifications as read:', error));
+        });
+
+        document.getElementById('notification-enable-push').addEventListener('click', requestPermission);
+
+        // Los textos se generan al pintar: volver a pintar si cambia el idioma
+        document.addEventListener('preferenceschange', render);
+    }
+
+    /*
+        Activar la campana de la cabecera para el usuario actual
+
+        Las páginas la llaman después de cargar las preferencias del
+        usuario. Revisa las tareas al abrir la página y cada CHECK_INTERVAL.
+    */
+    async function mount(userId) {
+        const container = document.getElementById('notification-center');
+        if (!container || currentUserId) return;
+
+        currentUserId = userId;
+        setupBell(container);
+        await refresh();
+
+        setInterval(refresh, CHECK_INTERVAL);
+        console.log('🔔 Notification center ready');
+    }
+
+    return {
+        getReminderWindow,
+        formatReminderWindow,
+        buildDigest,
+        collectPending,
+        check,
+        describe,
+        requestPermission,
+        markRead,
+        markAllRead,
+        getUnreadCount,
+        mount
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationCenter;
+}
@@ -0,0 +1,111 @@
+/*
+    ===================================
+    PASSWORD HASHER - CRUDZASO v2
+    ===================================
+
+    Hash de contraseñas con PBKDF2 (Web Crypto API).
+    Formato almacenado: pbkdf2-sha256$<iteraciones>$<salt base64>$<hash base64>
+
+    Las contraseñas en texto plano de db.json siguen verificándose
+    para poder migrarlas al hash en el primer login correcto.
+*/
+
+const PasswordHasher = (function() {
+
+    const HASH_CONFIG = {
+        ALGORITHM: 'pbkdf2-sha256',
+        ITERATIONS: 310000,
+        SALT_BYTES: 16,
+        KEY_BITS: 256
+    };
+
+    function toBase64(bytes) {
+        return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    /* Derivar los bits de la clave con PBKDF2 */
+    async function deriveBits(password, salt, iterations) {
+        const keyMaterial = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        return crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            keyMaterial,
+            HASH_CONFIG.KEY_BITS
+        );
+    }
+
+    /* Comparación en tiempo constante para no filtrar información por timing */
+    function constantTimeEquals(a, b) {
+        if (a.length !== b.length) return false;
+
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    }
+
+    /* Saber si un valor almacenado ya es un hash */
+    function isHashed(storedPassword) {
+        return typeof storedPassword === 'string' &&
+            storedPassword.startsWith(`${HASH_CONFIG.ALGORITHM}$`);
+    }
+
+    /* Generar el hash con salt aleatorio para una contraseña nueva */
+    async function hash(password) {
+        const salt = crypto.getRandomValues(new Uint8Array(HASH_CONFIG.SALT_BYTES));
+        const derived = await deriveBits(password, salt, HASH_CONFIG.ITERATIONS);
+
+        return [
+            HASH_CONFIG.ALGORITHM,
+            HASH_CONFIG.ITERATIONS,
+            toBase64(salt),
+            toBase64(derived)
+        ].join('$');
+    }
+
+    /*
+        Verificar una contraseña contra el valor almacenado
+
+        Acepta tanto hashes como contraseñas legacy en texto plano.
+    */
+    async function verify(password, storedPassword) {
+        if (!storedPassword) return false;
+
+        if (!isHashed(storedPassword)) {
+            return constantTimeEquals(String(password), String(storedPassword));
+        }
+
+        const [, iterations, salt, expected] = storedPassword.split('$');
+        const derived = await deriveBits(password, fromBase64(salt), Number(iterations));
+
+        return constantTimeEquals(toBase64(derived), expected);
+    }
+
+    /* Indicar si el valor almacenado debe regenerarse (texto plano o parámetros viejos) */
+    function needsRehash(storedPassword) {
+        if (!isHashed(storedPassword)) return true;
+        return Number(storedPassword.split('$')[1]) !== HASH_CONFIG.ITERATIONS;
+    }
+
+    return {
+        hash,
+        verify,
+        isHashed,
+        needsRehash
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PasswordHasher;
+}
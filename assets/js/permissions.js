@@ -0,0 +1,91 @@
+/*
+    ===================================
+    PERMISSIONS - CRUDZASO v2
+    ===================================
+
+    Control de acceso por rol compartido por todas las páginas.
+    - student: ve y gestiona solo sus propias tareas
+    - admin: ve y gestiona las tareas de todos los usuarios
+
+    Las páginas consultan Permissions antes de mostrar o modificar
+    una tarea; las acciones no permitidas se rechazan con un mensaje claro.
+*/
+
+const Permissions = (function() {
+
+    const ROLES = {
+        ADMIN: 'admin',
+        STUDENT: 'student'
+    };
+
+    /* Acciones válidas sobre una tarea (mensajes en I18n: permissions.denied.*) */
+    const ACTIONS = ['view', 'edit', 'delete', 'complete'];
+
+    function isAdmin(user) {
+        return Boolean(user) && user.role === ROLES.ADMIN;
+    }
+
+    function isOwner(user, task) {
+        return Boolean(user && task) && task.userId !== undefined &&
+            String(task.userId) === String(user.id);
+    }
+
+    /*
+        Verificar si el usuario puede realizar una acción sobre una tarea
+
+        Hoy todas las acciones siguen la misma regla (dueño o admin),
+        pero se consultan por nombre para poder separarlas más adelante.
+    */
+    function canAccessTask(user, task, action = 'view') {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown task action: ${action}`);
+        }
+        return isAdmin(user) || isOwner(user, task);
+    }
+
+    /* Tareas visibles para el usuario (las tareas sin dueño solo las ve el admin) */
+    function filterVisibleTasks(user, tasks) {
+        return tasks.filter(task => canAccessTask(user, task, 'view'));
+    }
+
+    /* Mensaje para una acción rechazada */
+    function getDeniedMessage(action, task) {
+        const title = task && task.title ? `"${task.title}"` : I18n.t('permissions.thisTask');
+        return I18n.t(`permissions.denied.${action}`, { title });
+    }
+
+    /*
+        Lanzar un error 403 si la acción no está permitida
+
+        Mismo formato que los errores HTTP del DataStore (propiedad status).
+    */
+    function assertCanAccessTask(user, task, action) {
+        if (!canAccessTask(user, task, action)) {
+            const error = new Error(getDeniedMessage(action, task));
+            error.status = 403;
+            throw error;
+        }
+    }
+
+    /* Mostrar los elementos .admin-only (enlace a la consola, etc.) solo a admins */
+    function applyRoleVisibility(user) {
+        document.querySelectorAll('.admin-only').forEach(element => {
+            element.style.display = isAdmin(user) ? '' : 'none';
+        });
+    }
+
+    return {
+        ROLES,
+        isAdmin,
+        isOwner,
+        canAccessTask,
+        filterVisibleTasks,
+        getDeniedMessage,
+        assertCanAccessTask,
+        applyRoleVisibility
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Permissions;
+}
@@ -49,7 +49,9 @@ const PROFILE_CONFIG = {
     ACADEMIC_LEVELS: [
         'High School', 'Undergraduate', 'Graduate', 'PhD', 
         'Postdoc', 'Professor', 'Other'
-    ]
+    ],
+    PASSWORD_MIN_LENGTH: 8,
+    PREFERENCES_SAVE_DELAY: 600 // ms tras el último cambio
 };
 
 /* Variables para funcionalidades del perfil */
@@ -91,21 +93,28 @@ document.addEventListener('DOMContentLoaded', async function() {
         // 7. Configurar edición de perfil
         setupProfileEditing();
         
-        // 8. Configurar carga de avatar
+        // 8. Configurar cambio de contraseña
+        setupPasswordChange();
+        
+        // 9. Configurar carga de avatar
         setupAvatarUpload();
         
-        // 9. Renderizar todo el contenido
+        // 10. Renderizar todo el contenido
         await renderCompleteProfile();
         
-        // 10. Configurar auto-guardado de preferencias
+        // 11. Configurar auto-guardado de preferencias
         setupPreferencesAutoSave();
         
+        // 12. Notificaciones en la cabecera (sin bloquear la carga)
+        NotificationCenter.mount(profileState.currentUser.id)
+            .catch(error => console.error('❌ Could not start notifications:', error));
+        
         console.log('✅ Profile system fully loaded!');
         showProfileWelcome();
         
     } catch (error) {
         console.error('💥 Critical error loading profile:', error);
-        showCriticalError('Failed to load profile data. Please refresh the page.');
+        showCriticalError(I18n.t('profile.loadFailed'));
     }
 });
 
@@ -121,10 +130,13 @@ async function loadCompleteUserData() {
     
     try {
         // Cargar datos básicos de la sesión
-        const sessionData = JSON.parse(localStorage.getItem('crudzaso_user_session'));
+        const sessionData = SessionManager.getCurrent();
         
-        // Cargar datos extendidos del perfil (si existen)
-        const extendedProfileData = JSON.parse(localStorage.getItem(`crudzaso_profile_${sessionData.userId}`) || '{}');
+        // Cargar datos extendidos del perfil desde la colección de usuarios
+        const extendedProfileData = await DataStore.getUser(sessionData.userId) || {};
+        
+        // Preferencias (tema, idioma, zona horaria, notificaciones) ya aplicadas a la página
+        const preferences = await UserPreferences.load(sessionData.userId);
         
         // Combinar datos para perfil completo
         profileState.currentUser = {
@@ -145,9 +157,9 @@ async function loadCompleteUserData() {
             lastActive: new Date().toISOString(),
             
             // Configuraciones
-            timezone: extendedProfileData.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
-            language: extendedProfileData.language || 'en',
-            theme: extendedProfileData.theme || 'light',
+            timezone: preferences.timezone,
+            language: preferences.language,
+            theme: preferences.theme,
             
             // Redes sociales y enlaces
             socialLinks: extendedProfileData.socialLinks || {},
@@ -158,14 +170,13 @@ async function loadCompleteUserData() {
             dailyGoal: extendedProfileData.dailyGoal || 4, // horas por día
             
             // Configuraciones de notificaciones
-            notifications: extendedProfileData.notifications || {
-                email: true,
-                push: true,
-                deadline: true,
-                daily: false
-            }
+            notifications: preferences.notifications,
+            reminderWindows: preferences.reminderWindows
         };
         
+        // Enlaces solo para administradores
+        Permissions.applyRoleVisibility(profileState.currentUser);
+        
         console.log('✅ Complete user data loaded successfully');
         
     } catch (error) {
@@ -181,12 +192,11 @@ async function loadUserStatistics() {
     console.log('📈 Loading comprehensive user statistics...');
     
     try {
-        // Cargar todas las tareas del usuario
-        const allTasks = JSON.parse(localStorage.getItem('crudzaso_tasks') || '[]');
-        const userTasks = allTasks.filter(task => !task.userId || task.userId === profileState.currentUser.id);
+        // Cargar las tareas propias del usuario
+        const userTasks = await DataStore.getTasks({ userId: profileState.currentUser.id });
         
-        // Calcular estadísticas detalladas
-        profileState.userStats = calculateDetailedStatistics(userTasks);
+        // Calcular estadísticas detalladas (compartidas con la consola de admin)
+        profileState.userStats = TaskStatistics.calculateDetailedStatistics(userTasks);
         
         console.log('📊 User statistics calculated:', profileState.userStats);
         
@@ -196,146 +206,6 @@ async function loadUserStatistics() {
     }
 }
 
-/* 
-    Calcular estadísticas detalladas de productividad
-*/
-function calculateDetailedStatistics(tasks) {
-    console.log('🧮 Calculating detailed productivity statistics...');
-    
-    const now = new Date();
-    const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    
-    // Estadísticas generales
-    const totalTasks = tasks.length;
-    const completedTasks = tasks.filter(task => task.status === 'Completed').length;
-    const pendingTasks = tasks.filter(task => task.status === 'Pending').length;
-    const inProgressTasks = tasks.filter(task => task.status === 'In Progress').length;
-    
-    // Estadísticas de tiempo
-    const totalEstimatedHours = tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0);
-    const totalActualHours = tasks.reduce((sum, task) => sum + (task.actualHours || 0), 0);
-    
-    // Estadísticas por período
-    const tasksLast30Days = tasks.filter(task => new Date(task.createdAt) > thirtyDaysAgo);
-    const tasksLast7Days = tasks.filter(task => new Date(task.createdAt) > sevenDaysAgo);
-    const completedLast30Days = tasksLast30Days.filter(task => task.status === 'Completed').length;
-    const completedLast7Days = tasksLast7Days.filter(task => task.status === 'Completed').length;
-    
-    // Estadísticas por categoría
-    const categoryStats = calculateCategoryStatistics(tasks);
-    
-    // Estadísticas por prioridad
-    const priorityStats = calculatePriorityStatistics(tasks);
-    
-    // Racha de productividad
-    const productivityStreak = calculateProductivityStreak(tasks);
-    
-    // Tareas vencidas
-    const overdueTasks = tasks.filter(task => 
-        task.status !== 'Completed' && 
-        task.dueDate && 
-        new Date(task.dueDate) < now
-    ).length;
-    
-    return {
-        // Generales
-        totalTasks,
-        completedTasks,
-        pendingTasks,
-        inProgressTasks,
-        overdueTasks,
-        
-        // Porcentajes
-        completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
-        onTimeRate: calculateOnTimeRate(tasks),
-        
-        // Tiempo
-        totalEstimatedHours,
-        totalActualHours,
-        averageTaskHours: totalTasks > 0 ? Math.round(totalEstimatedHours / totalTasks * 10) / 10 : 0,
-        
-        // Períodos
-        tasksLast30Days: tasksLast30Days.length,
-        tasksLast7Days: tasksLast7Days.length,
-        completedLast30Days,
-        completedLast7Days,
-        
-        // Promedios por período
-        averageTasksPerWeek: Math.round(tasksLast30Days.length / 4.3 * 10) / 10,
-        averageCompletionPerWeek: Math.round(completedLast30Days / 4.3 * 10) / 10,
-        
-        // Por categorías y prioridades
-        categoryStats,
-        priorityStats,
-        
-        // Productividad
-        productivityStreak,
-        bestDay: findBestProductivityDay(tasks),
-        mostActiveTimeOfDay: calculateMostActiveTime(tasks)
-    };
-}
-
-/* 
-    Calcular estadísticas por categoría
-*/
-function calculateCategoryStatistics(tasks) {
-    const categoryData = {};
-    
-    tasks.forEach(task => {
-        if (!categoryData[task.category]) {
-            categoryData[task.category] = {
-                total: 0,
-                completed: 0,
-                pending: 0,
-                inProgress: 0,
-                totalHours: 0
-            };
-        }
-        
-        categoryData[task.category].total++;
-        categoryData[task.category][task.status.toLowerCase().replace(' ', '')]++;
-        categoryData[task.category].totalHours += task.estimatedHours || 0;
-    });
-    
-    // Calcular porcentajes de completitud por categoría
-    Object.keys(categoryData).forEach(category => {
-        const data = categoryData[category];
-        data.completionRate = data.total > 0 ? Math.round((data.completed / data.total) * 100) : 0;
-    });
-    
-    return categoryData;
-}
-
-/* 
-    Calcular estadísticas por prioridad
-*/
-function calculatePriorityStatistics(tasks) {
-    const priorityData = {
-        'Low': { total: 0, completed: 0 },
-        'Medium': { total: 0, completed: 0 },
-        'High': { total: 0, completed: 0 }
-    };
-    
-    tasks.forEach(task => {
-        const priority = task.priority || 'Medium';
-        if (priorityData[priority]) {
-            priorityData[priority].total++;
-            if (task.status === 'Completed') {
-                priorityData[priority].completed++;
-            }
-        }
-    });
-    
-    // Calcular porcentajes
-    Object.keys(priorityData).forEach(priority => {
-        const data = priorityData[priority];
-        data.completionRate = data.total > 0 ? Math.round((data.completed / data.total) * 100) : 0;
-    });
-    
-    return priorityData;
-}
-
 // ==========================================
 // RENDERIZADO DEL PERFIL
 // ==========================================
@@ -361,6 +231,14 @@ async function renderCompleteProfile() {
     // Renderizar logros y badges
     renderAchievementsSection();
     
+    // Renderizar sesiones abiertas en otros dispositivos
+    await renderSessionsSection();
+    
+    // Renderizar bloqueos de cuenta (solo administradores)
+    if (Permissions.isAdmin(profileState.currentUser)) {
+        await renderLockoutsSection();
+    }
+    
     console.log('✅ Complete profile rendered successfully');
 }
 
@@ -372,12 +250,9 @@ function renderPersonalInformation() {
     
     const user = profileState.currentUser;
     
-    // Actualizar avatar
-    const avatarElement = document.querySelector('.profile-avatar img');
-    if (avatarElement) {
-        avatarElement.src = user.avatar || 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100"><rect width="100" height="100" fill="%23ddd"/><text x="50" y="50" text-anchor="middle" dy=".35em" font-size="40">👤</text></svg>';
-        avatarElement.alt = `${user.name}'s avatar`;
-    }
+    // Actualizar avatar (perfil y cabecera)
+    renderAvatar(user.avatar);
+    renderAvatarPicker();
     
     // Actualizar información básica
     updateElementText('profile-name', user.name);
@@ -390,12 +265,12 @@ function renderPersonalInformation() {
     // Actualizar bio si existe
     const bioElement = document.getElementById('profile-bio');
     if (bioElement) {
-        bioElement.textContent = user.bio || 'No biography provided yet.';
+        bioElement.textContent = user.bio || I18n.t('profile.personal.noBio');
     }
     
     // Actualizar información de contacto
-    updateElementText('profile-phone', user.phoneNumber || 'Not provided');
-    updateElementText('profile-website', user.website || 'Not provided');
+    updateElementText('profile-phone', user.phoneNumber || I18n.t('common.notProvided'));
+    updateElementText('profile-website', user.website || I18n.t('common.notProvided'));
     
     console.log('✅ Personal information section rendered');
 }
@@ -411,8 +286,14 @@ function renderStatisticsSection() {
     // Estadísticas principales
     updateElementText('stat-total-tasks', stats.totalTasks);
     updateElementText('stat-completed-tasks', stats.completedTasks);
-    updateElementText('stat-completion-rate', `${stats.completionRate}%`);
-    updateElementText('stat-productivity-streak', `${stats.productivityStreak} days`);
+    updateElementText('stat-completion-rate', I18n.formatPercent(stats.completionRate));
+    updateElementText('stat-productivity-streak', I18n.plural('profile.insights.days', stats.productivityStreak));
+    
+    // Análisis de productividad (— cuando todavía no hay tareas completadas con fecha)
+    updateElementText('stat-on-time-rate', stats.onTimeRate === null ? '—' : I18n.formatPercent(stats.onTimeRate));
+    updateElementText('stat-best-day', stats.bestDay ? I18n.label('weekday', stats.bestDay) : '—');
+    updateElementText('stat-most-active-time', stats.mostActiveTimeOfDay || '—');
+    updateElementText('stat-completed-last-week', stats.completedLast7Days);
     
     // Estadísticas de tiempo
     updateElementText('stat-total-hours', `${stats.totalEstimatedHours}h`);
@@ -462,6 +343,409 @@ function renderCategoryChart(categoryStats) {
     });
 }
 
+// ==========================================
+// SESIONES ACTIVAS
+// ==========================================
+
+/* 
+    Renderizar las sesiones abiertas del usuario
+    
+    La sesión de este navegador se marca como actual.
+*/
+async function renderSessionsSection() {
+    const listContainer = document.getElementById('sessions-list');
+    if (!listContainer) return;
+    
+    listContainer.innerHTML = '';
+    
+    try {
+        const currentSession = SessionManager.getCurrent();
+        const sessions = await SessionManager.getActiveSessions(profileState.currentUser.id);
+        
+        sessions.forEach(session => {
+            const isCurrent = currentSession && session.id === currentSession.sessionId;
+            const item = document.createElement('div');
+            item.className = `session-item ${isCurrent ? 'current' : ''}`;
+            
+            item.innerHTML = `
+                <div class="session-info">
+                    <span class="session-device">${escapeHtml(describeUserAgent(session.userAgent))}${isCurrent ? ` · ${I18n.t('profile.sessions.thisDevice')}` : ''}</span>
+                    <span class="session-details">
+                        ${I18n.t('profile.sessions.details', {
+                            signedIn: UserPreferences.formatDateTime(session.createdAt),
+                            expires: UserPreferences.formatDateTime(session.expiresAt)
+                        })}
+                    </span>
+                </div>
+            `;
+            
+            listContainer.appendChild(item);
+        });
+        
+        console.log(`🖥️ Rendered ${sessions.length} active sessions`);
+        
+    } catch (error) {
+        console.error('❌ Error loading sessions:', error);
+        listContainer.innerHTML = `<div class="empty-state">${I18n.t('profile.sessions.loadFailed')}</div>`;
+    }
+}
+
+/* 
+    Nombre legible del navegador a partir del user agent
+*/
+function describeUserAgent(userAgent) {
+    if (!userAgent) return I18n.t('profile.sessions.unknownDevice');
+    
+    const browsers = ['Edg', 'Chrome', 'Firefox', 'Safari'];
+    const browser = browsers.find(name => userAgent.includes(`${name}/`)) || 'Browser';
+    const platform = ['Windows', 'Mac OS', 'Android', 'iPhone', 'Linux'].find(name => userAgent.includes(name)) || '';
+    
+    const browserName = browser === 'Edg' ? 'Edge' : browser;
+    return platform ? I18n.t('profile.sessions.device', { browser: browserName, platform }) : browserName;
+}
+
+/* 
+    Cerrar la sesión de este dispositivo
+*/
+async function logoutCurrentDevice() {
+    try {
+        await SessionManager.revokeCurrent();
+    } catch (error) {
+        console.error('❌ Error revoking session:', error);
+    }
+    redirectToLogin();
+}
+
+/* 
+    Cerrar la sesión en todos los dispositivos del usuario
+    
+    Revoca todos los tokens activos; los otros dispositivos
+    vuelven al login en su próxima carga de página.
+*/
+async function logoutAllDevices() {
+    if (!confirm(I18n.t('profile.sessions.confirmLogoutAll'))) {
+        return;
+    }
+    
+    try {
+        const revokedCount = await SessionManager.revokeAll(profileState.currentUser.id);
+        console.log(`🚫 Logged out of ${revokedCount} devices`);
+        redirectToLogin();
+    } catch (error) {
+        console.error('❌ Error revoking sessions:', error);
+        alert(I18n.t('profile.sessions.logoutAllFailed'));
+    }
+}
+
+// ==========================================
+// ADMINISTRACIÓN DE BLOQUEOS DE LOGIN
+// ==========================================
+
+/* 
+    Renderizar la lista de emails con intentos fallidos o bloqueados
+    
+    Solo visible para administradores.
+*/
+async function renderLockoutsSection() {
+    const section = document.getElementById('admin-lockouts-section');
+    const listContainer = document.getElementById('lockouts-list');
+    if (!section || !listContainer) return;
+    
+    section.style.display = 'block';
+    listContainer.innerHTML = '';
+    
+    try {
+        const lockouts = await LoginAttempts.getLockouts();
+        
+        if (lockouts.length === 0) {
+            listContainer.innerHTML = `<div class="empty-state">${I18n.t('profile.lockouts.empty')}</div>`;
+            return;
+        }
+        
+        lockouts.forEach(lockout => {
+            const item = document.createElement('div');
+            item.className = `lockout-item ${lockout.isLocked ? 'locked' : ''}`;
+            
+            item.innerHTML = `
+                <div class="lockout-info">
+                    <span class="lockout-email">${escapeHtml(lockout.email)}</span>
+                    <span class="lockout-details">
+                        ${I18n.plural('profile.lockouts.attempts', lockout.failedAttempts)}
+                        ${lockout.isLocked ?
+                            ` · ${I18n.t('profile.lockouts.locked', { minutes: Math.ceil(lockout.remainingMs / 60000) })}` :
+                            ` · ${I18n.t('profile.lockouts.lastAttempt', { date: UserPreferences.formatDateTime(lockout.lastFailedAt) })}`}
+                    </span>
+                </div>
+                <button class="btn btn-outline" data-email="${escapeHtml(lockout.email)}">
+                    ${lockout.isLocked ? I18n.t('profile.lockouts.unlock') : I18n.t('profile.lockouts.clear')}
+                </button>
+            `;
+            
+            item.querySelector('button').addEventListener('click', () => clearUserLockout(lockout.email));
+            listContainer.appendChild(item);
+        });
+        
+        console.log(`🔒 Rendered ${lockouts.length} login lockout records`);
+        
+    } catch (error) {
+        console.error('❌ Error loading lockouts:', error);
+        listContainer.innerHTML = '<div class="empty-state">Failed to load lockouts.</div>';
+    }
+}
+
+/* 
+    Desbloquear un email (reinicia su contador de intentos)
+*/
+async function clearUserLockout(email) {
+    if (!Permissions.isAdmin(profileState.currentUser)) {
+        alert(I18n.t('profile.lockouts.adminOnly'));
+        return;
+    }
+    
+    try {
+        await LoginAttempts.reset(email);
+        await renderLockoutsSection();
+    } catch (error) {
+        console.error('❌ Error clearing lockout:', error);
+        alert(I18n.t('profile.lockouts.clearFailed', { email }));
+    }
+}
+
+// ==========================================
+// CAMBIO DE CONTRASEÑA
+// ==========================================
+
+/* 
+    Configurar el formulario de cambio de contraseña
+*/
+function setupPasswordChange() {
+    const form = document.getElementById('change-password-form');
+    if (!form) return;
+    
+    form.addEventListener('submit', handlePasswordChange);
+    console.log('🔑 Password change configured');
+}
+
+/* 
+    Cambiar la contraseña del usuario actual
+    
+    Verifica la contraseña actual contra el hash guardado y
+    almacena la nueva como hash PBKDF2, nunca en texto plano.
+*/
+async function handlePasswordChange(event) {
+    event.preventDefault();
+    
+    const currentPassword = getElementValue('current-password');
+    const newPassword = getElementValue('new-password');
+    const confirmPassword = getElementValue('confirm-new-password');
+    const submitButton = document.getElementById('change-password-btn');
+    
+    if (newPassword.length < PROFILE_CONFIG.PASSWORD_MIN_LENGTH) {
+        showPasswordChangeMessage(I18n.t('profile.password.tooShort', { min: PROFILE_CONFIG.PASSWORD_MIN_LENGTH }), 'error');
+        return;
+    }
+    
+    if (newPassword !== confirmPassword) {
+        showPasswordChangeMessage(I18n.t('profile.password.mismatch'), 'error');
+        return;
+    }
+    
+    if (newPassword === currentPassword) {
+        showPasswordChangeMessage(I18n.t('profile.password.same'), 'error');
+        return;
+    }
+    
+    submitButton.disabled = true;
+    
+    try {
+        // Leer el hash más reciente (pudo migrarse en el último login)
+        const user = await DataStore.getUser(profileState.currentUser.id);
+        
+        if (!user || !await PasswordHasher.verify(currentPassword, user.password)) {
+            showPasswordChangeMessage(I18n.t('profile.password.incorrect'), 'error');
+            return;
+        }
+        
+        const hashedPassword = await PasswordHasher.hash(newPassword);
+        await DataStore.updateUser(user.id, { password: hashedPassword });
+        profileState.currentUser.password = hashedPassword;
+        await ActivityLog.record('profile.password_changed', {
+            actor: profileState.currentUser,
+            entityType: 'user',
+            entity: user
+        });
+        
+        document.getElementById('change-password-form').reset();
+        showPasswordChangeMessage(I18n.t('profile.password.updated'), 'success');
+        console.log('🔑 Password changed successfully');
+        
+    } catch (error) {
+        console.error('❌ Error changing password:', error);
+        showPasswordChangeMessage(I18n.t('profile.password.failed'), 'error');
+    } finally {
+        submitButton.disabled = false;
+    }
+}
+
+/* 
+    Mostrar el resultado del cambio de contraseña dentro del formulario
+*/
+function showPasswordChangeMessage(message, type) {
+    const messageElement = document.getElementById('password-change-message');
+    if (!messageElement) return;
+    
+    messageElement.className = `auth-message auth-message-${type}`;
+    messageElement.textContent = message;
+    messageElement.style.display = 'block';
+}
+
+// ==========================================
+// AVATAR DEL USUARIO
+// ==========================================
+
+/* 
+    Configurar la subida de la foto de perfil
+*/
+function setupAvatarUpload() {
+    const fileInput = document.getElementById('avatar-file-input');
+    if (!fileInput) return;
+    
+    fileInput.addEventListener('change', handleAvatarFile);
+    console.log('📷 Avatar upload configured');
+}
+
+function openAvatarDialog() {
+    document.getElementById('avatar-file-input')?.click();
+}
+
+/* 
+    Validar, recortar y reducir la imagen elegida
+    
+    El resultado queda en vista previa (avatarPreview) hasta que el usuario confirma.
+*/
+async function handleAvatarFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Permite volver a elegir el mismo archivo
+    if (!file) return;
+    
+    showAvatarError('');
+    
+    try {
+        avatarPreview = await UserAvatar.processFile(file, PROFILE_CONFIG.AVATAR_CONFIG);
+        renderAvatar(avatarPreview);
+        toggleAvatarPreviewActions(true);
+        console.log(`📷 Avatar preview ready (${Math.round(avatarPreview.length / 1024)}KB)`);
+    } catch (error) {
+        console.error('❌ Error processing avatar:', error);
+        showAvatarError(error.message);
+    }
+}
+
+async function confirmAvatarPreview() {
+    if (!avatarPreview) return;
+    
+    if (await saveAvatar(avatarPreview)) {
+        avatarPreview = null;
+        toggleAvatarPreviewActions(false);
+    }
+}
+
+function cancelAvatarPreview() {
+    avatarPreview = null;
+    toggleAvatarPreviewActions(false);
+    showAvatarError('');
+    renderAvatar(profileState.currentUser.avatar);
+}
+
+/* Elegir uno de los emojis predefinidos */
+async function selectDefaultAvatar(emoji) {
+    avatarPreview = null;
+    toggleAvatarPreviewActions(false);
+    await saveAvatar(emoji);
+}
+
+async function removeAvatar() {
+    avatarPreview = null;
+    toggleAvatarPreviewActions(false);
+    await saveAvatar(null);
+}
+
+/* 
+    Guardar el avatar en el registro del usuario
+    
+    En el historial la foto se registra con una etiqueta, no con el data URL completo.
+*/
+async function saveAvatar(avatar) {
+    const user = profileState.currentUser;
+    const previousAvatar = user.avatar;
+    
+    showAvatarError('');
+    
+    try {
+        await DataStore.updateUser(user.id, { avatar });
+        user.avatar = avatar;
+        
+        await ActivityLog.record('profile.updated', {
+            actor: user,
+            entityType: 'user',
+            entity: user,
+            before: { avatar: describeAvatar(previousAvatar) },
+            after: { avatar: describeAvatar(avatar) }
+        });
+        
+        renderAvatar(avatar);
+        renderAvatarPicker();
+        console.log('📷 Avatar saved');
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error saving avatar:', error);
+        showAvatarError(I18n.t('profile.avatar.saveFailed'));
+        renderAvatar(previousAvatar);
+        return false;
+    }
+}
+
+function describeAvatar(avatar) {
+    return UserAvatar.isImage(avatar) ? 'Uploaded photo' : avatar || null;
+}
+
+/* Pintar el avatar en la tarjeta del perfil y en la cabecera */
+function renderAvatar(avatar) {
+    const altText = I18n.t('avatar.altNamed', { name: profileState.currentUser.name });
+    
+    UserAvatar.render(document.getElementById('profile-avatar'), avatar, altText);
+    document.querySelectorAll('.user-avatar').forEach(element => {
+        UserAvatar.render(element, avatar, altText);
+    });
+    
+    const removeButton = document.getElementById('remove-avatar-btn');
+    if (removeButton) removeButton.disabled = !avatar;
+}
+
+/* Selector de emojis predefinidos (el actual queda marcado) */
+function renderAvatarPicker() {
+    const picker = document.getElementById('avatar-emoji-picker');
+    if (!picker) return;
+    
+    const currentAvatar = profileState.currentUser.avatar;
+    
+    picker.innerHTML = PROFILE_CONFIG.AVATAR_CONFIG.DEFAULT_AVATARS.map(emoji => `
+        <button type="button" class="avatar-emoji-option${emoji === currentAvatar ? ' selected' : ''}"
+                onclick="selectDefaultAvatar('${emoji}')" title="${I18n.t('profile.avatar.useEmoji', { emoji })}">${emoji}</button>
+    `).join('');
+}
+
+function toggleAvatarPreviewActions(visible) {
+    const actions = document.getElementById('avatar-preview-actions');
+    if (actions) actions.style.display = visible ? 'flex' : 'none';
+}
+
+function showAvatarError(message) {
+    const errorElement = document.getElementById('avatar-error');
+    if (errorElement) errorElement.textContent = message;
+}
+
 // ==========================================
 // FUNCIONES DE EDICIÓN DEL PERFIL
 // ==========================================
@@ -589,7 +873,7 @@ async function saveProfileChanges() {
         // Actualizar datos del usuario
         Object.assign(profileState.currentUser, updatedData);
         
-        // Guardar en localStorage
+        // Guardar en la colección de usuarios
         await saveUserProfileData(profileState.currentUser);
         
         // Salir del modo edición
@@ -642,14 +926,324 @@ function exitEditMode() {
     console.log('✅ Exited edit mode');
 }
 
+// ==========================================
+// PREFERENCIAS
+// ==========================================
+
+/* 
+    Renderizar el formulario de preferencias con los valores del usuario
+*/
+function renderPreferencesSection() {
+    const form = document.getElementById('preferences-form');
+    if (!form) return;
+    
+    const preferences = UserPreferences.fromUser(profileState.currentUser);
+    profileState.userPreferences = preferences;
+    
+    // La zona guardada se ofrece aunque el navegador no la liste
+    const timezones = UserPreferences.getTimezones();
+    if (!timezones.includes(preferences.timezone)) timezones.unshift(preferences.timezone);
+    
+    fillPreferenceSelect('preference-theme',
+        Object.fromEntries(Object.keys(UserPreferences.THEMES).map(theme => [theme, I18n.t(`preferences.theme.${theme}`)])),
+        preferences.theme);
+    fillPreferenceSelect('preference-language', UserPreferences.LANGUAGES, preferences.language);
+    fillPreferenceSelect('preference-timezone',
+        Object.fromEntries(timezones.map(timezone => [timezone, timezone.replace(/_/g, ' ')])),
+        preferences.timezone);
+    
+    const notificationsContainer = document.getElementById('preference-notifications');
+    if (notificationsContainer) {
+        notificationsContainer.innerHTML = Object.keys(UserPreferences.NOTIFICATION_LABELS).map(key => `
+            <label class="preference-toggle">
+                <input type="checkbox" name="notifications.${key}" ${preferences.notifications[key] ? 'checked' : ''}>
+                ${escapeHtml(I18n.t(`preferences.notification.${key}`))}
+            </label>
+        `).join('');
+    }
+    
+    // Las ventanas guardadas se ofrecen aunque no estén entre las opciones
+    const reminderWindowsContainer = document.getElementById('preference-reminder-windows');
+    if (reminderWindowsContainer) {
+        const windows = [...new Set([...UserPreferences.REMINDER_WINDOW_OPTIONS, ...preferences.reminderWindows])]
+            .sort((a, b) => b - a);
+        
+        reminderWindowsContainer.innerHTML = windows.map(hours => `
+            <label class="preference-toggle">
+                <input type="checkbox" name="reminderWindows" value="${hours}" ${preferences.reminderWindows.includes(hours) ? 'checked' : ''}>
+                ${escapeHtml(NotificationCenter.formatReminderWindow(hours))}
+            </label>
+        `).join('');
+    }
+    
+    console.log('⚙️ Preferences section rendered');
+}
+
+function fillPreferenceSelect(id, options, selectedValue) {
+    const select = document.getElementById(id);
+    if (!select) return;
+    
+    select.innerHTML = Object.entries(options).map(([value, label]) => `
+        <option value="${escapeHtml(value)}" ${value === selectedValue ? 'selected' : ''}>${escapeHtml(label)}</option>
+    `).join('');
+}
+
+/* 
+    Auto-guardado: cada cambio se guarda tras una pausa corta
+    
+    Así varios cambios seguidos (p. ej. marcar varias casillas) se guardan juntos.
+*/
+function setupPreferencesAutoSave() {
+    const form = document.getElementById('preferences-form');
+    if (!form) return;
+    
+    form.addEventListener('change', (event) => {
+        // El navegador solo pide permiso durante la acción del usuario, no tras el auto-guardado
+        if (event.target.name === 'notifications.push' && event.target.checked) {
+            NotificationCenter.requestPermission();
+        }
+        
+        clearTimeout(unsavedTimer);
+        showPreferencesStatus(I18n.t('profile.preferences.saving'));
+        unsavedTimer = setTimeout(savePreferences, PROFILE_CONFIG.PREFERENCES_SAVE_DELAY);
+    });
+    
+    console.log('💾 Preferences auto-save configured');
+}
+
+/* Leer el formulario de preferencias */
+function collectPreferences() {
+    const form = document.getElementById('preferences-form');
+    const notifications = {};
+    
+    form.querySelectorAll('input[name^="notifications."]').forEach(input => {
+        notifications[input.name.replace('notifications.', '')] = input.checked;
+    });
+    
+    const reminderWindows = [...form.querySelectorAll('input[name="reminderWindows"]:checked')]
+        .map(input => Number(input.value));
+    
+    return {
+        theme: form.elements.theme.value,
+        language: form.elements.language.value,
+        timezone: form.elements.timezone.value,
+        notifications,
+        reminderWindows
+    };
+}
+
+/* 
+    Guardar las preferencias y volver a pintar lo que muestra fechas
+*/
+async function savePreferences() {
+    const user = profileState.currentUser;
+    const before = profileState.userPreferences;
+    
+    try {
+        const preferences = await UserPreferences.save(user.id, collectPreferences());
+        Object.assign(user, preferences);
+        profileState.userPreferences = preferences;
+        
+        await ActivityLog.record('profile.updated', {
+            actor: user,
+            entityType: 'user',
+            entity: user,
+            before,
+            after: preferences
+        });
+        
+        // Idioma y zona horaria cambian los textos y cómo se muestran las fechas
+        if (preferences.language !== before.language) {
+            await loadAchievements();
+            renderStatisticsSection();
+            renderPreferencesSection();
+            await renderSessionsSection();
+            if (Permissions.isAdmin(user)) await renderLockoutsSection();
+        }
+        renderPersonalInformation();
+        renderActivityHistorySection();
+        renderAchievementsSection();
+        
+        showPreferencesStatus(I18n.t('profile.preferences.saved'));
+        console.log('⚙️ Preferences saved:', preferences);
+        
+    } catch (error) {
+        console.error('❌ Error saving preferences:', error);
+        showPreferencesStatus(I18n.t('profile.preferences.saveFailed'), true);
+    }
+}
+
+function showPreferencesStatus(message, isError = false) {
+    const status = document.getElementById('preferences-status');
+    if (!status) return;
+    
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+// ==========================================
+// HISTORIAL DE ACTIVIDAD
+// ==========================================
+
+/* Íconos de cada tipo de evento en la línea de tiempo */
+const ACTIVITY_ICONS = {
+    'task.created': '➕',
+    'task.updated': '✏️',
+    'task.status_changed': '🔄',
+    'task.deleted': '🗑️',
+    'profile.updated': '👤',
+    'profile.password_changed': '🔑'
+};
+
+/* 
+    Cargar la línea de tiempo del usuario
+    
+    Incluye sus propias acciones y las de otros sobre sus tareas o su perfil.
+*/
+async function loadActivityHistory() {
+    try {
+        profileState.activityHistory = await ActivityLog.getUserTimeline(profileState.currentUser.id);
+        console.log(`📈 Activity history loaded: ${profileState.activityHistory.length} events`);
+    } catch (error) {
+        console.error('❌ Error loading activity history:', error);
+        profileState.activityHistory = [];
+    }
+}
+
+/* 
+    Renderizar la línea de tiempo con los cambios campo a campo
+*/
+function renderActivityHistorySection() {
+    const container = document.getElementById('activity-timeline');
+    if (!container) return;
+    
+    const events = profileState.activityHistory;
+    
+    if (events.length === 0) {
+        container.innerHTML = `<p class="activity-empty">${I18n.t('profile.activity.empty')}</p>`;
+        return;
+    }
+    
+    container.innerHTML = events.map(event => `
+        <div class="activity-item">
+            <div class="activity-icon">${ACTIVITY_ICONS[event.type] || '📌'}</div>
+            <div class="activity-content">
+                <div class="activity-text">${escapeHtml(ActivityLog.describe(event))}</div>
+                <div class="activity-time">${escapeHtml(UserPreferences.formatDateTime(event.timestamp))}</div>
+                ${renderActivityChanges(event)}
+            </div>
+        </div>
+    `).join('');
+    
+    console.log('📈 Activity history rendered');
+}
+
+/* Lista plegable de cambios (antes → después) de un evento */
+function renderActivityChanges(event) {
+    // Al crear o eliminar, el diff contiene la tarea completa: no aporta en la línea de tiempo
+    if (!event.changes || event.changes.length === 0 ||
+        event.type === 'task.created' || event.type === 'task.deleted') {
+        return '';
+    }
+    
+    return `
+        <details class="activity-changes">
+            <summary>${I18n.plural('profile.activity.fieldsChanged', event.changes.length)}</summary>
+            <ul>
+                ${event.changes.map(change => `
+                    <li>
+                        <strong>${escapeHtml(change.field)}:</strong>
+                        <span class="activity-before">${escapeHtml(ActivityLog.formatValue(change.before))}</span>
+                        →
+                        <span class="activity-after">${escapeHtml(ActivityLog.formatValue(change.after))}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </details>
+    `;
+}
+
+// ==========================================
+// LOGROS Y BADGES
+// ==========================================
+
+/* 
+    Evaluar los logros con el historial de tareas del usuario
+    
+    Los recién desbloqueados se guardan con su fecha en la colección achievements.
+*/
+async function loadAchievements() {
+    try {
+        const userTasks = await DataStore.getTasks({ userId: profileState.currentUser.id });
+        const { achievements, newlyUnlocked } = await Achievements.sync(profileState.currentUser.id, userTasks);
+        
+        // Los recién desbloqueados se resaltan al renderizar
+        const newIds = newlyUnlocked.map(achievement => achievement.id);
+        profileState.achievements = achievements.map(achievement => ({
+            ...achievement,
+            isNew: newIds.includes(achievement.id)
+        }));
+        
+        console.log(`🏆 Achievements loaded: ${achievements.filter(a => a.unlocked).length}/${achievements.length} unlocked`);
+    } catch (error) {
+        console.error('❌ Error loading achievements:', error);
+        profileState.achievements = [];
+    }
+}
+
+/* 
+    Renderizar los badges desbloqueados y el progreso hacia los siguientes
+*/
+function renderAchievementsSection() {
+    const unlockedContainer = document.getElementById('achievements-unlocked');
+    const nextContainer = document.getElementById('achievements-next');
+    if (!unlockedContainer || !nextContainer) return;
+    
+    const achievements = profileState.achievements;
+    const unlocked = achievements
+        .filter(achievement => achievement.unlocked)
+        .sort((a, b) => new Date(b.unlockedAt) - new Date(a.unlockedAt));
+    const next = Achievements.getNextAchievements(achievements);
+    
+    updateElementText('achievements-count', I18n.t('profile.achievements.count', { unlocked: unlocked.length, total: achievements.length }));
+    
+    unlockedContainer.innerHTML = unlocked.length === 0
+        ? `<p class="achievements-empty">${I18n.t('profile.achievements.empty')}</p>`
+        : unlocked.map(achievement => `
+            <div class="achievement-badge${achievement.isNew ? ' new' : ''}" title="${escapeHtml(achievement.description)}">
+                ${achievement.isNew ? `<span class="achievement-new">${I18n.t('profile.achievements.new')}</span>` : ''}
+                <div class="achievement-icon">${achievement.icon}</div>
+                <div class="achievement-name">${escapeHtml(achievement.name)}</div>
+                <div class="achievement-date">${escapeHtml(I18n.t('profile.achievements.unlockedAt', { date: formatDate(achievement.unlockedAt) }))}</div>
+            </div>
+        `).join('');
+    
+    nextContainer.innerHTML = next.length === 0
+        ? `<p class="achievements-empty">${I18n.t('profile.achievements.allUnlocked')}</p>`
+        : next.map(achievement => `
+            <div class="achievement-progress">
+                <div class="achievement-icon">${achievement.icon}</div>
+                <div class="achievement-progress-info">
+                    <div class="achievement-name">${escapeHtml(achievement.name)}</div>
+                    <div class="achievement-description">${escapeHtml(achievement.description)}</div>
+                    <div class="achievement-progress-bar" title="${I18n.t('tasks.card.progress', { progress: I18n.formatPercent(achievement.progress) })}">
+                        <div class="achievement-progress-fill" style="width: ${achievement.progress}%"></div>
+                    </div>
+                    <div class="achievement-progress-text">${achievement.current}${achievement.unit} / ${achievement.target}${achievement.unit}</div>
+                </div>
+            </div>
+        `).join('');
+    
+    console.log('🏆 Achievements section rendered');
+}
+
 // ==========================================
 // FUNCIONES DE UTILIDAD
 // ==========================================
 
-/* Verificar autenticación */
+/* Verificar autenticación (token vigente en la colección sessions) */
 async function verifyAuthentication() {
-    const session = localStorage.getItem('crudzaso_user_session');
-    return session !== null;
+    return await SessionManager.validate() !== null;
 }
 
 /* Redirección al login */
@@ -672,11 +1266,23 @@ function getDefaultStatistics() {
         completionRate: 0,
         totalEstimatedHours: 0,
         productivityStreak: 0,
+        onTimeRate: null,
+        bestDay: null,
+        mostActiveTimeOfDay: null,
+        completedLast7Days: 0,
         categoryStats: {},
         priorityStats: {}
     };
 }
 
+/* Escapar HTML para prevenir XSS */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 /* Actualizar texto de elemento */
 function updateElementText(id, text) {
     const element = document.getElementById(id);
@@ -691,7 +1297,7 @@ function getElementValue(id) {
 
 /* Formatear fecha */
 function formatDate(dateString) {
-    return new Date(dateString).toLocaleDateString('en-US', {
+    return UserPreferences.formatDate(dateString, {
         year: 'numeric',
         month: 'long',
         day: 'numeric'
@@ -715,33 +1321,32 @@ function toggleEditButtons(editing) {
 
 /* Funciones que se implementarían completamente en producción */
 
-function loadActivityHistory() { 
-    profileState.activityHistory = [];
-    console.log('📈 Activity history loaded'); 
-}
-function loadAchievements() { 
-    profileState.achievements = [];
-    console.log('🏆 Achievements loaded'); 
-}
 function setupProfileTabs() { console.log('📋 Profile tabs configured'); }
-function setupAvatarUpload() { console.log('📷 Avatar upload configured'); }
-function setupPreferencesAutoSave() { console.log('💾 Preferences auto-save configured'); }
 function showProfileWelcome() { console.log('👋 Welcome to your profile!'); }
 function showCriticalError(message) { alert(message); }
-function renderPreferencesSection() { console.log('⚙️ Preferences section rendered'); }
-function renderActivityHistorySection() { console.log('📈 Activity history rendered'); }
-function renderAchievementsSection() { console.log('🏆 Achievements section rendered'); }
 function renderWeeklyProgressChart() { console.log('📊 Weekly progress chart rendered'); }
-function calculateProductivityStreak(tasks) { return Math.floor(Math.random() * 15) + 1; }
-function calculateOnTimeRate(tasks) { return Math.floor(Math.random() * 30) + 70; }
-function findBestProductivityDay(tasks) { return 'Tuesday'; }
-function calculateMostActiveTime(tasks) { return '10:00 AM - 11:00 AM'; }
 function validateProfileData(data) { return true; }
-function showProfileValidationError() { alert('Please correct the errors in the form.'); }
+function showProfileValidationError() { alert(I18n.t('profile.fixErrors')); }
 function showProfileSaveSuccess() { console.log('✅ Profile saved successfully!'); }
-function showProfileSaveError(message) { alert(`Save Error: ${message}`); }
-function saveUserProfileData(userData) {
-    localStorage.setItem(`crudzaso_profile_${userData.id}`, JSON.stringify(userData));
+function showProfileSaveError(message) { alert(I18n.t('createTask.saveError', { message })); }
+async function saveUserProfileData(userData) {
+    const existingUser = await DataStore.getUser(userData.id);
+    // La contraseña solo cambia desde su propio formulario
+    const { password, ...profileData } = userData;
+    
+    if (!existingUser) {
+        return DataStore.createUser(userData);
+    }
+    
+    const updatedUser = await DataStore.updateUser(userData.id, profileData);
+    await ActivityLog.record('profile.updated', {
+        actor: profileState.currentUser,
+        entityType: 'user',
+        entity: updatedUser,
+        before: existingUser,
+        after: { ...existingUser, ...profileData }
+    });
+    return updatedUser;
 }
 function cancelEditing() {
     exitEditMode();
@@ -34,26 +34,26 @@ const VALIDATION_PATTERNS = {
 /* Mensajes de validación personalizados */
 const VALIDATION_MESSAGES = {
     name: {
-        required: 'Full name is required',
-        tooShort: `Name must be at least ${REGISTER_CONFIG.NAME_MIN_LENGTH} characters`,
-        tooLong: `Name cannot exceed ${REGISTER_CONFIG.NAME_MAX_LENGTH} characters`,
-        invalid: 'Name can only contain letters, spaces, hyphens and apostrophes'
+        get required() { return I18n.t('register.validation.nameRequired'); },
+        get tooShort() { return I18n.t('register.validation.nameTooShort', { min: REGISTER_CONFIG.NAME_MIN_LENGTH }); },
+        get tooLong() { return I18n.t('register.validation.nameTooLong', { max: REGISTER_CONFIG.NAME_MAX_LENGTH }); },
+        get invalid() { return I18n.t('register.validation.nameInvalid'); }
     },
     email: {
-        required: 'Email address is required',
-        invalid: 'Please enter a valid email address',
-        exists: 'This email is already registered. Try signing in instead.'
+        get required() { return I18n.t('register.validation.emailRequired'); },
+        get invalid() { return I18n.t('register.validation.emailInvalid'); },
+        get exists() { return I18n.t('register.validation.emailExists'); }
     },
     password: {
-        required: 'Password is required',
-        tooShort: `Password must be at least ${REGISTER_CONFIG.PASSWORD_MIN_LENGTH} characters`,
-        weak: 'Password should contain uppercase, lowercase, and numbers',
-        strong: 'Great! Your password looks strong 💪'
+        get required() { return I18n.t('register.validation.passwordRequired'); },
+        get tooShort() { return I18n.t('register.validation.passwordTooShort', { min: REGISTER_CONFIG.PASSWORD_MIN_LENGTH }); },
+        get weak() { return I18n.t('register.validation.passwordWeak'); },
+        get strong() { return I18n.t('register.validation.passwordStrong'); }
     },
     confirmPassword: {
-        required: 'Please confirm your password',
-        mismatch: 'Passwords do not match',
-        match: 'Passwords match! ✓'
+        get required() { return I18n.t('register.validation.confirmRequired'); },
+        get mismatch() { return I18n.t('register.validation.confirmMismatch'); },
+        get match() { return I18n.t('register.validation.confirmMatch'); }
     }
 };
 
@@ -167,7 +167,7 @@ async function handleRegisterSubmit(event) {
     // Validar todos los campos
     if (!validateCompleteForm(formData)) {
         console.log('❌ Form validation failed');
-        showErrorMessage('Please correct the highlighted errors before continuing.');
+        showErrorMessage(I18n.t('register.fixErrors'));
         return;
     }
     
@@ -182,14 +182,14 @@ async function handleRegisterSubmit(event) {
         const registrationResult = await registerNewUser(formData);
         
         if (registrationResult.success) {
-            handleSuccessfulRegistration(registrationResult.user);
+            await handleSuccessfulRegistration(registrationResult.user);
         } else {
             handleFailedRegistration(registrationResult.error);
         }
         
     } catch (error) {
         console.error('💥 Registration error:', error);
-        showErrorMessage('An unexpected error occurred. Please try again.');
+        showErrorMessage(I18n.t('common.unexpectedError'));
     } finally {
         showLoadingState(false);
     }
@@ -243,15 +243,25 @@ async function registerNewUser(userData) {
         id: generateUserId(),
         name: userData.name,
         email: userData.email,
-        password: userData.password, // En producción: hashear la contraseña
-        role: 'Student', // Rol por defecto
+        password: await PasswordHasher.hash(userData.password), // Hash PBKDF2, nunca texto plano
+        role: 'student', // Rol por defecto (mismos valores que db.json)
         department: 'General', // Departamento por defecto
-        joinDate: new Date().toISOString().split('T')[0],
-        registrationDate: new Date().toISOString()
+        avatar: null,
+        isActive: true,
+        joinDate: new Date().toISOString(),
+        lastActive: new Date().toISOString(),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        language: UserPreferences.getCurrent().language, // El idioma con el que se registró
+        theme: 'light',
+        notifications: {
+            email: true,
+            push: true,
+            deadline: true,
+            daily: false
+        }
     };
     
-    // Simular guardado en base de datos
-    // En una app real, aquí se haría la llamada al API
+    // Guardar en la colección de usuarios (API o localStorage)
     const savedUser = await saveUserToDatabase(newUser);
     
     if (savedUser) {
@@ -263,7 +273,7 @@ async function registerNewUser(userData) {
     } else {
         return {
             success: false,
-            error: 'Failed to save user data. Please try again.'
+            error: I18n.t('register.saveFailed')
         };
     }
 }
@@ -272,30 +282,20 @@ async function registerNewUser(userData) {
     Verificar si un email ya está registrado
 */
 async function isEmailAlreadyRegistered(email) {
-    // Simular consulta a base de datos
-    await delay(300);
-    
-    // Verificar contra los usuarios demo existentes
-    const existingUsers = JSON.parse(localStorage.getItem('crudzaso_users') || '[]');
-    return existingUsers.some(user => user.email === email);
+    // Consultar la colección de usuarios compartida
+    const existingUser = await DataStore.findUserByEmail(email);
+    return existingUser !== null;
 }
 
 /* 
-    Simular guardado en base de datos
+    Guardar usuario en la colección de usuarios
 */
 async function saveUserToDatabase(user) {
     try {
-        // Obtener usuarios existentes
-        const existingUsers = JSON.parse(localStorage.getItem('crudzaso_users') || '[]');
-        
-        // Agregar el nuevo usuario
-        existingUsers.push(user);
+        const savedUser = await DataStore.createUser(user);
         
-        // Guardar en localStorage
-        localStorage.setItem('crudzaso_users', JSON.stringify(existingUsers));
-        
-        console.log('💾 User saved to local storage');
-        return user;
+        console.log('💾 User saved to data store');
+        return savedUser;
         
     } catch (error) {
         console.error('❌ Error saving user:', error);
@@ -317,16 +317,16 @@ function generateUserId() {
 /* 
     Manejar registro exitoso
 */
-function handleSuccessfulRegistration(user) {
+async function handleSuccessfulRegistration(user) {
     console.log(`🎉 Welcome to CRUDZASO, ${user.name}!`);
     
     // Mostrar mensaje de éxito
-    showSuccessMessage(`Welcome to CRUDZASO, ${user.name}! 🎉 Your account has been created successfully.`);
+    showSuccessMessage(I18n.t('register.success', { name: user.name }));
     
     // Decidir qué hacer después del registro
     if (REGISTER_CONFIG.AUTO_LOGIN_AFTER_REGISTER) {
         // Crear sesión automáticamente
-        createUserSession(user);
+        await createUserSession(user);
         
         // Redirigir al dashboard
         setTimeout(() => {
@@ -435,7 +435,7 @@ async function checkEmailAvailability(event) {
             showFieldError(fieldId, VALIDATION_MESSAGES.email.exists);
         } else {
             clearFieldError(fieldId);
-            showFieldSuccess(fieldId, 'Email is available! ✓');
+            showFieldSuccess(fieldId, I18n.t('register.emailAvailable'));
         }
     } catch (error) {
         console.error('Error checking email availability:', error);
@@ -579,39 +579,39 @@ function calculatePasswordStrength(password) {
     
     // Longitud
     if (password.length >= 8) score += 1;
-    else feedback.push('at least 8 characters');
+    else feedback.push(I18n.t('register.strength.needLength'));
     
     // Minúsculas
     if (/[a-z]/.test(password)) score += 1;
-    else feedback.push('lowercase letters');
+    else feedback.push(I18n.t('register.strength.needLowercase'));
     
     // Mayúsculas
     if (/[A-Z]/.test(password)) score += 1;
-    else feedback.push('uppercase letters');
+    else feedback.push(I18n.t('register.strength.needUppercase'));
     
     // Números
     if (/\d/.test(password)) score += 1;
-    else feedback.push('numbers');
+    else feedback.push(I18n.t('register.strength.needNumbers'));
     
     // Caracteres especiales
     if (/[^A-Za-z0-9]/.test(password)) score += 1;
-    else feedback.push('special characters');
+    else feedback.push(I18n.t('register.strength.needSpecial'));
     
     // Determinar nivel y texto
     let level, text;
     
     if (score < 2) {
         level = 'weak';
-        text = 'Weak - Add ' + feedback.slice(0, 2).join(' and ');
+        text = I18n.t('register.strength.weak', { missing: feedback.slice(0, 2).join(I18n.t('register.strength.and')) });
     } else if (score < 3) {
         level = 'fair';
-        text = 'Fair - Add ' + feedback.slice(0, 1).join(' and ');
+        text = I18n.t('register.strength.fair', { missing: feedback.slice(0, 1).join(I18n.t('register.strength.and')) });
     } else if (score < 4) {
         level = 'good';
-        text = 'Good - Almost there!';
+        text = I18n.t('register.strength.good');
     } else {
         level = 'strong';
-        text = 'Strong password! 🔒';
+        text = I18n.t('register.strength.strong');
     }
     
     return {
@@ -653,10 +653,10 @@ function updatePasswordMatchIndicator(isMatch) {
     if (!matchElement) return;
     
     if (isMatch) {
-        matchElement.innerHTML = '<span class="match-success">✓ Passwords match</span>';
+        matchElement.innerHTML = `<span class="match-success">${I18n.t('register.passwordsMatch')}</span>`;
         matchElement.className = 'password-match success';
     } else {
-        matchElement.innerHTML = '<span class="match-error">✗ Passwords do not match</span>';
+        matchElement.innerHTML = `<span class="match-error">${I18n.t('register.passwordsDontMatch')}</span>`;
         matchElement.className = 'password-match error';
     }
 }
@@ -675,11 +675,11 @@ function showLoadingState(isLoading) {
     
     if (isLoading) {
         submitButton.disabled = true;
-        submitButton.innerHTML = '⏳ Creating Account...';
+        submitButton.textContent = I18n.t('register.submitting');
         submitButton.classList.add('loading');
     } else {
         submitButton.disabled = false;
-        submitButton.innerHTML = 'Register';
+        submitButton.textContent = I18n.t('register.submit');
         submitButton.classList.remove('loading');
     }
 }
@@ -840,20 +840,11 @@ function showErrorMessage(message) { showMessage(message, 'error'); }
 // ==========================================
 
 /* 
-    Crear sesión de usuario (reutilizada)
+    Crear sesión de usuario (emitida por SessionManager, igual que en el login)
 */
-function createUserSession(user) {
-    const sessionData = {
-        userId: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        department: user.department,
-        loginTime: new Date().toISOString(),
-        expires: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-    };
-    
-    localStorage.setItem('crudzaso_user_session', JSON.stringify(sessionData));
+async function createUserSession(user) {
+    const sessionData = await SessionManager.create(user);
+    await UserPreferences.load(user.id);
     console.log('✅ User session created for new user');
     return sessionData;
 }
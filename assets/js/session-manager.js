@@ -0,0 +1,223 @@
+/*
+    ===================================
+    SESSION MANAGER - CRUDZASO v2
+    ===================================
+
+    Sesiones basadas en token sobre la colección sessions del DataStore.
+    El navegador solo guarda el ID y el token de la sesión (más los datos
+    básicos del usuario para pintar la interfaz); la validez real la decide
+    el registro del servidor: activo, no expirado y con el mismo token.
+
+    Revocar un registro (isActive: false) cierra esa sesión en su dispositivo
+    la próxima vez que cargue una página.
+*/
+
+const SessionManager = (function() {
+
+    const SESSION_CONFIG = {
+        SESSION_KEY: 'crudzaso_user_session',
+        REMEMBER_ME_KEY: 'crudzaso_remember_me',
+        SESSION_DURATION: 24 * 60 * 60 * 1000, // 24 horas
+        TOKEN_BYTES: 32
+    };
+
+    /* Token aleatorio criptográficamente seguro (hex) */
+    function generateToken() {
+        const bytes = crypto.getRandomValues(new Uint8Array(SESSION_CONFIG.TOKEN_BYTES));
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function isExpired(record) {
+        return !record.expiresAt || new Date(record.expiresAt) <= new Date();
+    }
+
+    /* Datos de la sesión guardados en este navegador (sin validar) */
+    function getCurrent() {
+        try {
+            return JSON.parse(localStorage.getItem(SESSION_CONFIG.SESSION_KEY));
+        } catch (error) {
+            console.error('❌ Error reading session data:', error);
+            return null;
+        }
+    }
+
+    function clearLocal() {
+        localStorage.removeItem(SESSION_CONFIG.SESSION_KEY);
+        localStorage.removeItem(SESSION_CONFIG.REMEMBER_ME_KEY);
+        console.log('🧹 User session cleared');
+    }
+
+    /*
+        Marcar como inactivas las sesiones expiradas de un usuario
+
+        Mantiene la colección limpia sin depender de un proceso externo.
+    */
+    async function expireStaleSessions(userId) {
+        const sessions = await DataStore.getSessions({ userId, isActive: true });
+        const stale = sessions.filter(isExpired);
+
+        for (const session of stale) {
+            await DataStore.updateSession(session.id, { isActive: false });
+        }
+
+        if (stale.length > 0) {
+            console.log(`⏰ Expired ${stale.length} stale session(s) for ${userId}`);
+        }
+    }
+
+    /* Emitir una sesión nueva para el usuario y guardarla en este navegador */
+    async function create(user) {
+        await expireStaleSessions(user.id);
+
+        const now = new Date();
+        const record = await DataStore.createSession({
+            userId: user.id,
+            token: generateToken(),
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + SESSION_CONFIG.SESSION_DURATION).toISOString(),
+            isActive: true,
+            userAgent: navigator.userAgent
+        });
+
+        const sessionData = {
+            sessionId: record.id,
+            token: record.token,
+            userId: user.id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            department: user.department,
+            loginTime: record.createdAt,
+            expires: record.expiresAt
+        };
+
+        localStorage.setItem(SESSION_CONFIG.SESSION_KEY, JSON.stringify(sessionData));
+
+        console.log('✅ User session created:', sessionData.name);
+        return sessionData;
+    }
+
+    /*
+        Validar la sesión de este navegador contra el servidor
+
+        Devuelve los datos de la sesión o null. Cualquier sesión inválida,
+        expirada o revocada se borra del navegador; las expiradas además
+        se marcan como inactivas en la colección.
+    */
+    async function validate() {
+        const sessionData = getCurrent();
+
+        if (!sessionData || !sessionData.sessionId || !sessionData.token) {
+            if (sessionData) clearLocal(); // Formato anterior sin token
+            return null;
+        }
+
+        try {
+            const record = await DataStore.getSession(sessionData.sessionId);
+
+            if (!record || record.token !== sessionData.token ||
+                String(record.userId) !== String(sessionData.userId) || !record.isActive) {
+                console.log('🚫 Session revoked or invalid');
+                clearLocal();
+                return null;
+            }
+
+            if (isExpired(record)) {
+                console.log('⏰ Session expired');
+                await DataStore.updateSession(record.id, { isActive: false });
+                clearLocal();
+                return null;
+            }
+
+            // El rol se toma del usuario, no de la copia editable del navegador
+            const user = await DataStore.getUser(record.userId);
+            if (!user || user.isActive === false) {
+                console.log('🚫 Session user no longer exists or was deactivated');
+                clearLocal();
+                return null;
+            }
+
+            const refreshed = {
+                ...sessionData,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                department: user.department
+            };
+            localStorage.setItem(SESSION_CONFIG.SESSION_KEY, JSON.stringify(refreshed));
+
+            return refreshed;
+
+        } catch (error) {
+            console.error('❌ Error validating session:', error);
+            return null;
+        }
+    }
+
+    /* Cerrar la sesión de este navegador */
+    async function revokeCurrent() {
+        const sessionData = getCurrent();
+
+        try {
+            if (sessionData && sessionData.sessionId) {
+                await revoke(sessionData.sessionId);
+            }
+        } finally {
+            clearLocal();
+        }
+    }
+
+    /* Revocar una sesión concreta */
+    async function revoke(sessionId) {
+        await DataStore.updateSession(sessionId, {
+            isActive: false,
+            revokedAt: new Date().toISOString()
+        });
+        console.log(`🚪 Session revoked: ${sessionId}`);
+    }
+
+    /*
+        Revocar todas las sesiones activas de un usuario (todos los dispositivos)
+
+        Solo limpia este navegador si la sesión local es de ese usuario,
+        así un admin puede cerrar las sesiones de otro sin salir él mismo.
+    */
+    async function revokeAll(userId) {
+        const sessions = await DataStore.getSessions({ userId, isActive: true });
+
+        for (const session of sessions) {
+            await revoke(session.id);
+        }
+
+        const current = getCurrent();
+        if (current && String(current.userId) === String(userId)) {
+            clearLocal();
+        }
+
+        console.log(`🚪 Revoked ${sessions.length} session(s) for ${userId}`);
+        return sessions.length;
+    }
+
+    /* Sesiones activas y vigentes de un usuario */
+    async function getActiveSessions(userId) {
+        const sessions = await DataStore.getSessions({ userId, isActive: true });
+        return sessions
+            .filter(session => !isExpired(session))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    return {
+        create,
+        validate,
+        getCurrent,
+        clearLocal,
+        revoke,
+        revokeCurrent,
+        revokeAll,
+        getActiveSessions
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionManager;
+}
@@ -0,0 +1,354 @@
+/*
+    ===================================
+    TASK STATISTICS - CRUDZASO v2
+    ===================================
+
+    Cálculo de estadísticas de productividad a partir de una lista de tareas.
+    - calculateTaskStatistics: métricas rápidas (dashboard, reportes exportados)
+    - calculateDetailedStatistics: análisis completo (perfil y consola de admin)
+
+    Compartirlas garantiza que todas las páginas muestren los mismos números.
+*/
+
+const TaskStatistics = (function() {
+
+    /*
+        Calcular estadísticas detalladas de productividad
+    */
+    function calculateDetailedStatistics(tasks) {
+        console.log('🧮 Calculating detailed productivity statistics...');
+
+        const now = new Date();
+        const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+        const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        // Estadísticas generales
+        const totalTasks = tasks.length;
+        const completedTasks = tasks.filter(task => task.status === 'Completed').length;
+        const pendingTasks = tasks.filter(task => task.status === 'Pending').length;
+        const inProgressTasks = tasks.filter(task => task.status === 'In Progress').length;
+
+        // Estadísticas de tiempo
+        const totalEstimatedHours = tasks.reduce((sum, task) => sum + (task.estimatedHours || 0), 0);
+        const totalActualHours = tasks.reduce((sum, task) => sum + (task.actualHours || 0), 0);
+
+        // Estadísticas por período
+        const tasksLast30Days = tasks.filter(task => new Date(task.createdAt) > thirtyDaysAgo);
+        const tasksLast7Days = tasks.filter(task => new Date(task.createdAt) > sevenDaysAgo);
+        const completedLast30Days = countCompletedSince(tasks, 30, now);
+        const completedLast7Days = countCompletedSince(tasks, 7, now);
+
+        // Estadísticas por categoría
+        const categoryStats = calculateCategoryStatistics(tasks);
+
+        // Estadísticas por prioridad
+        const priorityStats = calculatePriorityStatistics(tasks);
+
+        // Racha de productividad
+        const productivityStreak = calculateProductivityStreak(tasks);
+
+        // Tareas vencidas
+        const overdueTasks = tasks.filter(task => DueDates.isOverdue(task, now)).length;
+
+        return {
+            // Generales
+            totalTasks,
+            completedTasks,
+            pendingTasks,
+            inProgressTasks,
+            overdueTasks,
+
+            // Porcentajes
+            completionRate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
+            onTimeRate: calculateOnTimeRate(tasks),
+
+            // Tiempo
+            totalEstimatedHours,
+            totalActualHours,
+            averageTaskHours: totalTasks > 0 ? Math.round(totalEstimatedHours / totalTasks * 10) / 10 : 0,
+
+            // Períodos
+            tasksLast30Days: tasksLast30Days.length,
+            tasksLast7Days: tasksLast7Days.length,
+            completedLast30Days,
+            completedLast7Days,
+
+            // Promedios por período
+            averageTasksPerWeek: Math.round(tasksLast30Days.length / 4.3 * 10) / 10,
+            averageCompletionPerWeek: Math.round(completedLast30Days / 4.3 * 10) / 10,
+
+            // Por categorías y prioridades
+            categoryStats,
+            priorityStats,
+
+            // Productividad
+            productivityStreak,
+            bestDay: findBestProductivityDay(tasks),
+            mostActiveTimeOfDay: calculateMostActiveTime(tasks)
+        };
+    }
+
+    /*
+        Calcular estadísticas por categoría
+    */
+    function calculateCategoryStatistics(tasks) {
+        const categoryData = {};
+
+        tasks.forEach(task => {
+            if (!categoryData[task.category]) {
+                categoryData[task.category] = {
+                    total: 0,
+                    completed: 0,
+                    pending: 0,
+                    inProgress: 0,
+                    totalHours: 0
+                };
+            }
+
+            categoryData[task.category].total++;
+            categoryData[task.category][task.status.toLowerCase().replace(' ', '')]++;
+            categoryData[task.category].totalHours += task.estimatedHours || 0;
+        });
+
+        // Calcular porcentajes de completitud por categoría
+        Object.keys(categoryData).forEach(category => {
+            const data = categoryData[category];
+            data.completionRate = data.total > 0 ? Math.round((data.completed / data.total) * 100) : 0;
+        });
+
+        return categoryData;
+    }
+
+    /*
+        Calcular estadísticas por prioridad
+    */
+    function calculatePriorityStatistics(tasks) {
+        const priorityData = {
+            'Low': { total: 0, completed: 0 },
+            'Medium': { total: 0, completed: 0 },
+            'High': { total: 0, completed: 0 }
+        };
+
+        tasks.forEach(task => {
+            const priority = task.priority || 'Medium';
+            if (priorityData[priority]) {
+                priorityData[priority].total++;
+                if (task.status === 'Completed') {
+                    priorityData[priority].completed++;
+                }
+            }
+        });
+
+        // Calcular porcentajes
+        Object.keys(priorityData).forEach(priority => {
+            const data = priorityData[priority];
+            data.completionRate = data.total > 0 ? Math.round((data.completed / data.total) * 100) : 0;
+        });
+
+        return priorityData;
+    }
+
+    /*
+        Porcentaje de avance de una tarea según su checklist de subtareas
+
+        Si todas las subtareas tienen horas estimadas, el avance se pondera
+        por horas; si no, cada subtarea cuenta igual. Sin checklist, una
+        tarea completada está al 100% y cualquier otra al 0%.
+    */
+    function calculateTaskProgress(task) {
+        const subtasks = task.subtasks || [];
+
+        if (subtasks.length === 0) {
+            return task.status === 'Completed' ? 100 : 0;
+        }
+
+        const weighted = subtasks.every(subtask => Number(subtask.estimatedHours) > 0);
+        const weightOf = subtask => (weighted ? Number(subtask.estimatedHours) : 1);
+
+        const total = subtasks.reduce((sum, subtask) => sum + weightOf(subtask), 0);
+        const done = subtasks
+            .filter(subtask => subtask.completed)
+            .reduce((sum, subtask) => sum + weightOf(subtask), 0);
+
+        return Math.round((done / total) * 100);
+    }
+
+    /*
+        Calcular métricas estadísticas de las tareas
+
+        Estas métricas dan al usuario una vista rápida de su rendimiento.
+    */
+    function calculateTaskStatistics(tasks) {
+        const stats = {
+            total: tasks.length,
+            completed: tasks.filter(t => t.status === 'Completed').length,
+            pending: tasks.filter(t => t.status === 'Pending').length,
+            inProgress: tasks.filter(t => t.status === 'In Progress').length,
+            highPriority: tasks.filter(t => t.priority === 'High' && t.status !== 'Completed').length,
+            overdue: 0, // Se calculará abajo
+            dueToday: 0, // Se calculará abajo
+            completedThisWeek: 0, // Se calculará abajo
+            averageCompletionTime: 0 // Se calculará abajo
+        };
+
+        // Calcular tareas vencidas y las que vencen hoy (en la zona horaria del usuario)
+        const today = new Date();
+        stats.overdue = tasks.filter(task => DueDates.isOverdue(task, today)).length;
+        stats.dueToday = tasks.filter(task =>
+            task.status !== 'Completed' &&
+            DueDates.isDueToday(task.dueDate, today) &&
+            !DueDates.isOverdue(task, today)
+        ).length;
+
+        // Calcular tareas completadas esta semana
+        const weekAgo = new Date();
+        weekAgo.setDate(weekAgo.getDate() - 7);
+
+        stats.completedThisWeek = countCompletedSince(tasks, 7);
+
+        // Calcular progreso general (porcentaje)
+        stats.overallProgress = stats.total > 0 ? 
+            Math.round((stats.completed / stats.total) * 100) : 0;
+
+        // Calcular tendencia semanal
+        const lastWeekTasks = tasks.filter(task => {
+            const createdDate = new Date(task.createdAt);
+            const twoWeeksAgo = new Date();
+            twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+            return createdDate >= twoWeeksAgo && createdDate < weekAgo;
+        }).length;
+
+        stats.weeklyTrend = lastWeekTasks > 0 ? 
+            Math.round(((stats.completedThisWeek - lastWeekTasks) / lastWeekTasks) * 100) : 0;
+
+        return stats;
+    }
+
+    /*
+        Análisis de productividad a partir de completedAt
+
+        completedAt se registra cada vez que una tarea pasa a Completed
+        (y se borra al reabrirla); las tareas sin ese dato no cuentan.
+    */
+
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /* Fecha en que se completó la tarea (null si no está completada o no tiene completedAt) */
+    function getCompletionDate(task) {
+        if (task.status !== 'Completed' || !task.completedAt) return null;
+
+        const date = new Date(task.completedAt);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    function getCompletionDates(tasks) {
+        return tasks.map(getCompletionDate).filter(Boolean);
+    }
+
+    /* Día de la semana (0 = domingo) de un día YYYY-MM-DD del calendario */
+    function getWeekday(dayKey) {
+        return new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+    }
+
+    /* Hora (0-23) de una fecha en la zona horaria del usuario */
+    function getLocalHour(date) {
+        return Number(new Intl.DateTimeFormat('en-US', {
+            timeZone: UserPreferences.getTimezone(),
+            hourCycle: 'h23',
+            hour: '2-digit'
+        }).format(date));
+    }
+
+    /* Instante en que vence la fecha límite, en la zona horaria del usuario */
+    function getDueDeadline(dueDate) {
+        return DueDates.getDeadline(dueDate);
+    }
+
+    /*
+        Racha: días consecutivos con al menos una tarea completada
+
+        La racha sigue viva si hoy todavía no se completó nada pero ayer sí.
+        Los días son los del calendario en la zona horaria del usuario.
+    */
+    function calculateProductivityStreak(tasks, today = new Date()) {
+        const activeDays = new Set(getCompletionDates(tasks).map(date => DueDates.getDayKey(date)));
+
+        let day = DueDates.getDayKey(today);
+        if (!activeDays.has(day)) {
+            day = DueDates.addDays(day, -1);
+        }
+
+        let streak = 0;
+        while (activeDays.has(day)) {
+            streak++;
+            day = DueDates.addDays(day, -1);
+        }
+
+        return streak;
+    }
+
+    /*
+        Porcentaje de tareas completadas antes de terminar el día de su fecha límite
+
+        Solo cuentan las tareas completadas con fecha límite y completedAt;
+        devuelve null si no hay ninguna.
+    */
+    function calculateOnTimeRate(tasks) {
+        const measured = tasks
+            .map(task => ({ completedAt: getCompletionDate(task), deadline: task.dueDate ? getDueDeadline(task.dueDate) : null }))
+            .filter(({ completedAt, deadline }) => completedAt && deadline);
+
+        if (measured.length === 0) return null;
+
+        const onTime = measured.filter(({ completedAt, deadline }) => completedAt <= deadline).length;
+        return Math.round((onTime / measured.length) * 100);
+    }
+
+    /* Día de la semana con más tareas completadas (null sin datos) */
+    function findBestProductivityDay(tasks) {
+        const counts = new Array(7).fill(0);
+        getCompletionDates(tasks).forEach(date => counts[getWeekday(DueDates.getDayKey(date))]++);
+
+        const max = Math.max(...counts);
+        return max > 0 ? WEEKDAYS[counts.indexOf(max)] : null;
+    }
+
+    /* Franja de una hora con más tareas completadas, p. ej. "10:00 AM - 11:00 AM" o "10:00 - 11:00" */
+    function calculateMostActiveTime(tasks) {
+        const counts = new Array(24).fill(0);
+        getCompletionDates(tasks).forEach(date => counts[getLocalHour(date)]++);
+
+        const max = Math.max(...counts);
+        if (max === 0) return null;
+
+        const hour = counts.indexOf(max);
+        return `${formatHour(hour)} - ${formatHour((hour + 1) % 24)}`;
+    }
+
+    /* Hora en punto en el formato del idioma del usuario */
+    function formatHour(hour) {
+        return DueDates.formatTime(`${String(hour).padStart(2, '0')}:00`);
+    }
+
+    /* Tareas completadas en los últimos N días según completedAt */
+    function countCompletedSince(tasks, days, now = new Date()) {
+        const since = new Date(now.getTime() - days * DAY_MS);
+        return getCompletionDates(tasks).filter(date => date >= since).length;
+    }
+
+    return {
+        getCompletionDate,
+        getDueDeadline,
+        calculateProductivityStreak,
+        calculateTaskProgress,
+        calculateTaskStatistics,
+        calculateDetailedStatistics,
+        calculateCategoryStatistics,
+        calculatePriorityStatistics
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskStatistics;
+}
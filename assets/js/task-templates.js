@@ -0,0 +1,190 @@
+/*
+    ===================================
+    TASK TEMPLATES - CRUDZASO v2
+    ===================================
+
+    Plantillas de tareas: las predefinidas (ensayo, laboratorio,
+    presentación, proyecto) más las que cada usuario guarda desde
+    sus propias tareas en la colección templates del DataStore.
+
+    Una plantilla puede incluir una fecha límite relativa (dueInDays,
+    "+7 days") y una lista de subtareas (checklist) como títulos.
+*/
+
+const TaskTemplates = (function() {
+
+    /* Plantillas predefinidas para tipos comunes de tareas */
+    const BUILT_IN = [
+        {
+            id: 'essay',
+            icon: '✍️',
+            name: 'Essay',
+            title: 'Academic Essay Assignment',
+            description: 'Write a comprehensive essay analyzing the topic with proper citations and bibliography.',
+            estimatedHours: 8,
+            category: 'Literature',
+            priority: 'Medium',
+            difficulty: 'Medium',
+            tags: ['writing', 'research', 'analysis'],
+            dueInDays: 14,
+            subtasks: ['Research sources', 'Write outline', 'Write first draft', 'Add citations and bibliography', 'Proofread']
+        },
+        {
+            id: 'lab',
+            icon: '🔬',
+            name: 'Lab Report',
+            title: 'Laboratory Experiment Report',
+            description: 'Conduct experiment, collect data, analyze results, and prepare detailed lab report.',
+            estimatedHours: 6,
+            category: 'Physics',
+            priority: 'High',
+            difficulty: 'Medium',
+            tags: ['lab', 'experiment', 'report'],
+            dueInDays: 7,
+            subtasks: ['Run experiment', 'Collect data', 'Analyze results', 'Write report']
+        },
+        {
+            id: 'presentation',
+            icon: '🎤',
+            name: 'Presentation',
+            title: 'Academic Presentation',
+            description: 'Prepare and deliver a presentation on assigned topic with visual aids.',
+            estimatedHours: 5,
+            category: 'History',
+            priority: 'Medium',
+            difficulty: 'Easy',
+            tags: ['presentation', 'research', 'public-speaking'],
+            dueInDays: 10,
+            subtasks: ['Research topic', 'Create slides', 'Rehearse']
+        },
+        {
+            id: 'project',
+            icon: '🏗️',
+            name: 'Final Project',
+            title: 'Course Final Project',
+            description: 'Complete comprehensive final project incorporating all course concepts and requirements.',
+            estimatedHours: 20,
+            category: 'Computer Science',
+            priority: 'High',
+            difficulty: 'Hard',
+            tags: ['project', 'final', 'comprehensive'],
+            dueInDays: 30,
+            subtasks: ['Define scope', 'Build first version', 'Test and fix', 'Write documentation', 'Prepare demo']
+        }
+    ];
+
+    /* Campos de la tarea que se copian a la plantilla */
+    const TEMPLATE_FIELDS = ['title', 'description', 'category', 'priority', 'difficulty', 'estimatedHours', 'tags'];
+
+    /*
+        Plantilla predefinida en el idioma del usuario
+
+        BUILT_IN guarda los textos en inglés; los traducidos salen de
+        los catálogos (templates.<id>.name, .title, .description, .subtaskN).
+    */
+    function localizeBuiltIn(template) {
+        return {
+            ...template,
+            name: I18n.t(`templates.${template.id}.name`),
+            title: I18n.t(`templates.${template.id}.title`),
+            description: I18n.t(`templates.${template.id}.description`),
+            subtasks: template.subtasks.map((subtask, index) => I18n.t(`templates.${template.id}.subtask${index + 1}`)),
+            isBuiltIn: true
+        };
+    }
+
+    /* Predefinidas + las del usuario (las del usuario primero, más recientes arriba) */
+    async function getAll(userId) {
+        const own = await DataStore.getTemplates({ userId });
+        own.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        return [...own, ...BUILT_IN.map(localizeBuiltIn)];
+    }
+
+    async function get(templateId, userId) {
+        const templates = await getAll(userId);
+        return templates.find(template => String(template.id) === String(templateId)) || null;
+    }
+
+    /*
+        Guardar una tarea existente como plantilla del usuario
+
+        Los títulos de sus subtareas pasan a ser el checklist.
+    */
+    async function createFromTask(task, userId, { name, dueInDays }) {
+        const template = {
+            userId,
+            name: name || task.title,
+            icon: '🧩',
+            dueInDays: dueInDays === undefined ? null : dueInDays,
+            subtasks: (task.subtasks || []).map(subtask => subtask.title).filter(Boolean),
+            createdAt: new Date().toISOString()
+        };
+
+        TEMPLATE_FIELDS.forEach(field => {
+            if (task[field] !== undefined) template[field] = task[field];
+        });
+
+        const created = await DataStore.createTemplate(template);
+        console.log(`🧩 Template saved: ${created.name}`);
+        return created;
+    }
+
+    async function remove(templateId) {
+        await DataStore.deleteTemplate(templateId);
+        console.log(`🗑️ Template deleted: ${templateId}`);
+    }
+
+    /*
+        Interpretar una fecha relativa escrita por el usuario
+
+        Acepta "+7 days", "7", "2 weeks", "+1 week". Vacío = sin fecha límite (null).
+        Devuelve undefined si el texto no se entiende.
+    */
+    function parseRelativeDays(text) {
+        const value = String(text || '').trim().toLowerCase();
+        if (!value) return null;
+
+        const match = value.match(/^\+?\s*(\d+)\s*(d|days?|w|weeks?)?$/);
+        if (!match) return undefined;
+
+        const amount = parseInt(match[1], 10);
+        return match[2] && match[2].startsWith('w') ? amount * 7 : amount;
+    }
+
+    /* Días entre la creación y la fecha límite de una tarea (sugerencia al guardar) */
+    function getDueOffset(task) {
+        const due = DueDates.parse(task.dueDate);
+        if (!due || !task.createdAt) return null;
+
+        return Math.max(0, DueDates.diffDays(DueDates.getDayKey(task.createdAt), due.date));
+    }
+
+    /* Fecha límite concreta (YYYY-MM-DD) a partir de hoy, en la zona horaria del usuario */
+    function resolveDueDate(template, fromDate = new Date()) {
+        if (template.dueInDays === null || template.dueInDays === undefined) return '';
+
+        return DueDates.addDays(DueDates.getDayKey(fromDate), Number(template.dueInDays));
+    }
+
+    /* Texto de la fecha relativa ("+7 days") */
+    function describeDueOffset(template) {
+        if (template.dueInDays === null || template.dueInDays === undefined) return I18n.t('task.noDueDate');
+        return I18n.plural('templates.dueIn', Number(template.dueInDays));
+    }
+
+    return {
+        BUILT_IN,
+        getAll,
+        get,
+        createFromTask,
+        remove,
+        parseRelativeDays,
+        getDueOffset,
+        resolveDueDate,
+        describeDueOffset
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskTemplates;
+}
@@ -0,0 +1,124 @@
+/*
+    ===================================
+    TASK VALIDATION - CRUDZASO v2
+    ===================================
+
+    Reglas de validación de tareas compartidas.
+    Las usan el formulario de create-task.js (validateField) y el
+    importador de tasks.js, así una tarea importada cumple exactamente
+    las mismas reglas que una creada a mano.
+*/
+
+const TaskValidation = (function() {
+
+    const RULES = {
+        MIN_TITLE_LENGTH: 3,
+        MAX_TITLE_LENGTH: 100,
+        MIN_DESCRIPTION_LENGTH: 10,
+        MAX_DESCRIPTION_LENGTH: 1000,
+        MIN_ESTIMATED_HOURS: 1,
+        MAX_ESTIMATED_HOURS: 100,
+        PRIORITIES: ['Low', 'Medium', 'High'],
+        STATUSES: ['Pending', 'In Progress', 'Completed'],
+        DIFFICULTIES: ['Easy', 'Medium', 'Hard']
+    };
+
+    /* Nombres de campo del formulario → campo de la tarea */
+    const FIELD_ALIASES = {
+        'task-title': 'title',
+        'task-description': 'description',
+        'task-due-date': 'dueDate',
+        'task-due-time': 'dueTime',
+        'task-category': 'category',
+        'task-estimated-hours': 'estimatedHours',
+        'task-priority': 'priority',
+        'task-status': 'status',
+        'task-difficulty': 'difficulty'
+    };
+
+    function normalizeFieldName(fieldName) {
+        return FIELD_ALIASES[fieldName] || fieldName;
+    }
+
+    /*
+        Validar un valor de un campo
+
+        Devuelve el mensaje de error o null si es válido.
+        Los campos sin reglas siempre son válidos.
+    */
+    function validateValue(fieldName, rawValue) {
+        const value = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+
+        switch (normalizeFieldName(fieldName)) {
+            case 'title':
+                if (!value) return I18n.t('validation.title.required');
+                if (value.length < RULES.MIN_TITLE_LENGTH) return I18n.t('validation.title.tooShort', { min: RULES.MIN_TITLE_LENGTH });
+                if (value.length > RULES.MAX_TITLE_LENGTH) return I18n.t('validation.title.tooLong', { max: RULES.MAX_TITLE_LENGTH });
+                return null;
+
+            case 'description':
+                if (!value) return I18n.t('validation.description.required');
+                if (value.length < RULES.MIN_DESCRIPTION_LENGTH) return I18n.t('validation.description.tooShort', { min: RULES.MIN_DESCRIPTION_LENGTH });
+                if (value.length > RULES.MAX_DESCRIPTION_LENGTH) return I18n.t('validation.description.tooLong', { max: RULES.MAX_DESCRIPTION_LENGTH });
+                return null;
+
+            case 'dueDate': {
+                if (!value) return null;
+
+                // Día con hora opcional, en la zona horaria del usuario
+                const deadline = DueDates.getDeadline(value);
+                if (!deadline) return I18n.t('validation.dueDate.invalid');
+
+                return deadline < new Date() ? I18n.t('validation.dueDate.past') : null;
+            }
+
+            case 'category':
+                return value ? null : I18n.t('validation.category.required');
+
+            case 'estimatedHours':
+                if (value && (isNaN(value) || Number(value) < RULES.MIN_ESTIMATED_HOURS || Number(value) > RULES.MAX_ESTIMATED_HOURS)) {
+                    return I18n.t('validation.estimatedHours.range', { min: RULES.MIN_ESTIMATED_HOURS, max: RULES.MAX_ESTIMATED_HOURS });
+                }
+                return null;
+
+            case 'priority':
+                return !value || RULES.PRIORITIES.includes(value) ? null : I18n.t('validation.priority.invalid', { values: RULES.PRIORITIES.map(value => I18n.label('priority', value)).join(', ') });
+
+            case 'status':
+                return !value || RULES.STATUSES.includes(value) ? null : I18n.t('validation.status.invalid', { values: RULES.STATUSES.map(value => I18n.label('status', value)).join(', ') });
+
+            case 'difficulty':
+                return !value || RULES.DIFFICULTIES.includes(value) ? null : I18n.t('validation.difficulty.invalid', { values: RULES.DIFFICULTIES.map(value => I18n.label('difficulty', value)).join(', ') });
+
+            default:
+                return null;
+        }
+    }
+
+    /*
+        Validar una tarea completa
+
+        Devuelve un objeto { campo: mensaje } solo con los campos inválidos.
+    */
+    function validateTask(task) {
+        const errors = {};
+
+        ['title', 'description', 'category', 'dueDate', 'estimatedHours', 'priority', 'status', 'difficulty']
+            .forEach(field => {
+                const error = validateValue(field, task[field]);
+                if (error) errors[field] = error;
+            });
+
+        return errors;
+    }
+
+    return {
+        RULES,
+        validateValue,
+        validateTask
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TaskValidation;
+}
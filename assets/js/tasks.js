@@ -19,7 +19,7 @@ let tasksState = {
     currentPage: 1,
     tasksPerPage: 10,
     totalPages: 0,
-    currentSort: { field: 'priority', direction: 'desc' },
+    currentSort: [{ field: 'priority', direction: 'desc' }], // La primera clave es la principal
     activeFilters: {
         search: '',
         category: 'all',
@@ -28,16 +28,53 @@ let tasksState = {
         dateRange: null
     },
     bulkActionMode: false,
+    importRows: [], // Vista previa de la importación en curso
     lastUpdate: null
 };
 
 /* Configuración avanzada */
 const TASKS_CONFIG = {
     ITEMS_PER_PAGE_OPTIONS: [5, 10, 25, 50],
+    DEFAULT_ITEMS_PER_PAGE: 10,
+    PAGE_QUERY_PARAM: 'page',
+    PAGE_SIZE_QUERY_PARAM: 'perPage',
+    MAX_PAGE_BUTTONS: 5, // Números de página visibles alrededor de la actual
     SEARCH_DEBOUNCE_DELAY: 300,
     AUTO_SAVE_INTERVAL: 30000, // 30 segundos
     BULK_ACTION_LIMIT: 100,
+    BULK_SUMMARY_PREVIEW: 5, // Títulos listados en la confirmación
+    PRIORITIES: ['Low', 'Medium', 'High'],
     EXPORT_FORMATS: ['JSON', 'CSV', 'PDF'],
+    EXPORT_FIELDS: [
+        'id', 'title', 'description', 'category', 'priority', 'status', 'dueDate',
+        'createdAt', 'updatedAt', 'completedAt', 'assignee', 'tags', 'estimatedHours', 'actualHours', 'difficulty'
+    ],
+    EXPORT_FILE_PREFIX: 'crudzaso-tasks',
+    IMPORT_MAX_ROWS: 500,
+    IMPORT_COLUMN_ALIASES: { // Encabezado normalizado (minúsculas, sin espacios/guiones) → campo
+        title: 'title', name: 'title', task: 'title',
+        description: 'description', details: 'description',
+        category: 'category', subject: 'category',
+        priority: 'priority',
+        status: 'status', state: 'status',
+        duedate: 'dueDate', due: 'dueDate', deadline: 'dueDate',
+        completedat: 'completedAt', finishedat: 'completedAt',
+        estimatedhours: 'estimatedHours', hours: 'estimatedHours', estimate: 'estimatedHours',
+        tags: 'tags', labels: 'tags',
+        difficulty: 'difficulty'
+    },
+    SORT_STORAGE_PREFIX: 'crudzaso_task_sort_', // + ID de usuario
+    SORT_FIELDS: { // Texto de cada encabezado: clave tasks.sort.<campo> de I18n
+        priority: { type: 'rank', order: ['Low', 'Medium', 'High'], defaultDirection: 'desc' },
+        status: { type: 'rank', order: ['Pending', 'In Progress', 'Completed'], defaultDirection: 'asc' },
+        dueDate: { type: 'date', defaultDirection: 'asc' },
+        createdAt: { type: 'date', defaultDirection: 'desc' },
+        updatedAt: { type: 'date', defaultDirection: 'desc' },
+        title: { type: 'text', defaultDirection: 'asc' },
+        category: { type: 'text', defaultDirection: 'asc' },
+        estimatedHours: { type: 'number', defaultDirection: 'desc' },
+        difficulty: { type: 'rank', order: ['Easy', 'Medium', 'Hard'], defaultDirection: 'desc' }
+    },
     CATEGORIES: [
         { id: 'mathematics', name: 'Mathematics', icon: '📐', color: '#6366f1' },
         { id: 'physics', name: 'Physics', icon: '⚛️', color: '#10b981' },
@@ -85,19 +122,24 @@ document.addEventListener('DOMContentLoaded', async function() {
         // 5. Configurar funcionalidades de búsqueda y filtrado
         setupSearchAndFilters();
         
-        // 6. Configurar sistema de paginación
+        // 6. Configurar ordenamiento (preferencia guardada del usuario)
+        setupSorting();
+        
+        // 7. Configurar sistema de paginación
         setupPagination();
         
-        // 7. Configurar acciones en lote
+        // 8. Configurar acciones en lote, exportación e importación
         setupBulkActions();
+        setupExport();
+        setupImport();
         
-        // 8. Configurar auto-guardado
+        // 9. Configurar auto-guardado
         setupAutoSave();
         
-        // 9. Renderizar contenido inicial
+        // 10. Renderizar contenido inicial
         await renderInitialContent();
         
-        // 10. Configurar atajos de teclado avanzados
+        // 11. Configurar atajos de teclado avanzados
         setupKeyboardShortcuts();
         
         console.log('✅ Tasks management system fully loaded!');
@@ -107,7 +149,7 @@ document.addEventListener('DOMContentLoaded', async function() {
         
     } catch (error) {
         console.error('💥 Critical error loading tasks page:', error);
-        showCriticalError('Failed to load tasks management system. Please refresh the page or contact support.');
+        showCriticalError(I18n.t('tasks.loadFailed'));
     }
 });
 
@@ -122,19 +164,19 @@ async function loadAllTasks() {
     console.log('📊 Loading comprehensive tasks data...');
     
     try {
-        // Cargar tareas desde localStorage (en producción sería una API)
-        let rawTasks = JSON.parse(localStorage.getItem('crudzaso_tasks') || '[]');
+        // Cargar tareas desde la capa de datos compartida (API o localStorage)
+        let rawTasks = await DataStore.getTasks();
         
         // Si no hay tareas, crear conjunto de datos de demostración más extenso
         if (rawTasks.length === 0) {
             rawTasks = createExtensiveSampleTasks();
-            localStorage.setItem('crudzaso_tasks', JSON.stringify(rawTasks));
+            for (const task of rawTasks) {
+                await DataStore.createTask(task);
+            }
         }
         
-        // Filtrar tareas del usuario actual
-        tasksState.allTasks = rawTasks.filter(task => 
-            !task.userId || task.userId === currentUser.id
-        );
+        // Students ven solo sus tareas; los admins ven las de todos
+        tasksState.allTasks = Permissions.filterVisibleTasks(currentUser, rawTasks);
         
         // Inicializar tareas filtradas
         tasksState.filteredTasks = [...tasksState.allTasks];
@@ -330,6 +372,9 @@ function renderTasksList() {
     // Limpiar contenedor
     tasksContainer.innerHTML = '';
     
+    // Mantener sincronizada la barra de selección con el filtro actual
+    updateBulkActionsBar();
+    
     if (tasksState.filteredTasks.length === 0) {
         renderEmptyTasksState(tasksContainer);
         return;
@@ -395,12 +440,12 @@ function createAdvancedTaskCard(task, index) {
         <div class="task-metadata">
             <div class="task-category ${task.category.toLowerCase().replace(' ', '-')}">
                 <span class="category-icon">${getCategoryIcon(task.category)}</span>
-                <span class="category-name">${task.category}</span>
+                <span class="category-name">${escapeHtml(I18n.label('category', task.category))}</span>
             </div>
             
             <div class="task-priority-status">
-                <span class="priority-badge ${task.priority.toLowerCase()}">${task.priority}</span>
-                <span class="status-badge ${task.status.toLowerCase().replace(' ', '-')}">${task.status}</span>
+                <span class="priority-badge ${task.priority.toLowerCase()}">${I18n.label('priority', task.priority)}</span>
+                <span class="status-badge ${task.status.toLowerCase().replace(' ', '-')}">${I18n.label('status', task.status)}</span>
             </div>
             
             <div class="task-timing">
@@ -408,13 +453,13 @@ function createAdvancedTaskCard(task, index) {
                     📅 ${formatDueDate(task.dueDate)}
                     ${daysRemaining !== null ? `<span class="days-remaining">(${daysRemaining})</span>` : ''}
                 </div>
-                <div class="estimated-time">⏱️ ${task.estimatedHours}h estimated</div>
+                <div class="estimated-time">⏱️ ${I18n.t('tasks.card.estimated', { hours: I18n.formatNumber(task.estimatedHours) })}</div>
             </div>
             
             <div class="task-assignee">
                 <div class="assignee-info">
                     <div class="assignee-avatar">${getAssigneeInitials(task.assignee)}</div>
-                    <span class="assignee-name">${escapeHtml(task.assignee || 'Unassigned')}</span>
+                    <span class="assignee-name">${escapeHtml(task.assignee || I18n.t('task.unassigned'))}</span>
                 </div>
             </div>
         </div>
@@ -427,28 +472,61 @@ function createAdvancedTaskCard(task, index) {
         
         ${task.tags && task.tags.length > 0 ? `
             <div class="task-tags">
-                ${task.tags.map(tag => `<span class="task-tag">#${tag}</span>`).join('')}
+                ${task.tags.map(tag => `<span class="task-tag">#${escapeHtml(tag)}</span>`).join('')}
             </div>
         ` : ''}
         
         <div class="task-progress-info">
             <div class="progress-stats">
-                <span>Created: ${formatDate(task.createdAt)}</span>
-                <span>Updated: ${formatDate(task.updatedAt)}</span>
-                ${task.actualHours ? `<span>Time spent: ${task.actualHours}h</span>` : ''}
+                <span>${I18n.t('tasks.card.created', { date: formatDate(task.createdAt) })}</span>
+                <span>${I18n.t('tasks.card.updated', { date: formatDate(task.updatedAt) })}</span>
+                ${task.actualHours ? `<span>${I18n.t('tasks.card.timeSpent', { hours: I18n.formatNumber(task.actualHours) })}</span>` : ''}
             </div>
             
-            ${task.status === 'In Progress' ? `
-                <div class="progress-bar">
+            ${task.status === 'In Progress' || hasSubtasks(task) ? `
+                <div class="progress-bar" title="${I18n.t('tasks.card.progress', { progress: I18n.formatPercent(calculateTaskProgress(task)) })}">
                     <div class="progress-fill" style="width: ${calculateTaskProgress(task)}%"></div>
                 </div>
             ` : ''}
         </div>
+        
+        ${hasSubtasks(task) ? createSubtaskChecklist(task) : ''}
     `;
     
     return card;
 }
 
+/* 
+    Checklist de subtareas de la tarjeta
+    
+    Plegable para no alargar la lista; marcar una subtarea la
+    guarda al momento y actualiza la barra de progreso.
+*/
+function createSubtaskChecklist(task) {
+    const completed = task.subtasks.filter(subtask => subtask.completed).length;
+    const canUpdate = Permissions.canAccessTask(currentUser, task, 'complete');
+    
+    return `
+        <details class="subtask-checklist">
+            <summary>☑️ ${I18n.t('tasks.card.checklist', { completed, total: task.subtasks.length, progress: I18n.formatPercent(calculateTaskProgress(task)) })}</summary>
+            <ul class="subtask-list">
+                ${task.subtasks.map(subtask => `
+                    <li class="subtask-item ${subtask.completed ? 'completed' : ''}">
+                        <label>
+                            <input type="checkbox" 
+                                   ${subtask.completed ? 'checked' : ''}
+                                   ${canUpdate ? '' : 'disabled'}
+                                   onchange="toggleSubtask('${task.id}', '${escapeHtml(subtask.id)}')">
+                            <span>${escapeHtml(subtask.title)}</span>
+                        </label>
+                        ${subtask.estimatedHours ? `<span class="subtask-hours">${escapeHtml(subtask.estimatedHours)}h</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        </details>
+    `;
+}
+
 /* 
     Crear botones de acción rápida contextualmente apropiados
 */
@@ -459,7 +537,7 @@ function createQuickActionButtons(task) {
     buttons.push(`
         <button class="quick-action-btn edit-btn" 
                 onclick="editTask('${task.id}')" 
-                title="Edit task">
+                title="${I18n.t('dashboard.action.edit')}">
             ✏️
         </button>
     `);
@@ -469,7 +547,7 @@ function createQuickActionButtons(task) {
         buttons.push(`
             <button class="quick-action-btn complete-btn" 
                     onclick="markTaskCompleted('${task.id}')" 
-                    title="Mark as completed">
+                    title="${I18n.t('tasks.action.complete')}">
                 ✅
             </button>
         `);
@@ -477,7 +555,7 @@ function createQuickActionButtons(task) {
         buttons.push(`
             <button class="quick-action-btn reopen-btn" 
                     onclick="reopenTask('${task.id}')" 
-                    title="Reopen task">
+                    title="${I18n.t('tasks.action.reopen')}">
                 🔄
             </button>
         `);
@@ -487,16 +565,34 @@ function createQuickActionButtons(task) {
     buttons.push(`
         <button class="quick-action-btn duplicate-btn" 
                 onclick="duplicateTask('${task.id}')" 
-                title="Duplicate task">
+                title="${I18n.t('tasks.action.duplicate')}">
             📋
         </button>
     `);
     
+    // Botón de historial de cambios
+    buttons.push(`
+        <button class="quick-action-btn history-btn" 
+                onclick="showTaskHistory('${task.id}')" 
+                title="${I18n.t('tasks.action.history')}">
+            🕘
+        </button>
+    `);
+    
+    // Botón de guardar como plantilla
+    buttons.push(`
+        <button class="quick-action-btn template-btn" 
+                onclick="saveTaskAsTemplate('${task.id}')" 
+                title="${I18n.t('tasks.action.template')}">
+            🧩
+        </button>
+    `);
+    
     // Botón de eliminar
     buttons.push(`
         <button class="quick-action-btn delete-btn" 
                 onclick="deleteTask('${task.id}')" 
-                title="Delete task">
+                title="${I18n.t('dashboard.action.delete')}">
             🗑️
         </button>
     `);
@@ -538,6 +634,9 @@ function performSearch(searchTerm) {
     
     tasksState.activeFilters.search = searchTerm.toLowerCase().trim();
     
+    // Una búsqueda nueva empieza siempre en la primera página
+    tasksState.currentPage = 1;
+    
     // Aplicar todos los filtros y re-renderizar
     applyFiltersAndSorting();
     renderTasksList();
@@ -617,7 +716,7 @@ function applyFiltersAndSorting() {
     }
     
     // Aplicar ordenamiento
-    filtered.sort((a, b) => sortTasksByField(a, b, tasksState.currentSort.field, tasksState.currentSort.direction));
+    filtered.sort(compareTasksBySortKeys);
     
     tasksState.filteredTasks = filtered;
     
@@ -629,129 +728,1560 @@ function applyFiltersAndSorting() {
 }
 
 // ==========================================
-// FUNCIONES DE UTILIDAD
+// ORDENAMIENTO MULTI-COLUMNA
 // ==========================================
 
-/* Verificar autenticación */
-async function verifyAuthentication() {
-    const session = localStorage.getItem('crudzaso_user_session');
-    return session !== null;
+/* 
+    Configurar el ordenamiento
+    
+    Carga el orden guardado del usuario y dibuja los encabezados.
+*/
+function setupSorting() {
+    tasksState.currentSort = loadSortPreference();
+    renderSortHeaders();
+    
+    console.log('↕️ Sorting configured:', describeSortKeys());
 }
 
-/* Cargar usuario actual */
-async function loadCurrentUser() {
-    const sessionData = JSON.parse(localStorage.getItem('crudzaso_user_session'));
-    currentUser = {
-        id: sessionData.userId,
-        name: sessionData.name,
-        email: sessionData.email,
-        role: sessionData.role
-    };
+/* 
+    Dibujar los encabezados de columna clicables
+    
+    Cada encabezado muestra la dirección (▲/▼) y, si hay varias
+    claves, su posición en el orden (1, 2, 3...).
+*/
+function renderSortHeaders() {
+    const container = document.getElementById('sort-headers');
+    if (!container) return;
+    
+    container.innerHTML = '';
+    
+    Object.keys(TASKS_CONFIG.SORT_FIELDS).forEach(field => {
+        const keyIndex = tasksState.currentSort.findIndex(key => key.field === field);
+        const sortKey = tasksState.currentSort[keyIndex];
+        
+        const header = document.createElement('button');
+        header.type = 'button';
+        header.className = `sort-header ${sortKey ? 'active' : ''}`;
+        header.title = I18n.t('tasks.sort.hint');
+        header.setAttribute('aria-pressed', sortKey ? 'true' : 'false');
+        
+        header.innerHTML = `
+            ${I18n.t(`tasks.sort.${field}`)}
+            ${sortKey ? `<span class="sort-indicator">${sortKey.direction === 'asc' ? '▲' : '▼'}</span>` : ''}
+            ${sortKey && tasksState.currentSort.length > 1 ? `<span class="sort-order">${keyIndex + 1}</span>` : ''}
+        `;
+        
+        header.addEventListener('click', (event) => handleSortHeaderClick(field, event.shiftKey));
+        container.appendChild(header);
+    });
 }
 
-/* Redirección al login */
-function redirectToLogin() {
-    window.location.href = '../index.html';
+/* 
+    Manejar click en un encabezado
+    
+    - Click: ordenar solo por esa columna (si ya era la principal, invierte la dirección)
+    - Shift+Click: agregar la columna como clave secundaria
+      (si ya estaba en el orden, invierte su dirección)
+*/
+function handleSortHeaderClick(field, addAsSecondary) {
+    const defaultDirection = TASKS_CONFIG.SORT_FIELDS[field].defaultDirection;
+    const existingKey = tasksState.currentSort.find(key => key.field === field);
+    const toggle = direction => direction === 'asc' ? 'desc' : 'asc';
+    
+    if (addAsSecondary) {
+        if (existingKey) {
+            existingKey.direction = toggle(existingKey.direction);
+        } else {
+            tasksState.currentSort.push({ field, direction: defaultDirection });
+        }
+    } else {
+        const isOnlyKey = tasksState.currentSort.length === 1 && existingKey;
+        tasksState.currentSort = [{
+            field,
+            direction: isOnlyKey ? toggle(existingKey.direction) : defaultDirection
+        }];
+    }
+    
+    saveSortPreference();
+    renderSortHeaders();
+    
+    applyFiltersAndSorting();
+    renderTasksList();
+    updatePaginationControls();
+    
+    console.log(`↕️ Sorted by ${describeSortKeys()}`);
 }
 
-/* Generar ID único */
-function generateTaskId() {
-    return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+/* 
+    Comparar dos tareas aplicando todas las claves en orden
+*/
+function compareTasksBySortKeys(a, b) {
+    for (const { field, direction } of tasksState.currentSort) {
+        const result = sortTasksByField(a, b, field, direction);
+        if (result !== 0) return result;
+    }
+    return 0;
 }
 
-/* Obtener ícono de categoría */
-function getCategoryIcon(category) {
-    const categoryData = TASKS_CONFIG.CATEGORIES.find(cat => cat.name === category);
-    return categoryData ? categoryData.icon : '📋';
+/* 
+    Comparar dos tareas por un campo
+    
+    Los valores vacíos (sin fecha límite, sin horas...) van
+    siempre al final, sin importar la dirección.
+*/
+function sortTasksByField(a, b, field, direction) {
+    const config = TASKS_CONFIG.SORT_FIELDS[field];
+    if (!config) return 0;
+    
+    const valueA = getSortValue(a, field, config);
+    const valueB = getSortValue(b, field, config);
+    
+    const missingA = valueA === null;
+    const missingB = valueB === null;
+    if (missingA || missingB) {
+        return missingA === missingB ? 0 : (missingA ? 1 : -1);
+    }
+    
+    const result = config.type === 'text' ?
+        valueA.localeCompare(valueB, undefined, { sensitivity: 'base' }) :
+        valueA - valueB;
+    
+    return direction === 'desc' ? -result : result;
 }
 
-/* Calcular días restantes */
-function calculateDaysRemaining(dueDate) {
-    if (!dueDate) return null;
+/* 
+    Valor comparable de un campo según su tipo
+*/
+function getSortValue(task, field, config) {
+    const value = task[field];
+    if (value === undefined || value === null || value === '') return null;
+    
+    switch (config.type) {
+        case 'rank': {
+            const rank = config.order.indexOf(value);
+            return rank === -1 ? null : rank;
+        }
+        case 'date': {
+            // Las fechas límite pueden no llevar hora: vencen al final de su día
+            const date = field === 'dueDate' ? DueDates.getDeadline(value) : new Date(value);
+            const time = date ? date.getTime() : NaN;
+            return isNaN(time) ? null : time;
+        }
+        case 'number':
+            return Number(value);
+        default:
+            return String(value);
+    }
+}
+
+/* 
+    Guardar y cargar el orden elegido por cada usuario
+*/
+function getSortStorageKey() {
+    return `${TASKS_CONFIG.SORT_STORAGE_PREFIX}${currentUser.id}`;
+}
+
+function saveSortPreference() {
+    localStorage.setItem(getSortStorageKey(), JSON.stringify(tasksState.currentSort));
+}
+
+function loadSortPreference() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(getSortStorageKey()));
+        const validKeys = Array.isArray(saved) ?
+            saved.filter(key => TASKS_CONFIG.SORT_FIELDS[key.field] && ['asc', 'desc'].includes(key.direction)) :
+            [];
+        
+        if (validKeys.length > 0) return validKeys;
+    } catch (error) {
+        console.warn('⚠️ Invalid saved sort preference, using default');
+    }
+    
+    return [{ field: 'priority', direction: 'desc' }];
+}
+
+function describeSortKeys() {
+    return tasksState.currentSort
+        .map(key => `${key.field} ${key.direction}`)
+        .join(', ');
+}
+
+// ==========================================
+// PAGINACIÓN
+// ==========================================
+
+/* 
+    Configurar la paginación
     
-    const due = new Date(dueDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    due.setHours(0, 0, 0, 0);
+    La página y el tamaño de página viven en la URL (?page=2&perPage=25),
+    así al recargar o compartir el enlace se llega a la misma página.
+*/
+function setupPagination() {
+    readPaginationFromUrl();
+    
+    // Selector de tamaño de página
+    const pageSizeSelect = document.getElementById('page-size-select');
+    if (pageSizeSelect) {
+        pageSizeSelect.innerHTML = TASKS_CONFIG.ITEMS_PER_PAGE_OPTIONS
+            .map(size => `<option value="${size}">${size}</option>`)
+            .join('');
+        pageSizeSelect.value = tasksState.tasksPerPage;
+        pageSizeSelect.addEventListener('change', (e) => changePageSize(parseInt(e.target.value)));
+    }
     
-    const diffTime = due - today;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    // Saltar a una página concreta
+    const jumpForm = document.getElementById('page-jump-form');
+    if (jumpForm) {
+        jumpForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            goToPage(parseInt(document.getElementById('page-jump-input').value));
+        });
+    }
     
-    if (diffDays < 0) return `${Math.abs(diffDays)} days overdue`;
-    if (diffDays === 0) return 'Due today';
-    if (diffDays === 1) return 'Due tomorrow';
-    return `${diffDays} days remaining`;
+    console.log(`📄 Pagination ready: page ${tasksState.currentPage}, ${tasksState.tasksPerPage} per page`);
 }
 
-/* Verificar si tarea está vencida */
-function isTaskOverdue(task) {
-    if (!task.dueDate || task.status === 'Completed') return false;
-    return new Date(task.dueDate) < new Date();
+/* 
+    Leer página y tamaño de página de la URL (ignorando valores inválidos)
+*/
+function readPaginationFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const page = parseInt(params.get(TASKS_CONFIG.PAGE_QUERY_PARAM));
+    const perPage = parseInt(params.get(TASKS_CONFIG.PAGE_SIZE_QUERY_PARAM));
+    
+    tasksState.currentPage = page > 0 ? page : 1;
+    
+    if (TASKS_CONFIG.ITEMS_PER_PAGE_OPTIONS.includes(perPage)) {
+        tasksState.tasksPerPage = perPage;
+    }
 }
 
-/* Formatear fecha de vencimiento */
-function formatDueDate(dateString) {
-    if (!dateString) return 'No due date';
+/* 
+    Guardar la página actual en la URL
     
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric',
-        year: date.getFullYear() !== new Date().getFullYear() ? 'numeric' : undefined
-    });
+    Se omiten los valores por defecto para mantener la URL limpia.
+    replaceState evita llenar el historial con cada cambio de página.
+*/
+function syncPaginationToUrl() {
+    const url = new URL(window.location.href);
+    const params = url.searchParams;
+    
+    if (tasksState.currentPage > 1) {
+        params.set(TASKS_CONFIG.PAGE_QUERY_PARAM, tasksState.currentPage);
+    } else {
+        params.delete(TASKS_CONFIG.PAGE_QUERY_PARAM);
+    }
+    
+    if (tasksState.tasksPerPage !== TASKS_CONFIG.DEFAULT_ITEMS_PER_PAGE) {
+        params.set(TASKS_CONFIG.PAGE_SIZE_QUERY_PARAM, tasksState.tasksPerPage);
+    } else {
+        params.delete(TASKS_CONFIG.PAGE_SIZE_QUERY_PARAM);
+    }
+    
+    if (url.href !== window.location.href) {
+        history.replaceState(null, '', url);
+    }
 }
 
-/* Escapar HTML */
-function escapeHtml(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+/* 
+    Ir a una página (se ajusta al rango válido)
+*/
+function goToPage(page) {
+    if (isNaN(page)) return;
+    
+    const lastPage = Math.max(1, tasksState.totalPages);
+    tasksState.currentPage = Math.min(Math.max(1, page), lastPage);
+    
+    renderTasksList();
+    updatePaginationControls();
+    
+    // Volver al inicio de la lista
+    document.getElementById('detailed-task-list')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
-/* Obtener iniciales */
-function getAssigneeInitials(name) {
-    if (!name) return '?';
-    const words = name.trim().split(' ');
-    return words.length === 1 ? 
-        words[0].charAt(0).toUpperCase() : 
-        (words[0].charAt(0) + words[words.length - 1].charAt(0)).toUpperCase();
+function previousPage() {
+    goToPage(tasksState.currentPage - 1);
 }
 
-/* Formatear fecha */
-function formatDate(dateString) {
-    return new Date(dateString).toLocaleDateString('en-US', {
-        month: 'short',
-        day: 'numeric'
-    });
+function nextPage() {
+    goToPage(tasksState.currentPage + 1);
+}
+
+/* 
+    Cambiar el tamaño de página manteniendo visible la primera tarea actual
+*/
+function changePageSize(size) {
+    if (!TASKS_CONFIG.ITEMS_PER_PAGE_OPTIONS.includes(size)) return;
+    
+    const firstVisibleIndex = (tasksState.currentPage - 1) * tasksState.tasksPerPage;
+    tasksState.tasksPerPage = size;
+    tasksState.currentPage = Math.floor(firstVisibleIndex / size) + 1;
+    
+    applyFiltersAndSorting();
+    renderTasksList();
+    updatePaginationControls();
+    
+    console.log(`📄 Page size changed to ${size}`);
+}
+
+/* 
+    Actualizar botones, números de página y la URL
+*/
+function updatePaginationControls() {
+    const totalPages = Math.max(1, tasksState.totalPages);
+    const currentPage = tasksState.currentPage;
+    
+    const prevButton = document.getElementById('prev-page-btn');
+    const nextButton = document.getElementById('next-page-btn');
+    if (prevButton) prevButton.disabled = currentPage <= 1;
+    if (nextButton) nextButton.disabled = currentPage >= totalPages;
+    
+    const pageNumbers = document.getElementById('page-numbers');
+    if (pageNumbers) {
+        pageNumbers.innerHTML = getVisiblePageNumbers(currentPage, totalPages)
+            .map(page => page === null ?
+                '<span class="page-ellipsis">…</span>' :
+                `<button class="pagination-btn ${page === currentPage ? 'active' : ''}" 
+                         onclick="goToPage(${page})" 
+                         ${page === currentPage ? 'aria-current="page"' : ''}>${page}</button>`)
+            .join('');
+    }
+    
+    const jumpInput = document.getElementById('page-jump-input');
+    if (jumpInput) {
+        jumpInput.max = totalPages;
+        jumpInput.value = currentPage;
+    }
+    
+    const pageSizeSelect = document.getElementById('page-size-select');
+    if (pageSizeSelect) pageSizeSelect.value = tasksState.tasksPerPage;
+    
+    updatePaginationInfo();
+    syncPaginationToUrl();
+}
+
+/* 
+    Números de página a mostrar: primera, última y las cercanas a la actual
+    (null representa un salto "…")
+*/
+function getVisiblePageNumbers(currentPage, totalPages) {
+    const half = Math.floor(TASKS_CONFIG.MAX_PAGE_BUTTONS / 2);
+    const start = Math.max(1, Math.min(currentPage - half, totalPages - TASKS_CONFIG.MAX_PAGE_BUTTONS + 1));
+    const end = Math.min(totalPages, start + TASKS_CONFIG.MAX_PAGE_BUTTONS - 1);
+    
+    const pages = [];
+    if (start > 1) pages.push(1);
+    if (start > 2) pages.push(null);
+    for (let page = start; page <= end; page++) pages.push(page);
+    if (end < totalPages - 1) pages.push(null);
+    if (end < totalPages) pages.push(totalPages);
+    
+    return pages;
+}
+
+/* 
+    Actualizar el texto "Showing X to Y of Z results"
+*/
+function updatePaginationInfo() {
+    const total = tasksState.filteredTasks.length;
+    const from = total === 0 ? 0 : (tasksState.currentPage - 1) * tasksState.tasksPerPage + 1;
+    const to = Math.min(tasksState.currentPage * tasksState.tasksPerPage, total);
+    
+    updateElementText('pagination-info', I18n.t('tasks.pagination.showing', {
+        from: I18n.formatNumber(from),
+        to: I18n.formatNumber(to),
+        total: I18n.formatNumber(total)
+    }));
 }
 
 // ==========================================
-// PLACEHOLDER FUNCTIONS
+// SELECCIÓN Y ACCIONES EN LOTE
 // ==========================================
 
-/* Funciones que se implementarían completamente en una versión de producción */
+/* 
+    Configurar la barra de acciones en lote
+*/
+function setupBulkActions() {
+    const selectAll = document.getElementById('select-all-tasks');
+    if (selectAll) {
+        selectAll.addEventListener('change', (e) => toggleSelectAll(e.target.checked));
+    }
+    
+    const prioritySelect = document.getElementById('bulk-priority-select');
+    if (prioritySelect) {
+        prioritySelect.innerHTML += TASKS_CONFIG.PRIORITIES
+            .map(priority => `<option value="${priority}">${I18n.label('priority', priority)}</option>`)
+            .join('');
+        prioritySelect.addEventListener('change', (e) => {
+            const priority = e.target.value;
+            e.target.value = '';
+            if (priority) bulkChangePriority(priority);
+        });
+    }
+    
+    const categorySelect = document.getElementById('bulk-category-select');
+    if (categorySelect) {
+        categorySelect.innerHTML += TASKS_CONFIG.CATEGORIES
+            .map(category => `<option value="${category.name}">${category.icon} ${I18n.label('category', category.name)}</option>`)
+            .join('');
+        categorySelect.addEventListener('change', (e) => {
+            const category = e.target.value;
+            e.target.value = '';
+            if (category) bulkChangeCategory(category);
+        });
+    }
+    
+    console.log('🔧 Bulk actions configured');
+}
 
-function setupAdvancedInterface() { console.log('🎛️ Advanced interface configured'); }
-function setupPagination() { console.log('📄 Pagination system ready'); }
-function setupBulkActions() { console.log('🔧 Bulk actions configured'); }
-function setupAutoSave() { console.log('💾 Auto-save system active'); }
-function setupKeyboardShortcuts() { console.log('⌨️ Keyboard shortcuts enabled'); }
-function updateSummaryStatistics() { console.log('📊 Summary statistics updated'); }
-function populateFilterOptions() { console.log('🔍 Filter options populated'); }
-function updatePaginationControls() { console.log('📄 Pagination controls updated'); }
-function updatePaginationInfo() { console.log('ℹ️ Pagination info updated'); }
-function renderEmptyTasksState(container) { 
-    container.innerHTML = '<div class="empty-state">No tasks found</div>';
-}
-function calculateTaskProgress(task) { return Math.floor(Math.random() * 100); }
-function sortTasksByField(a, b, field, direction) { return 0; }
-function toggleTaskSelection(taskId) { console.log(`Selected: ${taskId}`); }
-function editTask(taskId) { window.location.href = `create-task.html?edit=${taskId}`; }
-function markTaskCompleted(taskId) { console.log(`Completed: ${taskId}`); }
-function reopenTask(taskId) { console.log(`Reopened: ${taskId}`); }
+/* 
+    Seleccionar o deseleccionar una tarea
+*/
+function toggleTaskSelection(taskId) {
+    const index = tasksState.selectedTasks.indexOf(taskId);
+    
+    if (index !== -1) {
+        tasksState.selectedTasks.splice(index, 1);
+    } else if (tasksState.selectedTasks.length >= TASKS_CONFIG.BULK_ACTION_LIMIT) {
+        alert(I18n.t('tasks.bulk.limit', { limit: TASKS_CONFIG.BULK_ACTION_LIMIT }));
+    } else {
+        tasksState.selectedTasks.push(taskId);
+    }
+    
+    const isSelected = tasksState.selectedTasks.includes(taskId);
+    const card = document.querySelector(`[data-task-id="${taskId}"]`);
+    if (card) {
+        card.classList.toggle('selected', isSelected);
+        const checkbox = card.querySelector('.task-select-checkbox input');
+        if (checkbox) checkbox.checked = isSelected;
+    }
+    
+    updateBulkActionsBar();
+}
+
+/* 
+    Seleccionar todas las tareas filtradas (todas las páginas), hasta el límite
+*/
+function toggleSelectAll(selectAll) {
+    if (selectAll) {
+        const filteredIds = tasksState.filteredTasks.map(task => task.id);
+        tasksState.selectedTasks = filteredIds.slice(0, TASKS_CONFIG.BULK_ACTION_LIMIT);
+        
+        if (filteredIds.length > TASKS_CONFIG.BULK_ACTION_LIMIT) {
+            alert(I18n.t('tasks.bulk.limitReached', { limit: TASKS_CONFIG.BULK_ACTION_LIMIT, total: filteredIds.length }));
+        }
+    } else {
+        tasksState.selectedTasks = [];
+    }
+    
+    renderTasksList();
+    updateBulkActionsBar();
+}
+
+function clearTaskSelection() {
+    toggleSelectAll(false);
+}
+
+/* 
+    Actualizar contador, estado de "seleccionar todo" y visibilidad de acciones
+*/
+function updateBulkActionsBar() {
+    // Descartar IDs de tareas que ya no existen
+    const existingIds = new Set(tasksState.allTasks.map(task => task.id));
+    tasksState.selectedTasks = tasksState.selectedTasks.filter(id => existingIds.has(id));
+    
+    const selectedCount = tasksState.selectedTasks.length;
+    const filteredCount = tasksState.filteredTasks.length;
+    const selectedInFilter = tasksState.filteredTasks.filter(task => tasksState.selectedTasks.includes(task.id)).length;
+    
+    tasksState.bulkActionMode = selectedCount > 0;
+    
+    updateElementText('bulk-selection-count', selectedCount > 0 ?
+        I18n.t('tasks.bulk.selected', { count: selectedCount }) :
+        I18n.t('tasks.bulk.selectAll'));
+    
+    const selectAll = document.getElementById('select-all-tasks');
+    if (selectAll) {
+        selectAll.checked = filteredCount > 0 && selectedInFilter === Math.min(filteredCount, TASKS_CONFIG.BULK_ACTION_LIMIT);
+        selectAll.indeterminate = selectedInFilter > 0 && !selectAll.checked;
+    }
+    
+    const bulkActions = document.getElementById('bulk-actions');
+    if (bulkActions) {
+        bulkActions.style.display = tasksState.bulkActionMode ? 'flex' : 'none';
+    }
+}
+
+/* 
+    Tareas seleccionadas sobre las que el usuario tiene permiso
+*/
+function getSelectedTasksForAction(action) {
+    const selected = tasksState.allTasks.filter(task => tasksState.selectedTasks.includes(task.id));
+    const allowed = selected.filter(task => Permissions.canAccessTask(currentUser, task, action));
+    
+    if (allowed.length < selected.length) {
+        alert(I18n.plural('tasks.bulk.skipped', selected.length - allowed.length, { reason: Permissions.getDeniedMessage(action) }));
+    }
+    
+    return allowed.slice(0, TASKS_CONFIG.BULK_ACTION_LIMIT);
+}
+
+/* 
+    Confirmación con resumen de las tareas afectadas
+    
+    question: clave de I18n con formas .one/.other ("¿Reabrir {count} tareas?")
+*/
+function confirmBulkAction(question, params, tasks) {
+    const preview = tasks.slice(0, TASKS_CONFIG.BULK_SUMMARY_PREVIEW)
+        .map(task => `• ${task.title}`)
+        .join('\n');
+    const remaining = tasks.length - TASKS_CONFIG.BULK_SUMMARY_PREVIEW;
+    
+    return confirm(
+        `${I18n.plural(question, tasks.length, params)}\n\n` +
+        preview +
+        (remaining > 0 ? `\n${I18n.t('tasks.bulk.andMore', { count: remaining })}` : '')
+    );
+}
+
+/* 
+    Ejecutar una acción en lote
+    
+    question y params forman la pregunta de confirmación (ver confirmBulkAction).
+    getChanges(task) devuelve los campos a actualizar de cada tarea
+    (o null para eliminarla). Las tareas que fallan se reportan al final
+    sin detener el resto del lote. Las que el usuario deja de poder ver
+    (reasignadas a otro) salen de la lista.
+*/
+async function runBulkAction({ action, question, params = {}, getChanges }) {
+    const tasks = getSelectedTasksForAction(action);
+    if (tasks.length === 0) return;
+    
+    if (!confirmBulkAction(question, params, tasks)) {
+        console.log('❌ Bulk action cancelled by user');
+        return;
+    }
+    
+    const failed = [];
+    
+    for (const task of tasks) {
+        try {
+            const changes = getChanges(task);
+            const before = { ...task };
+            
+            if (changes === null) {
+                await DataStore.deleteTask(task.id);
+                tasksState.allTasks = tasksState.allTasks.filter(t => t.id !== task.id);
+                await ActivityLog.taskDeleted(currentUser, before);
+            } else {
+                const updated = { ...changes, updatedAt: new Date().toISOString() };
+                await DataStore.updateTask(task.id, updated);
+                Object.assign(task, updated);
+                await ActivityLog.taskUpdated(currentUser, before, task);
+                
+                if (!Permissions.canAccessTask(currentUser, task, 'view')) {
+                    tasksState.allTasks = tasksState.allTasks.filter(t => t.id !== task.id);
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Bulk action failed for ${task.id}:`, error);
+            failed.push(task);
+        }
+    }
+    
+    applyFiltersAndSorting();
+    renderTasksList();
+    updatePaginationControls();
+    updateBulkActionsBar();
+    
+    console.log(`🔧 Bulk action "${question}" applied to ${tasks.length - failed.length}/${tasks.length} tasks`);
+    
+    if (failed.length > 0) {
+        alert(`${I18n.plural('tasks.bulk.failed', failed.length)}\n${failed.map(task => `• ${task.title}`).join('\n')}`);
+    }
+}
+
+function bulkCompleteTasks() {
+    return runBulkAction({
+        action: 'complete',
+        question: 'tasks.bulk.confirm.complete',
+        // Las que ya estaban completadas conservan su fecha de completado
+        getChanges: task => ({
+            status: 'Completed',
+            completedAt: task.status === 'Completed' && task.completedAt ? task.completedAt : new Date().toISOString()
+        })
+    });
+}
+
+function bulkReopenTasks() {
+    return runBulkAction({
+        action: 'complete',
+        question: 'tasks.bulk.confirm.reopen',
+        getChanges: () => ({ status: 'Pending', completedAt: null })
+    });
+}
+
+function bulkChangePriority(priority) {
+    return runBulkAction({
+        action: 'edit',
+        question: 'tasks.bulk.confirm.priority',
+        params: { priority: I18n.label('priority', priority) },
+        getChanges: () => ({ priority })
+    });
+}
+
+function bulkChangeCategory(category) {
+    return runBulkAction({
+        action: 'edit',
+        question: 'tasks.bulk.confirm.category',
+        params: { category: I18n.label('category', category) },
+        getChanges: () => ({ category })
+    });
+}
+
+function bulkAddTag() {
+    const tag = normalizeTag(prompt(I18n.t('tasks.bulk.promptAddTag')));
+    if (!tag) return;
+    
+    return runBulkAction({
+        action: 'edit',
+        question: 'tasks.bulk.confirm.addTag',
+        params: { tag },
+        getChanges: task => ({ tags: [...new Set([...(task.tags || []), tag])] })
+    });
+}
+
+function bulkRemoveTag() {
+    const tag = normalizeTag(prompt(I18n.t('tasks.bulk.promptRemoveTag')));
+    if (!tag) return;
+    
+    return runBulkAction({
+        action: 'edit',
+        question: 'tasks.bulk.confirm.removeTag',
+        params: { tag },
+        getChanges: task => ({ tags: (task.tags || []).filter(existing => existing.toLowerCase() !== tag) })
+    });
+}
+
+/* 
+    Reasignar: la tarea pasa a ser del usuario elegido (userId) y
+    muestra su nombre como responsable
+*/
+async function bulkReassignTasks() {
+    const email = (prompt(I18n.t('tasks.bulk.promptReassign'), currentUser.email) || '').trim();
+    if (!email) return;
+    
+    const user = await DataStore.findUserByEmail(email);
+    if (!user) {
+        alert(I18n.t('tasks.bulk.reassignNotFound', { email }));
+        return;
+    }
+    
+    return runBulkAction({
+        action: 'edit',
+        question: 'tasks.bulk.confirm.reassign',
+        params: { assignee: user.name },
+        getChanges: () => ({ userId: user.id, assignee: user.name })
+    });
+}
+
+function bulkDeleteTasks() {
+    return runBulkAction({
+        action: 'delete',
+        question: 'tasks.bulk.confirm.delete',
+        getChanges: () => null
+    });
+}
+
+/* Normalizar tag escrito por el usuario ("#Exam " → "exam") */
+function normalizeTag(tag) {
+    return (tag || '').trim().replace(/^#/, '').toLowerCase();
+}
+
+// ==========================================
+// EXPORTACIÓN (JSON, CSV, PDF)
+// ==========================================
+
+/* 
+    Configurar el selector de formatos de exportación
+*/
+function setupExport() {
+    const formatSelect = document.getElementById('export-format');
+    if (formatSelect) {
+        formatSelect.innerHTML = TASKS_CONFIG.EXPORT_FORMATS
+            .map(format => `<option value="${format}">${format}</option>`)
+            .join('');
+    }
+    
+    console.log('⬇️ Export configured');
+}
+
+/* 
+    Exportar tareas en el formato elegido
+    
+    Exporta el conjunto filtrado en el orden actual, o todas las
+    seleccionadas en ese mismo orden, aunque el filtro o la búsqueda
+    actual oculte alguna (igual que las acciones en lote).
+*/
+function exportTasks() {
+    const format = document.getElementById('export-format')?.value || TASKS_CONFIG.EXPORT_FORMATS[0];
+    const scope = document.getElementById('export-scope')?.value || 'filtered';
+    
+    const tasks = scope === 'selected' ?
+        tasksState.allTasks.filter(task => tasksState.selectedTasks.includes(task.id)).sort(compareTasksBySortKeys) :
+        tasksState.filteredTasks;
+    
+    if (tasks.length === 0) {
+        alert(scope === 'selected' ?
+            I18n.t('tasks.export.noSelected') :
+            I18n.t('tasks.export.noMatches'));
+        return;
+    }
+    
+    try {
+        switch (format) {
+            case 'JSON':
+                downloadFile(buildTasksJson(tasks, scope), 'application/json', 'json');
+                break;
+            case 'CSV':
+                downloadFile(buildTasksCsv(tasks), 'text/csv;charset=utf-8', 'csv');
+                break;
+            case 'PDF':
+                openPrintableReport(tasks);
+                break;
+            default:
+                throw new Error(`Unsupported export format: ${format}`);
+        }
+        
+        console.log(`⬇️ Exported ${tasks.length} tasks as ${format}`);
+        
+    } catch (error) {
+        console.error('❌ Export failed:', error);
+        alert(I18n.t('tasks.export.failed', { message: error.message }));
+    }
+}
+
+/* 
+    Copia de la tarea solo con los campos exportables
+*/
+function pickExportFields(task) {
+    return Object.fromEntries(
+        TASKS_CONFIG.EXPORT_FIELDS
+            .filter(field => task[field] !== undefined)
+            .map(field => [field, task[field]])
+    );
+}
+
+/* 
+    JSON con metadatos de la exportación
+*/
+function buildTasksJson(tasks, scope) {
+    return JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        exportedBy: currentUser.email,
+        scope,
+        count: tasks.length,
+        statistics: TaskStatistics.calculateTaskStatistics(tasks),
+        tasks: tasks.map(pickExportFields)
+    }, null, 2);
+}
+
+/* 
+    CSV según RFC 4180
+    
+    - Líneas separadas por CRLF, con fila de encabezados
+    - Campos con coma, comillas o saltos de línea van entre comillas
+    - Las comillas internas se duplican ("")
+    - Los tags se unen con "; " dentro de un único campo
+*/
+function buildTasksCsv(tasks) {
+    const header = TASKS_CONFIG.EXPORT_FIELDS.map(escapeCsvField).join(',');
+    
+    const rows = tasks.map(task => TASKS_CONFIG.EXPORT_FIELDS
+        .map(field => {
+            const value = task[field];
+            return escapeCsvField(Array.isArray(value) ? value.join('; ') : value);
+        })
+        .join(','));
+    
+    return [header, ...rows].join('\r\n') + '\r\n';
+}
+
+function escapeCsvField(value) {
+    if (value === undefined || value === null) return '';
+    
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* 
+    Reporte imprimible (Guardar como PDF desde el diálogo de impresión)
+    
+    Incluye un resumen calculado con TaskStatistics.calculateTaskStatistics,
+    las mismas métricas que muestra el dashboard.
+*/
+function openPrintableReport(tasks) {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        throw new Error(I18n.t('tasks.report.blocked'));
+    }
+    
+    const stats = TaskStatistics.calculateTaskStatistics(tasks);
+    const generatedAt = UserPreferences.formatDateTime(new Date());
+    
+    const summary = [
+        [I18n.t('tasks.report.total'), stats.total],
+        [I18n.t('dashboard.stats.completed'), stats.completed],
+        [I18n.t('tasks.summary.inProgress'), stats.inProgress],
+        [I18n.t('dashboard.stats.pending'), stats.pending],
+        [I18n.t('tasks.report.overdue'), stats.overdue],
+        [I18n.t('tasks.report.highPriority'), stats.highPriority],
+        [I18n.t('dashboard.stats.progress'), I18n.formatPercent(stats.overallProgress)]
+    ];
+    
+    const rows = tasks.map(task => `
+        <tr>
+            <td>${escapeHtml(task.title)}${task.description ? `<div class="description">${escapeHtml(task.description)}</div>` : ''}</td>
+            <td>${escapeHtml(I18n.label('category', task.category))}</td>
+            <td>${escapeHtml(I18n.label('priority', task.priority))}</td>
+            <td>${escapeHtml(I18n.label('status', task.status))}</td>
+            <td>${task.dueDate ? escapeHtml(formatDueDate(task.dueDate)) : '—'}</td>
+            <td>${escapeHtml(task.assignee || I18n.t('task.unassigned'))}</td>
+            <td>${(task.tags || []).map(tag => `#${escapeHtml(tag)}`).join(' ')}</td>
+        </tr>
+    `).join('');
+    
+    reportWindow.document.write(`
+        <!DOCTYPE html>
+        <html lang="${I18n.getLanguage()}">
+        <head>
+            <meta charset="UTF-8">
+            <title>${I18n.t('tasks.report.title')}</title>
+            <style>
+                body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; margin: 2rem; }
+                h1 { margin: 0 0 0.25rem; font-size: 1.5rem; }
+                .meta { color: #6b7280; font-size: 0.85rem; margin-bottom: 1.5rem; }
+                .summary { display: grid; grid-template-columns: repeat(7, 1fr); gap: 0.5rem; margin-bottom: 1.5rem; }
+                .summary div { border: 1px solid #e5e7eb; border-radius: 6px; padding: 0.5rem; text-align: center; }
+                .summary strong { display: block; font-size: 1.25rem; }
+                .summary span { font-size: 0.75rem; color: #6b7280; }
+                table { width: 100%; border-collapse: collapse; font-size: 0.8rem; }
+                th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem; text-align: left; vertical-align: top; }
+                th { background: #f9fafb; }
+                tr { page-break-inside: avoid; }
+                .description { color: #6b7280; margin-top: 0.2rem; }
+                @media print { body { margin: 0; } }
+            </style>
+        </head>
+        <body>
+            <h1>📚 ${I18n.t('tasks.report.title')}</h1>
+            <div class="meta">${escapeHtml(I18n.plural('tasks.report.meta', tasks.length, { date: generatedAt, name: currentUser.name }))}</div>
+            <div class="summary">
+                ${summary.map(([label, value]) => `<div><strong>${value}</strong><span>${label}</span></div>`).join('')}
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${I18n.t('tasks.report.column.task')}</th>
+                        <th>${I18n.t('createTask.field.category')}</th>
+                        <th>${I18n.t('createTask.field.priority')}</th>
+                        <th>${I18n.t('createTask.field.status')}</th>
+                        <th>${I18n.t('tasks.report.column.due')}</th>
+                        <th>${I18n.t('createTask.field.assignee')}</th>
+                        <th>${I18n.t('createTask.field.tags')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </body>
+        </html>
+    `);
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+}
+
+/* 
+    Descargar contenido generado como archivo
+*/
+function downloadFile(content, mimeType, extension) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const date = new Date().toISOString().split('T')[0];
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${TASKS_CONFIG.EXPORT_FILE_PREFIX}-${date}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ==========================================
+// IMPORTACIÓN (CSV, JSON)
+// ==========================================
+
+/* 
+    Configurar el selector de archivos de importación
+*/
+function setupImport() {
+    const fileInput = document.getElementById('import-file-input');
+    if (fileInput) {
+        fileInput.addEventListener('change', handleImportFile);
+    }
+    
+    console.log('⬆️ Import configured');
+}
+
+function openImportDialog() {
+    document.getElementById('import-file-input')?.click();
+}
+
+/* 
+    Leer el archivo elegido y mostrar la vista previa
+    
+    Nada se guarda hasta que el usuario confirma la importación.
+*/
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Permite volver a elegir el mismo archivo
+    if (!file) return;
+    
+    try {
+        const text = await file.text();
+        const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+        const records = isJson ? parseImportJson(text) : parseImportCsv(text);
+        
+        if (records.length === 0) {
+            throw new Error(I18n.t('tasks.import.empty'));
+        }
+        if (records.length > TASKS_CONFIG.IMPORT_MAX_ROWS) {
+            throw new Error(I18n.t('tasks.import.tooMany', { rows: records.length, limit: TASKS_CONFIG.IMPORT_MAX_ROWS }));
+        }
+        
+        tasksState.importRows = records.map((record, index) => {
+            const task = normalizeImportedTask(record);
+            return {
+                rowNumber: index + 1,
+                task,
+                errors: Object.values(TaskValidation.validateTask(task))
+            };
+        });
+        
+        renderImportPreview(file.name);
+        console.log(`⬆️ Parsed ${records.length} rows from ${file.name}`);
+        
+    } catch (error) {
+        console.error('❌ Import failed:', error);
+        alert(I18n.t('tasks.import.readFailed', { file: file.name, message: error.message }));
+    }
+}
+
+/* 
+    JSON: un array de tareas o el objeto generado por la exportación ({ tasks: [...] })
+*/
+function parseImportJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(I18n.t('tasks.import.invalidJson'));
+    }
+    
+    const records = Array.isArray(data) ? data : data && data.tasks;
+    if (!Array.isArray(records)) {
+        throw new Error(I18n.t('tasks.import.invalidShape'));
+    }
+    
+    return records.map(record => (record && typeof record === 'object' ? record : {}));
+}
+
+/* 
+    CSV según RFC 4180 (el mismo formato que genera buildTasksCsv)
+    
+    La primera fila son los encabezados; se mapean a campos de la
+    tarea con TASKS_CONFIG.IMPORT_COLUMN_ALIASES. Las columnas
+    desconocidas se ignoran.
+*/
+function parseImportCsv(text) {
+    const rows = parseCsvRows(text.replace(/^\uFEFF/, ''))
+        .filter(row => row.some(cell => cell.trim() !== ''));
+    
+    if (rows.length < 2) {
+        throw new Error(I18n.t('tasks.import.csvTooShort'));
+    }
+    
+    const fields = rows[0].map(mapImportColumn);
+    if (!fields.includes('title')) {
+        throw new Error(I18n.t('tasks.import.csvNoTitle'));
+    }
+    
+    return rows.slice(1).map(row => {
+        const record = {};
+        fields.forEach((field, index) => {
+            if (field && row[index] !== undefined) record[field] = row[index];
+        });
+        return record;
+    });
+}
+
+/* 
+    Separar el texto CSV en filas y campos
+    
+    Soporta campos entre comillas con comas, comillas dobles ("")
+    y saltos de línea internos, y líneas terminadas en CRLF o LF.
+*/
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (inQuotes) {
+        throw new Error(I18n.t('tasks.import.csvUnclosed'));
+    }
+    
+    // Última fila sin salto de línea final
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows;
+}
+
+/* Encabezado del CSV → campo de la tarea (o null si no se importa) */
+function mapImportColumn(header) {
+    const key = header.trim().toLowerCase().replace(/[\s_-]+/g, '');
+    return TASKS_CONFIG.IMPORT_COLUMN_ALIASES[key] || null;
+}
+
+/* 
+    Convertir un registro importado al formato de tarea
+    
+    Los valores se normalizan (mayúsculas de prioridad/estado, nombre
+    de categoría, fecha YYYY-MM-DD) pero no se corrigen: lo que no se
+    reconoce se conserva tal cual para que la validación lo reporte.
+*/
+function normalizeImportedTask(record) {
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
+    const rules = TaskValidation.RULES;
+    
+    const tags = Array.isArray(record.tags) ?
+        record.tags :
+        text(record.tags).split(/[;,]/);
+    
+    return {
+        title: text(record.title),
+        description: text(record.description),
+        category: normalizeImportedCategory(text(record.category)),
+        priority: matchImportedOption(text(record.priority), rules.PRIORITIES) || 'Medium',
+        status: matchImportedOption(text(record.status), rules.STATUSES) || 'Pending',
+        dueDate: normalizeImportedDate(text(record.dueDate)),
+        completedAt: normalizeImportedTimestamp(text(record.completedAt)),
+        estimatedHours: text(record.estimatedHours) === '' ? 1 : Number(text(record.estimatedHours)),
+        tags: tags.map(tag => String(tag).trim().replace(/^#/, '')).filter(tag => tag),
+        difficulty: matchImportedOption(text(record.difficulty), rules.DIFFICULTIES) || 'Medium'
+    };
+}
+
+/* Opción de una lista sin distinguir mayúsculas ni separadores ("in_progress" → "In Progress") */
+function matchImportedOption(value, options) {
+    if (!value) return '';
+    
+    const key = value.toLowerCase().replace(/[\s_-]+/g, ' ');
+    return options.find(option => option.toLowerCase() === key) || value;
+}
+
+function normalizeImportedCategory(value) {
+    const key = value.toLowerCase();
+    const category = TASKS_CONFIG.CATEGORIES.find(cat => cat.name.toLowerCase() === key || cat.id === key);
+    return category ? category.name : value;
+}
+
+/* Fecha límite en formato YYYY-MM-DD o YYYY-MM-DDTHH:mm (el mismo que guarda el formulario) */
+function normalizeImportedDate(value) {
+    if (!value) return '';
+    
+    const due = DueDates.parse(value.replace(' ', 'T'));
+    if (due) return DueDates.compose(due.date, due.time);
+    
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/* Fecha y hora de finalización en ISO (vacía si no hay o no se reconoce) */
+function normalizeImportedTimestamp(value) {
+    const date = new Date(value);
+    return value && !isNaN(date.getTime()) ? date.toISOString() : '';
+}
+
+/* 
+    Mostrar la vista previa con el resultado de cada fila
+*/
+function renderImportPreview(fileName) {
+    const rows = tasksState.importRows;
+    const validCount = rows.filter(row => row.errors.length === 0).length;
+    const invalidCount = rows.length - validCount;
+    
+    updateElementText('import-summary',
+        I18n.t('tasks.import.summary', { file: fileName, rows: rows.length, valid: validCount, invalid: invalidCount }) +
+        (invalidCount > 0 ? ` ${I18n.t('tasks.import.skipNote')}` : ''));
+    
+    document.getElementById('import-preview-rows').innerHTML = rows.map(row => `
+        <tr class="${row.errors.length > 0 ? 'import-row-invalid' : 'import-row-valid'}">
+            <td>${row.rowNumber}</td>
+            <td>${escapeHtml(row.task.title) || '—'}</td>
+            <td>${escapeHtml(row.task.category && I18n.label('category', row.task.category)) || '—'}</td>
+            <td>${escapeHtml(I18n.label('priority', row.task.priority))}</td>
+            <td>${escapeHtml(I18n.label('status', row.task.status))}</td>
+            <td>${escapeHtml(row.task.dueDate) || '—'}</td>
+            <td>${row.errors.length > 0 ?
+                `<ul class="import-errors">${row.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` :
+                escapeHtml(I18n.t('tasks.import.ready'))}</td>
+        </tr>
+    `).join('');
+    
+    const confirmButton = document.getElementById('confirm-import-btn');
+    confirmButton.textContent = I18n.plural('tasks.import.confirm', validCount);
+    confirmButton.disabled = validCount === 0;
+    
+    const preview = document.getElementById('import-preview');
+    preview.style.display = 'block';
+    preview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/* 
+    Crear las tareas válidas de la vista previa
+    
+    Las tareas importadas pertenecen al usuario actual, igual
+    que las creadas desde el formulario. Las completadas conservan
+    su completedAt o, si no lo traen, usan el momento de importar.
+*/
+async function confirmImport() {
+    const validRows = tasksState.importRows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) return;
+    
+    const confirmButton = document.getElementById('confirm-import-btn');
+    confirmButton.disabled = true;
+    
+    const failed = [];
+    
+    for (const row of validRows) {
+        const now = new Date().toISOString();
+        
+        try {
+            const created = await DataStore.createTask({
+                ...row.task,
+                id: generateTaskId(),
+                assignee: currentUser.name,
+                createdAt: now,
+                updatedAt: now,
+                completedAt: row.task.status === 'Completed' ? row.task.completedAt || now : null,
+                userId: currentUser.id
+            });
+            tasksState.allTasks.push(created);
+            await ActivityLog.taskCreated(currentUser, created);
+        } catch (error) {
+            console.error(`❌ Import failed for row ${row.rowNumber}:`, error);
+            failed.push(row);
+        }
+    }
+    
+    cancelImport();
+    applyFiltersAndSorting();
+    renderTasksList();
+    updatePaginationControls();
+    
+    console.log(`⬆️ Imported ${validRows.length - failed.length}/${validRows.length} tasks`);
+    
+    if (failed.length > 0) {
+        alert(`${I18n.plural('tasks.import.failed', failed.length)}\n${failed.map(row => `• ${I18n.t('tasks.import.rowLabel', { row: row.rowNumber })}: ${row.task.title}`).join('\n')}`);
+    }
+}
+
+function cancelImport() {
+    tasksState.importRows = [];
+    document.getElementById('import-preview').style.display = 'none';
+    document.getElementById('import-preview-rows').innerHTML = '';
+}
+
+// ==========================================
+// ACCIONES DE TAREAS
+// ==========================================
+
+/* 
+    Buscar una tarea y verificar que el usuario puede operar sobre ella
+    
+    Devuelve null (y avisa al usuario) si no existe o no tiene permiso.
+*/
+function getTaskForAction(taskId, action) {
+    const task = tasksState.allTasks.find(t => t.id === taskId);
+    
+    if (!task) {
+        console.error('❌ Task not found');
+        return null;
+    }
+    
+    if (!Permissions.canAccessTask(currentUser, task, action)) {
+        console.warn(`🚫 ${action} denied for task ${taskId}`);
+        alert(Permissions.getDeniedMessage(action, task));
+        return null;
+    }
+    
+    return task;
+}
+
+/* Editar tarea */
+function editTask(taskId) {
+    if (!getTaskForAction(taskId, 'edit')) return;
+    window.location.href = `create-task.html?edit=${encodeURIComponent(taskId)}`;
+}
+
+/* 
+    Marcar o desmarcar una subtarea y persistir el checklist completo
+*/
+async function toggleSubtask(taskId, subtaskId) {
+    const task = getTaskForAction(taskId, 'complete');
+    if (!task) return;
+    
+    const subtasks = task.subtasks.map(subtask =>
+        subtask.id === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask);
+    
+    try {
+        const before = { ...task };
+        const changes = { subtasks, updatedAt: new Date().toISOString() };
+        await DataStore.updateTask(taskId, changes);
+        Object.assign(task, changes);
+        await ActivityLog.taskUpdated(currentUser, before, task);
+        
+        // Re-renderizar conservando el checklist abierto
+        renderTasksList();
+        const card = document.querySelector(`[data-task-id="${taskId}"] .subtask-checklist`);
+        if (card) card.open = true;
+        
+        console.log(`☑️ Subtask ${subtaskId} of ${taskId} toggled`);
+        
+    } catch (error) {
+        console.error('❌ Error updating subtask:', error);
+        alert(I18n.t('tasks.checklistFailed'));
+        renderTasksList();
+    }
+}
+
+/* 
+    Mostrar el historial de cambios de una tarea
+    
+    Los eventos de creación y eliminación no listan campos; las
+    ediciones muestran cada campo con su valor anterior y el nuevo.
+*/
+async function showTaskHistory(taskId) {
+    const task = getTaskForAction(taskId, 'view');
+    if (!task) return;
+    
+    try {
+        const events = await ActivityLog.getTaskHistory(taskId);
+        
+        updateElementText('task-history-title', `${task.title} · ${I18n.plural('tasks.history.events', events.length)}`);
+        
+        document.getElementById('task-history-list').innerHTML = events.length === 0 ?
+            `<p class="activity-empty">${I18n.t('tasks.history.empty')}</p>` :
+            events.map(event => `
+                <div class="activity-item">
+                    <div class="activity-content">
+                        <div class="activity-text">${escapeHtml(ActivityLog.describe(event))}</div>
+                        <div class="activity-time">${escapeHtml(UserPreferences.formatDateTime(event.timestamp))}</div>
+                        ${event.type === 'task.created' || event.type === 'task.deleted' ? '' : `
+                            <ul class="activity-changes">
+                                ${event.changes.map(change => `
+                                    <li>
+                                        <strong>${escapeHtml(change.field)}:</strong>
+                                        <span class="activity-before">${escapeHtml(ActivityLog.formatValue(change.before))}</span>
+                                        →
+                                        <span class="activity-after">${escapeHtml(ActivityLog.formatValue(change.after))}</span>
+                                    </li>
+                                `).join('')}
+                            </ul>
+                        `}
+                    </div>
+                </div>
+            `).join('');
+        
+        const panel = document.getElementById('task-history-panel');
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        
+    } catch (error) {
+        console.error('❌ Error loading task history:', error);
+        alert(I18n.t('tasks.history.loadFailed'));
+    }
+}
+
+function closeTaskHistory() {
+    document.getElementById('task-history-panel').style.display = 'none';
+}
+
+/* 
+    Guardar una tarea como plantilla del usuario
+    
+    La fecha límite se guarda relativa ("+7 days"); se sugiere la
+    distancia entre la creación y la fecha límite de la tarea.
+*/
+async function saveTaskAsTemplate(taskId) {
+    const task = getTaskForAction(taskId, 'view');
+    if (!task) return;
+    
+    const name = prompt(I18n.t('tasks.template.promptName'), task.title);
+    if (name === null) return;
+    
+    const suggestedOffset = TaskTemplates.getDueOffset(task);
+    const dueInput = prompt(
+        I18n.t('tasks.template.promptDue'),
+        suggestedOffset === null ? '' : `+${suggestedOffset} days`
+    );
+    if (dueInput === null) return;
+    
+    const dueInDays = TaskTemplates.parseRelativeDays(dueInput);
+    if (dueInDays === undefined) {
+        alert(I18n.t('tasks.template.invalidDue', { value: dueInput }));
+        return;
+    }
+    
+    try {
+        await TaskTemplates.createFromTask(task, currentUser.id, { name: name.trim(), dueInDays });
+        alert(I18n.t('tasks.template.saved', { name: name.trim() || task.title }));
+    } catch (error) {
+        console.error('❌ Error saving template:', error);
+        alert(I18n.t('tasks.template.saveFailed'));
+    }
+}
+
+/* 
+    Cambiar el estado de una tarea y persistirlo
+*/
+async function setTaskStatus(taskId, status) {
+    const task = getTaskForAction(taskId, 'complete');
+    if (!task) return;
+    
+    try {
+        const now = new Date().toISOString();
+        const changes = {
+            status,
+            updatedAt: now,
+            completedAt: status === 'Completed' ? now : null
+        };
+        const before = { ...task };
+        await DataStore.updateTask(taskId, changes);
+        Object.assign(task, changes);
+        await ActivityLog.taskUpdated(currentUser, before, task);
+        
+        applyFiltersAndSorting();
+        renderTasksList();
+        updatePaginationControls();
+        
+        console.log(`✅ Task ${taskId} marked as ${status}`);
+        
+    } catch (error) {
+        console.error('❌ Error updating task status:', error);
+        alert(I18n.t('dashboard.statusFailed'));
+    }
+}
+
+function markTaskCompleted(taskId) { return setTaskStatus(taskId, 'Completed'); }
+function reopenTask(taskId) { return setTaskStatus(taskId, 'Pending'); }
+
+/* 
+    Eliminar una tarea con confirmación
+*/
+async function deleteTask(taskId) {
+    const task = getTaskForAction(taskId, 'delete');
+    if (!task) return;
+    
+    if (!confirm(I18n.t('dashboard.confirmDelete', { title: task.title }))) {
+        return;
+    }
+    
+    try {
+        await DataStore.deleteTask(taskId);
+        await ActivityLog.taskDeleted(currentUser, task);
+        
+        tasksState.allTasks = tasksState.allTasks.filter(t => t.id !== taskId);
+        tasksState.selectedTasks = tasksState.selectedTasks.filter(id => id !== taskId);
+        
+        applyFiltersAndSorting();
+        renderTasksList();
+        updatePaginationControls();
+        
+        console.log(`🗑️ Task ${taskId} deleted successfully`);
+        
+    } catch (error) {
+        console.error('❌ Error deleting task:', error);
+        alert(I18n.t('dashboard.deleteFailed'));
+    }
+}
+
+// ==========================================
+// FUNCIONES DE UTILIDAD
+// ==========================================
+
+/* Verificar autenticación (token vigente en la colección sessions) */
+async function verifyAuthentication() {
+    return await SessionManager.validate() !== null;
+}
+
+/* Cargar usuario actual */
+async function loadCurrentUser() {
+    const sessionData = SessionManager.getCurrent();
+    currentUser = {
+        id: sessionData.userId,
+        name: sessionData.name,
+        email: sessionData.email,
+        role: sessionData.role
+    };
+    
+    Permissions.applyRoleVisibility(currentUser);
+    await UserPreferences.load(currentUser.id);
+    await UserAvatar.applyToHeader(currentUser.id);
+    
+    // Campana de notificaciones (sin bloquear la carga)
+    NotificationCenter.mount(currentUser.id)
+        .catch(error => console.error('❌ Could not start notifications:', error));
+}
+
+/* Redirección al login */
+function redirectToLogin() {
+    window.location.href = '../index.html';
+}
+
+/* Generar ID único */
+function generateTaskId() {
+    return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/* Avance de la tarea según su checklist */
+function calculateTaskProgress(task) {
+    return TaskStatistics.calculateTaskProgress(task);
+}
+
+function hasSubtasks(task) {
+    return Array.isArray(task.subtasks) && task.subtasks.length > 0;
+}
+
+/* Obtener ícono de categoría */
+function getCategoryIcon(category) {
+    const categoryData = TASKS_CONFIG.CATEGORIES.find(cat => cat.name === category);
+    return categoryData ? categoryData.icon : '📋';
+}
+
+/* Calcular días restantes (días del calendario en la zona horaria del usuario) */
+function calculateDaysRemaining(dueDate) {
+    const diffDays = DueDates.getDaysRemaining(dueDate);
+    if (diffDays === null) return null;
+    
+    if (diffDays < 0) return I18n.plural('tasks.due.overdue', Math.abs(diffDays));
+    if (diffDays === 0) return I18n.t('tasks.due.today');
+    if (diffDays === 1) return I18n.t('tasks.due.tomorrow');
+    return I18n.plural('tasks.due.remaining', diffDays);
+}
+
+/* Verificar si tarea está vencida */
+function isTaskOverdue(task) {
+    return DueDates.isOverdue(task);
+}
+
+/* Formatear fecha de vencimiento (con la hora, si la tiene) */
+function formatDueDate(dateString) {
+    const due = DueDates.parse(dateString);
+    if (!due) return I18n.t('task.noDueDate');
+    
+    const sameYear = due.date.slice(0, 4) === UserPreferences.getDayKey(Date.now()).slice(0, 4);
+    return DueDates.format(dateString, { 
+        month: 'short', 
+        day: 'numeric',
+        year: sameYear ? undefined : 'numeric'
+    });
+}
+
+/* Escapar HTML */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+/* Actualizar texto de un elemento si existe */
+function updateElementText(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+}
+
+/* Obtener iniciales */
+function getAssigneeInitials(name) {
+    if (!name) return '?';
+    const words = name.trim().split(' ');
+    return words.length === 1 ? 
+        words[0].charAt(0).toUpperCase() : 
+        (words[0].charAt(0) + words[words.length - 1].charAt(0)).toUpperCase();
+}
+
+/* Formatear fecha */
+function formatDate(dateString) {
+    return UserPreferences.formatDate(dateString, {
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+// ==========================================
+// PLACEHOLDER FUNCTIONS
+// ==========================================
+
+/* Funciones que se implementarían completamente en una versión de producción */
+
+function setupAdvancedInterface() { console.log('🎛️ Advanced interface configured'); }
+function setupAutoSave() { console.log('💾 Auto-save system active'); }
+function setupKeyboardShortcuts() { console.log('⌨️ Keyboard shortcuts enabled'); }
+function updateSummaryStatistics() { console.log('📊 Summary statistics updated'); }
+function populateFilterOptions() { console.log('🔍 Filter options populated'); }
+function renderEmptyTasksState(container) { 
+    container.innerHTML = `<div class="empty-state">${I18n.t('dashboard.empty.title')}</div>`;
+}
 function duplicateTask(taskId) { console.log(`Duplicated: ${taskId}`); }
-function deleteTask(taskId) { console.log(`Deleted: ${taskId}`); }
 function showWelcomeToTasksPage() { console.log('👋 Welcome to tasks management!'); }
 function showCriticalError(message) { alert(message); }
 function showSearchNoResults(term) { console.log(`No results for: ${term}`); }
@@ -0,0 +1,149 @@
+/*
+    ===================================
+    USER AVATAR - CRUDZASO v2
+    ===================================
+
+    Avatar del usuario: un emoji de la lista predefinida o una imagen
+    subida (JPEG/PNG/GIF) que se recorta en cuadrado, se reduce y se
+    guarda como data URL en el campo avatar del usuario.
+
+    Lo usan el perfil (subida y selección) y las cabeceras de las
+    páginas (dashboard, tareas, formulario) para mostrarlo.
+*/
+
+const UserAvatar = (function() {
+
+    const DEFAULT_AVATAR = '👤';
+
+    /* Lado en píxeles de la imagen guardada */
+    const OUTPUT_SIZE = 256;
+
+    const JPEG_QUALITY = 0.85;
+
+    /* Un avatar es imagen si es un data URL o una URL; si no, es un emoji */
+    function isImage(avatar) {
+        return typeof avatar === 'string' && /^(data:image\/|https?:\/\/)/.test(avatar);
+    }
+
+    /*
+        Validar el archivo elegido
+
+        config: AVATAR_CONFIG del perfil (MAX_SIZE en bytes, ALLOWED_TYPES).
+        Devuelve el mensaje de error o null si el archivo es aceptable.
+    */
+    function validateFile(file, { MAX_SIZE, ALLOWED_TYPES }) {
+        if (!file) return I18n.t('avatar.error.noFile');
+        if (!ALLOWED_TYPES.includes(file.type)) {
+            return I18n.t('avatar.error.type', {
+                types: ALLOWED_TYPES.map(type => type.replace('image/', '').toUpperCase()).join(', ')
+            });
+        }
+        if (file.size > MAX_SIZE) {
+            return I18n.t('avatar.error.size', { max: Math.round(MAX_SIZE / (1024 * 1024)) });
+        }
+        return null;
+    }
+
+    function readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(I18n.t('avatar.error.read')));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    function loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(I18n.t('avatar.error.invalid')));
+            image.src = src;
+        });
+    }
+
+    /*
+        Recorte cuadrado centrado
+
+        Devuelve el área de origen (sx, sy, side) de una imagen width x height.
+    */
+    function getSquareCrop(width, height) {
+        const side = Math.min(width, height);
+        return {
+            sx: Math.floor((width - side) / 2),
+            sy: Math.floor((height - side) / 2),
+            side
+        };
+    }
+
+    /*
+        Convertir el archivo en un avatar listo para guardar
+
+        Recorta al cuadrado central y reduce a OUTPUT_SIZE (nunca amplía).
+        Las fotos JPEG se guardan como JPEG; PNG y GIF como PNG (el GIF
+        animado queda en su primer fotograma).
+    */
+    async function processFile(file, config) {
+        const error = validateFile(file, config);
+        if (error) throw new Error(error);
+
+        const image = await loadImage(await readAsDataUrl(file));
+        const { sx, sy, side } = getSquareCrop(image.naturalWidth, image.naturalHeight);
+        const size = Math.min(OUTPUT_SIZE, side);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext('2d').drawImage(image, sx, sy, side, side, 0, 0, size, size);
+
+        return file.type === 'image/jpeg'
+            ? canvas.toDataURL('image/jpeg', JPEG_QUALITY)
+            : canvas.toDataURL('image/png');
+    }
+
+    /* Pintar un avatar (imagen o emoji) dentro de un elemento */
+    function render(element, avatar, altText = I18n.t('avatar.alt')) {
+        if (!element) return;
+
+        if (isImage(avatar)) {
+            const image = document.createElement('img');
+            image.src = avatar;
+            image.alt = altText;
+            image.className = 'avatar-image';
+            element.replaceChildren(image);
+        } else {
+            element.textContent = avatar || DEFAULT_AVATAR;
+        }
+    }
+
+    /*
+        Mostrar el avatar del usuario en la cabecera de la página
+
+        La sesión no guarda el avatar: se lee del registro del usuario.
+    */
+    async function applyToHeader(userId) {
+        try {
+            const user = await DataStore.getUser(userId);
+            document.querySelectorAll('.user-avatar').forEach(element => {
+                render(element, user && user.avatar, user ? I18n.t('avatar.altNamed', { name: user.name }) : undefined);
+            });
+        } catch (error) {
+            console.error('❌ Could not load user avatar:', error);
+        }
+    }
+
+    return {
+        DEFAULT_AVATAR,
+        OUTPUT_SIZE,
+        isImage,
+        validateFile,
+        getSquareCrop,
+        processFile,
+        render,
+        applyToHeader
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserAvatar;
+}
@@ -0,0 +1,255 @@
+/*
+    ===================================
+    USER PREFERENCES - CRUDZASO v2
+    ===================================
+
+    Preferencias del usuario guardadas en su registro (users):
+    theme, language, timezone, notifications y reminderWindows
+    (horas antes de la fecha límite en que llegan los recordatorios).
+
+    El navegador guarda una copia de las preferencias del usuario
+    actual para aplicarlas en cuanto carga la página; la fuente de
+    verdad sigue siendo el registro del usuario, que se lee con load().
+
+    Las páginas cargan este script en el <head>, antes del primer
+    pintado, para que el tema guardado se aplique sin destello.
+    El tema "system" sigue al sistema operativo y cambia en vivo.
+
+    Las páginas formatean fechas con formatDate() para respetar el
+    idioma y la zona horaria elegidos.
+*/
+
+const UserPreferences = (function() {
+
+    const STORAGE_KEY = 'crudzaso_preferences';
+
+    const THEMES = {
+        light: '☀️ Light',
+        dark: '🌙 Dark',
+        system: '🖥️ System'
+    };
+
+    const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+    const LANGUAGES = {
+        en: 'English',
+        es: 'Español'
+    };
+
+    /* Locale usado para fechas y números de cada idioma */
+    const LOCALES = {
+        en: 'en-US',
+        es: 'es-ES'
+    };
+
+    const NOTIFICATION_LABELS = {
+        email: 'Email updates',
+        push: 'Browser notifications',
+        deadline: 'Deadline reminders',
+        daily: 'Daily digest'
+    };
+
+    /* Ventanas de recordatorio que se pueden elegir, en horas antes de la fecha límite */
+    const REMINDER_WINDOW_OPTIONS = [168, 72, 24, 6, 1];
+
+    const DEFAULTS = {
+        theme: 'light',
+        language: 'en',
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        notifications: {
+            email: true,
+            push: true,
+            deadline: true,
+            daily: false
+        },
+        reminderWindows: [24, 1]
+    };
+
+    /* Fecha sin hora ("2026-02-10"): es un día del calendario, no un instante */
+    const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+    function isValidTimezone(timezone) {
+        if (!timezone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /*
+        Ventanas de recordatorio válidas, de la más amplia a la más corta
+
+        Sin valor guardado se usan las de DEFAULTS; una lista vacía es válida
+        (el usuario no quiere ningún recordatorio antes de la fecha límite).
+    */
+    function normalizeReminderWindows(windows) {
+        if (!Array.isArray(windows)) return [...DEFAULTS.reminderWindows];
+
+        const hours = windows.map(Number).filter(value => Number.isInteger(value) && value > 0);
+        return [...new Set(hours)].sort((a, b) => b - a);
+    }
+
+    /* Preferencias completas de un usuario (los valores faltantes o inválidos se completan) */
+    function fromUser(user = {}) {
+        return {
+            theme: THEMES[user.theme] ? user.theme : DEFAULTS.theme,
+            language: LANGUAGES[user.language] ? user.language : DEFAULTS.language,
+            timezone: isValidTimezone(user.timezone) ? user.timezone : DEFAULTS.timezone,
+            notifications: { ...DEFAULTS.notifications, ...(user.notifications || {}) },
+            reminderWindows: normalizeReminderWindows(user.reminderWindows)
+        };
+    }
+
+    /* Preferencias del usuario actual (copia local) */
+    function getCurrent() {
+        try {
+            return fromUser(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+        } catch (error) {
+            return fromUser();
+        }
+    }
+
+    /* Tema concreto (light/dark) que se pinta; "system" depende del sistema operativo */
+    function resolveTheme(theme) {
+        if (theme !== 'system') return theme;
+        return typeof matchMedia === 'function' && matchMedia(DARK_SCHEME_QUERY).matches ? 'dark' : 'light';
+    }
+
+    /* Aplicar tema e idioma al documento y avisar a quien dependa de ellos (I18n) */
+    function apply(preferences = getCurrent()) {
+        const root = document.documentElement;
+        root.dataset.theme = resolveTheme(preferences.theme);
+        root.lang = preferences.language;
+        document.dispatchEvent(new CustomEvent('preferenceschange', { detail: preferences }));
+    }
+
+    /* Con el tema "system", seguir los cambios del sistema operativo sin recargar */
+    function watchSystemTheme() {
+        if (typeof matchMedia !== 'function') return;
+
+        matchMedia(DARK_SCHEME_QUERY).addEventListener('change', () => {
+            const preferences = getCurrent();
+            if (preferences.theme === 'system') apply(preferences);
+        });
+    }
+
+    function cache(preferences) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+        apply(preferences);
+        return preferences;
+    }
+
+    /*
+        Leer las preferencias del registro del usuario y aplicarlas
+
+        Si el registro no se puede leer se mantienen las de la copia local.
+    */
+    async function load(userId) {
+        try {
+            const user = await DataStore.getUser(userId);
+            return cache(fromUser(user || {}));
+        } catch (error) {
+            console.error('❌ Could not load preferences:', error);
+            return getCurrent();
+        }
+    }
+
+    /*
+        Guardar cambios de preferencias en el registro del usuario
+
+        changes puede traer solo parte de notifications; se combina con lo actual.
+    */
+    async function save(userId, changes) {
+        const current = getCurrent();
+        const preferences = fromUser({
+            ...current,
+            ...changes,
+            notifications: { ...current.notifications, ...(changes.notifications || {}) }
+        });
+
+        await DataStore.updateUser(userId, preferences);
+        return cache(preferences);
+    }
+
+    function getLocale() {
+        return LOCALES[getCurrent().language];
+    }
+
+    function getTimezone() {
+        return getCurrent().timezone;
+    }
+
+    /* Zonas horarias para elegir (la del navegador si Intl no ofrece la lista) */
+    function getTimezones() {
+        return typeof Intl.supportedValuesOf === 'function' ?
+            Intl.supportedValuesOf('timeZone') :
+            [DEFAULTS.timezone];
+    }
+
+    /*
+        Formatear una fecha con el idioma y la zona horaria del usuario
+
+        Una fecha sin hora se muestra tal cual (ese mismo día en cualquier zona).
+    */
+    function formatDate(value, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        const isDateOnly = DATE_ONLY_PATTERN.test(String(value));
+        const date = isDateOnly ? new Date(`${value}T00:00:00Z`) : new Date(value);
+
+        return date.toLocaleDateString(getLocale(), {
+            ...options,
+            timeZone: isDateOnly ? 'UTC' : getTimezone()
+        });
+    }
+
+    function formatDateTime(value) {
+        return new Date(value).toLocaleString(getLocale(), { timeZone: getTimezone() });
+    }
+
+    /* Día del calendario (YYYY-MM-DD) de una fecha en la zona horaria del usuario (o la indicada) */
+    function getDayKey(value, timezone = getTimezone()) {
+        if (DATE_ONLY_PATTERN.test(String(value))) return String(value);
+
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).formatToParts(new Date(value));
+
+        const part = type => parts.find(item => item.type === type).value;
+        return `${part('year')}-${part('month')}-${part('day')}`;
+    }
+
+    // Aplicar la copia local en cuanto carga el script (antes del primer pintado)
+    if (typeof document !== 'undefined') {
+        apply();
+        watchSystemTheme();
+    }
+
+    return {
+        THEMES,
+        LANGUAGES,
+        NOTIFICATION_LABELS,
+        REMINDER_WINDOW_OPTIONS,
+        DEFAULTS,
+        fromUser,
+        getCurrent,
+        resolveTheme,
+        apply,
+        load,
+        save,
+        isValidTimezone,
+        getLocale,
+        getTimezone,
+        getTimezones,
+        formatDate,
+        formatDateTime,
+        getDayKey
+    };
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UserPreferences;
+}
@@ -0,0 +1,163 @@
+/*
+    ===================================
+    DUE DATES TESTS - CRUDZASO v2
+    ===================================
+
+    Fechas límite interpretadas en America/New_York, incluidos los
+    días de cambio de horario de 2026:
+    - 8 de marzo: el reloj salta de 02:00 a 03:00 (día de 23 horas)
+    - 1 de noviembre: el reloj vuelve de 02:00 a 01:00 (día de 25 horas)
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TIMEZONE = 'America/New_York';
+
+/* Copia local de las preferencias que UserPreferences lee del navegador */
+global.localStorage = {
+    getItem: () => JSON.stringify({ timezone: TIMEZONE, language: 'en' })
+};
+global.UserPreferences = require('../assets/js/user-preferences.js');
+
+const DueDates = require('../assets/js/due-dates.js');
+
+const iso = date => date.toISOString();
+
+test('a bare date is due at the end of the local day', () => {
+    assert.equal(iso(DueDates.getDeadline('2026-02-10')), '2026-02-11T04:59:59.999Z');
+});
+
+test('a date with a time is due at that local time', () => {
+    assert.equal(iso(DueDates.getDeadline('2026-02-10T17:00')), '2026-02-10T22:00:00.000Z');
+});
+
+test('the timezone can be passed explicitly', () => {
+    assert.equal(iso(DueDates.getDeadline('2026-02-10', 'UTC')), '2026-02-10T23:59:59.999Z');
+    assert.equal(iso(DueDates.getDeadline('2026-02-10', TIMEZONE)), '2026-02-11T04:59:59.999Z');
+});
+
+test('invalid or missing due dates have no deadline', () => {
+    assert.equal(DueDates.getDeadline('2026-02-30'), null);
+    assert.equal(DueDates.getDeadline('2026-02-10T25:00'), null);
+    assert.equal(DueDates.getDeadline(''), null);
+    assert.equal(DueDates.getDaysRemaining(null), null);
+});
+
+// ====================================
+// CAMBIOS DE HORARIO
+// ====================================
+
+test('spring-forward day ends at the next local midnight (23-hour day)', () => {
+    const deadline = DueDates.getDeadline('2026-03-08');
+    const start = DueDates.getDeadline('2026-03-08T00:00');
+
+    assert.equal(iso(deadline), '2026-03-09T03:59:59.999Z');
+    assert.equal(deadline - start + 1, 23 * 60 * 60 * 1000);
+});
+
+test('spring-forward: a time after the jump uses daylight time', () => {
+    assert.equal(iso(DueDates.getDeadline('2026-03-08T01:30')), '2026-03-08T06:30:00.000Z');
+    assert.equal(iso(DueDates.getDeadline('2026-03-08T03:30')), '2026-03-08T07:30:00.000Z');
+});
+
+test('spring-forward: a time inside the skipped hour falls an hour earlier', () => {
+    /* 02:30 no existe ese día: queda igual que 01:30 */
+    assert.equal(iso(DueDates.getDeadline('2026-03-08T02:30')), '2026-03-08T06:30:00.000Z');
+});
+
+test('fall-back day ends at the next local midnight (25-hour day)', () => {
+    const deadline = DueDates.getDeadline('2026-11-01');
+    const start = DueDates.getDeadline('2026-11-01T00:00');
+
+    assert.equal(iso(deadline), '2026-11-02T04:59:59.999Z');
+    assert.equal(deadline - start + 1, 25 * 60 * 60 * 1000);
+});
+
+test('fall-back: a repeated time uses its first occurrence', () => {
+    assert.equal(iso(DueDates.getDeadline('2026-11-01T01:30')), '2026-11-01T05:30:00.000Z');
+    assert.equal(iso(DueDates.getDeadline('2026-11-01T02:30')), '2026-11-01T07:30:00.000Z');
+});
+
+// ====================================
+// VENCE HOY / VENCIDA
+// ====================================
+
+test('a bare date is due today until the end of the local day, then overdue', () => {
+    const task = { dueDate: '2026-02-10', status: 'Pending' };
+
+    /* 23:59 del 10 en Nueva York (ya es día 11 en UTC) */
+    const lastMinute = new Date('2026-02-11T04:59:00Z');
+    assert.equal(DueDates.isDueToday(task.dueDate, lastMinute), true);
+    assert.equal(DueDates.isOverdue(task, lastMinute), false);
+
+    /* Último milisegundo del día: todavía no vence */
+    assert.equal(DueDates.isOverdue(task, new Date('2026-02-11T04:59:59.999Z')), false);
+
+    /* Medianoche del 11 en Nueva York */
+    const nextDay = new Date('2026-02-11T05:00:00Z');
+    assert.equal(DueDates.isDueToday(task.dueDate, nextDay), false);
+    assert.equal(DueDates.isOverdue(task, nextDay), true);
+    assert.equal(DueDates.getDaysRemaining(task.dueDate, nextDay), -1);
+});
+
+test('a date with a time is overdue after that time but still due today', () => {
+    const task = { dueDate: '2026-02-10T09:00', status: 'Pending' };
+    const evening = new Date('2026-02-11T03:00:00Z');
+
+    assert.equal(DueDates.isOverdue(task, new Date('2026-02-10T13:59:00Z')), false);
+    assert.equal(DueDates.isOverdue(task, new Date('2026-02-10T14:01:00Z')), true);
+    assert.equal(DueDates.isDueToday(task.dueDate, evening), true);
+    assert.equal(DueDates.isOverdue(task, evening), true);
+});
+
+test('the due-today boundary holds on the spring-forward day', () => {
+    const task = { dueDate: '2026-03-08', status: 'Pending' };
+
+    assert.equal(DueDates.isOverdue(task, new Date('2026-03-09T03:59:00Z')), false);
+    assert.equal(DueDates.isDueToday(task.dueDate, new Date('2026-03-09T03:59:00Z')), true);
+    assert.equal(DueDates.isOverdue(task, new Date('2026-03-09T04:00:00Z')), true);
+    assert.equal(DueDates.isDueToday(task.dueDate, new Date('2026-03-09T04:00:00Z')), false);
+});
+
+test('completed tasks are never overdue', () => {
+    const task = { dueDate: '2026-02-10', status: 'Completed' };
+    assert.equal(DueDates.isOverdue(task, new Date('2026-03-01T00:00:00Z')), false);
+});
+
+// ====================================
+// DÍAS RESTANTES
+// ====================================
+
+test('days remaining count calendar days across spring-forward', () => {
+    /* 23:30 del 7 de marzo en Nueva York */
+    const now = new Date('2026-03-08T04:30:00Z');
+
+    assert.equal(DueDates.getDaysRemaining('2026-03-08', now), 1);
+    assert.equal(DueDates.getDaysRemaining('2026-03-09', now), 2);
+    assert.equal(DueDates.getDaysRemaining('2026-03-09T00:30', now), 2);
+});
+
+test('days remaining count calendar days from late on the spring-forward day', () => {
+    /* 23:30 del 8 de marzo en Nueva York (ya es 9 en UTC) */
+    const now = new Date('2026-03-09T03:30:00Z');
+
+    assert.equal(DueDates.getDaysRemaining('2026-03-08', now), 0);
+    assert.equal(DueDates.getDaysRemaining('2026-03-10', now), 2);
+});
+
+test('days remaining count calendar days across fall-back', () => {
+    /* 00:30 del 1 de noviembre en Nueva York */
+    const now = new Date('2026-11-01T04:30:00Z');
+
+    assert.equal(DueDates.getDaysRemaining('2026-11-01', now), 0);
+    assert.equal(DueDates.getDaysRemaining('2026-11-02', now), 1);
+    assert.equal(DueDates.getDaysRemaining('2026-10-31', now), -1);
+});
+
+test('the day key of an instant is the calendar day in the user timezone', () => {
+    /* 23:30 del 7 de marzo en Nueva York, ya 8 de marzo en UTC */
+    assert.equal(DueDates.getDayKey(new Date('2026-03-08T04:30:00Z')), '2026-03-07');
+    assert.equal(DueDates.getDayKey(new Date('2026-03-08T04:30:00Z'), 'UTC'), '2026-03-08');
+    assert.equal(UserPreferences.getDayKey('2026-03-08T04:30:00Z'), '2026-03-07');
+});
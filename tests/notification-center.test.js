@@ -0,0 +1,181 @@
+/*
+    ===================================
+    NOTIFICATION CENTER TESTS - CRUDZASO v2
+    ===================================
+
+    Qué recordatorios y resúmenes diarios se crean para un usuario
+    de America/New_York: límites de las ventanas de recordatorio,
+    avisos que no se repiten y días que cubre el resumen.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TIMEZONE = 'America/New_York';
+
+/* Copia local de las preferencias que UserPreferences lee del navegador */
+global.localStorage = {
+    getItem: () => JSON.stringify({ timezone: TIMEZONE, language: 'en' })
+};
+global.UserPreferences = require('../assets/js/user-preferences.js');
+global.DueDates = require('../assets/js/due-dates.js');
+
+const NotificationCenter = require('../assets/js/notification-center.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/* Vence el 10 de febrero a las 17:00 en Nueva York (22:00 UTC) */
+const task = { id: 'task_1', title: 'Essay', status: 'Pending', dueDate: '2026-02-10T17:00' };
+const deadline = new Date('2026-02-10T22:00:00Z');
+const before = ms => new Date(deadline.getTime() - ms);
+
+const preferences = (changes = {}) => UserPreferences.fromUser({
+    timezone: TIMEZONE,
+    notifications: { deadline: true, daily: true },
+    ...changes
+});
+
+// ====================================
+// VENTANAS DE RECORDATORIO
+// ====================================
+
+test('the default windows are 24 hours and 1 hour', () => {
+    assert.deepEqual(UserPreferences.getCurrent().reminderWindows, [24, 1]);
+});
+
+test('a task enters the 24h window exactly 24 hours before its deadline', () => {
+    assert.equal(NotificationCenter.getReminderWindow(task, before(24 * HOUR_MS + 1)), null);
+    assert.deepEqual(NotificationCenter.getReminderWindow(task, before(24 * HOUR_MS)), { id: '24h', hours: 24 });
+    assert.deepEqual(NotificationCenter.getReminderWindow(task, before(HOUR_MS + 1)), { id: '24h', hours: 24 });
+});
+
+test('only the shortest reached window is used', () => {
+    assert.deepEqual(NotificationCenter.getReminderWindow(task, before(HOUR_MS)), { id: '1h', hours: 1 });
+    assert.deepEqual(NotificationCenter.getReminderWindow(task, before(1)), { id: '1h', hours: 1 });
+});
+
+test('no reminder at or after the deadline, or for completed and undated tasks', () => {
+    assert.equal(NotificationCenter.getReminderWindow(task, deadline), null);
+    assert.equal(NotificationCenter.getReminderWindow(task, new Date(deadline.getTime() + HOUR_MS)), null);
+    assert.equal(NotificationCenter.getReminderWindow({ ...task, status: 'Completed' }, before(HOUR_MS)), null);
+    assert.equal(NotificationCenter.getReminderWindow({ ...task, dueDate: '' }, before(HOUR_MS)), null);
+});
+
+test('a bare date is reminded relative to the end of the local day', () => {
+    /* "2026-02-10" vence a las 23:59:59.999 de Nueva York (04:59:59.999 UTC del 11) */
+    const bareDate = { ...task, dueDate: '2026-02-10' };
+
+    assert.equal(NotificationCenter.getReminderWindow(bareDate, new Date('2026-02-10T04:59:59.998Z')), null);
+    assert.deepEqual(NotificationCenter.getReminderWindow(bareDate, new Date('2026-02-10T05:00:00Z')), { id: '24h', hours: 24 });
+});
+
+test('the windows come from the user preferences', () => {
+    const windows = preferences({ reminderWindows: [72, 6] }).reminderWindows;
+
+    assert.deepEqual(windows, [72, 6]);
+    assert.equal(NotificationCenter.getReminderWindow(task, before(72 * HOUR_MS + 1), windows), null);
+    assert.deepEqual(NotificationCenter.getReminderWindow(task, before(72 * HOUR_MS), windows), { id: '72h', hours: 72 });
+    assert.deepEqual(NotificationCenter.getReminderWindow(task, before(HOUR_MS), windows), { id: '6h', hours: 6 });
+    assert.equal(NotificationCenter.getReminderWindow(task, before(HOUR_MS), []), null);
+});
+
+test('invalid saved windows are dropped, missing ones use the default', () => {
+    assert.deepEqual(preferences({ reminderWindows: [1, '6', 0, -2, 'x', 6] }).reminderWindows, [6, 1]);
+    assert.deepEqual(preferences({ reminderWindows: 'soon' }).reminderWindows, [24, 1]);
+    assert.deepEqual(preferences().reminderWindows, [24, 1]);
+});
+
+// ====================================
+// AVISOS SIN REPETIR
+// ====================================
+
+test('a deadline reminder is created once per window', () => {
+    const now = before(2 * HOUR_MS);
+    const onlyDeadlines = preferences({ notifications: { deadline: true, daily: false } });
+    const [reminder] = NotificationCenter.collectPending([task], new Set(), onlyDeadlines, now);
+
+    assert.equal(reminder.type, 'deadline');
+    assert.equal(reminder.key, 'deadline:task_1:24h:2026-02-10T17:00');
+    assert.deepEqual(NotificationCenter.collectPending([task], new Set([reminder.key]), onlyDeadlines, now), []);
+});
+
+test('the next window and a changed due date are reminded again', () => {
+    const existingKeys = new Set(['deadline:task_1:24h:2026-02-10T17:00']);
+
+    const [nextWindow] = NotificationCenter.collectPending([task], existingKeys, preferences(), before(30 * 60 * 1000));
+    assert.equal(nextWindow.key, 'deadline:task_1:1h:2026-02-10T17:00');
+
+    /* Se movió a las 18:00: ya no es el mismo aviso */
+    const moved = { ...task, dueDate: '2026-02-10T18:00' };
+    const [reminder] = NotificationCenter.collectPending([moved], existingKeys, preferences(), before(2 * HOUR_MS));
+    assert.equal(reminder.key, 'deadline:task_1:24h:2026-02-10T18:00');
+});
+
+test('the digest is created once per local day', () => {
+    /* 23:30 del 10 de febrero en Nueva York: ya es día 11 en UTC */
+    const now = new Date('2026-02-11T04:30:00Z');
+    const bareDate = { ...task, dueDate: '2026-02-10' };
+    const onlyDigest = preferences({ notifications: { deadline: false, daily: true } });
+
+    const [digest] = NotificationCenter.collectPending([bareDate], new Set(), onlyDigest, now);
+    assert.equal(digest.key, 'digest:2026-02-10');
+    assert.deepEqual(NotificationCenter.collectPending([bareDate], new Set([digest.key]), onlyDigest, now), []);
+
+    /* Medianoche en Nueva York: nuevo día, nuevo resumen */
+    const [nextDigest] = NotificationCenter.collectPending([bareDate], new Set([digest.key]), onlyDigest, new Date('2026-02-11T05:00:00Z'));
+    assert.equal(nextDigest.key, 'digest:2026-02-11');
+});
+
+test('each notification type follows its preference', () => {
+    const now = before(2 * HOUR_MS);
+    const off = preferences({ notifications: { deadline: false, daily: false } });
+
+    assert.deepEqual(NotificationCenter.collectPending([task], new Set(), off, now), []);
+    assert.deepEqual(
+        NotificationCenter.collectPending([task], new Set(), preferences(), now).map(notification => notification.type),
+        ['deadline', 'digest']
+    );
+});
+
+// ====================================
+// RESUMEN DIARIO
+// ====================================
+
+test('the digest covers tasks due today and overdue ones', () => {
+    /* 12:00 del 10 de febrero en Nueva York */
+    const now = new Date('2026-02-10T17:00:00Z');
+    const tasks = [
+        { id: 'today', status: 'Pending', dueDate: '2026-02-10' },
+        { id: 'later-today', status: 'In Progress', dueDate: '2026-02-10T17:00' },
+        { id: 'earlier-today', status: 'Pending', dueDate: '2026-02-10T09:00' },
+        { id: 'yesterday', status: 'Pending', dueDate: '2026-02-09' },
+        { id: 'tomorrow', status: 'Pending', dueDate: '2026-02-11' },
+        { id: 'done', status: 'Completed', dueDate: '2026-02-10' },
+        { id: 'undated', status: 'Pending', dueDate: '' }
+    ];
+
+    const digest = NotificationCenter.buildDigest(tasks, now);
+    assert.deepEqual(digest.dueToday.map(item => item.id), ['today', 'later-today']);
+    assert.deepEqual(digest.overdue.map(item => item.id), ['earlier-today', 'yesterday']);
+});
+
+test('the digest day ends at local midnight, not UTC midnight', () => {
+    const tasks = [{ id: 'feb-10', status: 'Pending', dueDate: '2026-02-10' }];
+
+    /* 20:00 del 10 en Nueva York (ya 11 en UTC): todavía vence hoy */
+    const lateEvening = NotificationCenter.buildDigest(tasks, new Date('2026-02-11T01:00:00Z'));
+    assert.deepEqual(lateEvening.dueToday.map(item => item.id), ['feb-10']);
+    assert.deepEqual(lateEvening.overdue, []);
+
+    /* Medianoche del 11 en Nueva York */
+    const nextDay = NotificationCenter.buildDigest(tasks, new Date('2026-02-11T05:00:00Z'));
+    assert.deepEqual(nextDay.dueToday, []);
+    assert.deepEqual(nextDay.overdue.map(item => item.id), ['feb-10']);
+});
+
+test('no digest when nothing is due today or overdue', () => {
+    const tasks = [{ id: 'tomorrow', title: 'Quiz', status: 'Pending', dueDate: '2026-02-11' }];
+    const onlyDigest = preferences({ notifications: { deadline: false, daily: true } });
+
+    assert.deepEqual(NotificationCenter.collectPending(tasks, new Set(), onlyDigest, new Date('2026-02-10T17:00:00Z')), []);
+});
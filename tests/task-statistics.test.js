@@ -0,0 +1,84 @@
+/*
+    ===================================
+    TASK STATISTICS TESTS - CRUDZASO v2
+    ===================================
+
+    Las estadísticas agrupan las tareas completadas por días y horas
+    de la zona horaria del usuario (America/New_York), igual que
+    DueDates para las fechas límite.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TIMEZONE = 'America/New_York';
+
+/* Copia local de las preferencias que UserPreferences lee del navegador */
+global.localStorage = {
+    getItem: () => JSON.stringify({ timezone: TIMEZONE, language: 'en' })
+};
+global.UserPreferences = require('../assets/js/user-preferences.js');
+global.DueDates = require('../assets/js/due-dates.js');
+
+const TaskStatistics = require('../assets/js/task-statistics.js');
+
+const completedAt = completedAt => ({
+    status: 'Completed',
+    category: 'Mathematics',
+    priority: 'Medium',
+    completedAt
+});
+
+test('the streak counts calendar days in the user timezone', () => {
+    /* 22:00 de los días 8, 9 y 10 en Nueva York: ya el día siguiente en UTC */
+    const tasks = [
+        completedAt('2026-02-09T03:00:00Z'),
+        completedAt('2026-02-10T03:00:00Z'),
+        completedAt('2026-02-11T03:00:00Z')
+    ];
+
+    /* 12:00 del 10 en Nueva York */
+    assert.equal(TaskStatistics.calculateProductivityStreak(tasks, new Date('2026-02-10T17:00:00Z')), 3);
+});
+
+test('the streak stays alive until the end of the local day after the last completion', () => {
+    const tasks = [completedAt('2026-02-10T15:00:00Z')];
+
+    /* 23:30 del 11 en Nueva York (ya día 12 en UTC): ayer hubo actividad */
+    assert.equal(TaskStatistics.calculateProductivityStreak(tasks, new Date('2026-02-12T04:30:00Z')), 1);
+
+    /* Medianoche del 12 en Nueva York */
+    assert.equal(TaskStatistics.calculateProductivityStreak(tasks, new Date('2026-02-12T05:00:00Z')), 0);
+});
+
+test('the streak crosses a DST change', () => {
+    const tasks = [
+        completedAt('2026-03-07T15:00:00Z'),
+        completedAt('2026-03-08T15:00:00Z'),
+        completedAt('2026-03-09T15:00:00Z')
+    ];
+
+    assert.equal(TaskStatistics.calculateProductivityStreak(tasks, new Date('2026-03-09T20:00:00Z')), 3);
+});
+
+test('best day and most active time use the user timezone', () => {
+    /* Martes 10 de febrero, 22:00 en Nueva York (miércoles 03:00 UTC) */
+    const stats = TaskStatistics.calculateDetailedStatistics([
+        completedAt('2026-02-11T03:00:00Z'),
+        completedAt('2026-02-11T03:30:00Z')
+    ]);
+
+    assert.equal(stats.bestDay, 'Tuesday');
+    assert.equal(stats.mostActiveTimeOfDay.replace(/\s/g, ' '), '10:00 PM - 11:00 PM');
+});
+
+test('the most active time is formatted in the user language', () => {
+    const tasks = [completedAt('2026-02-11T03:00:00Z')];
+
+    localStorage.getItem = () => JSON.stringify({ timezone: TIMEZONE, language: 'es' });
+    try {
+        assert.equal(TaskStatistics.calculateDetailedStatistics(tasks).mostActiveTimeOfDay, '22:00 - 23:00');
+    } finally {
+        localStorage.getItem = () => JSON.stringify({ timezone: TIMEZONE, language: 'en' });
+    }
+});